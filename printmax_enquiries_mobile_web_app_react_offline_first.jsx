@@ -1,53 +1,457 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 
 // PRINTMAX ENQUIRIES – single-file React app
-// Mobile-first, offline-friendly (localStorage). No backend required.
+// Mobile-first, offline-friendly (IndexedDB). No backend required.
 // Features: Login (Admin/Staff), custom users, categories, enquiry CRUD, statuses,
-// filters/search, reminders, WhatsApp quick-reply, import/export backup.
+// filters/search, reminders, WhatsApp quick-reply, import/export backup, quotations,
+// printable quote/invoice documents, payments & outstanding balances, audit history,
+// role-based permissions, PIN login with idle lock, optional multi-device sync
+// (reference server: sync-server.js), validated backup import with preview and rollback,
+// CSV/XLSX export and CSV import of enquiries, customer directory, WhatsApp templates,
+// follow-up reminders with browser notifications, installable PWA with offline launch
+// (service worker: sw.js, manifest: manifest.webmanifest), configurable status workflow,
+// Kanban board view, calendar with staff workload and .ics export, reports with CSV export,
+// photo/PDF attachments with zip backups, searchable/sortable lists with saved views,
+// categories with custom fields and rename/merge, customer tracking links with a public
+// job status page, shop profile (logo, currency, time zone, date format) and
+// English/Hindi/Malayalam interface, daily restore points with retention and
+// password-encrypted backups.
 // Tailwind classes are used for styling.
 
 // ----------------------- Types -----------------------
-const STATUSES = ["Pending", "In Progress", "Completed", "Cancelled"] as const;
 const CHANNELS = ["In-shop", "WhatsApp", "Call", "Online"] as const;
+const PAYMENT_METHODS = ["Cash", "UPI", "Card"] as const;
+const PERMISSIONS = ["deleteEnquiry", "restoreEnquiry", "mergeCustomers", "manageTemplates", "manageWorkflow", "manageCategories", "managePrices", "manageUsers", "importEnquiries", "importBackup", "clearData"] as const;
 
-type Status = typeof STATUSES[number];
+type Status = string; // a StatusDef id, see "Workflow"
 type Channel = typeof CHANNELS[number];
+type PaymentMethod = typeof PAYMENT_METHODS[number];
+type Permission = typeof PERMISSIONS[number];
+
+// Tailwind needs whole class names, so statuses pick from a fixed palette
+const STATUS_COLORS = { red: "bg-red-100", orange: "bg-orange-100", yellow: "bg-yellow-100", green: "bg-green-100", teal: "bg-teal-100", blue: "bg-blue-100", purple: "bg-purple-100", gray: "bg-gray-200" } as const;
+type StatusColor = keyof typeof STATUS_COLORS;
+type StatusKind = "open" | "completed" | "cancelled"; // completed and cancelled are terminal
+
+type StatusDef = {
+  id: string; // the first name it was given; renaming only changes `name`
+  name: string;
+  color: StatusColor;
+  kind: StatusKind;
+  categories?: string[]; // only offered for these categories; empty = all
+  next?: string[]; // statuses a job can move to from here; unset = any
+};
+
+type CustomFieldType = "text" | "number" | "longtext" | "select" | "quantities";
+
+type CustomField = {
+  id: string;
+  label: string; // e.g. "Width"
+  type: CustomFieldType;
+  options?: string[]; // choices for "select", rows for "quantities" (e.g. sizes)
+  unit?: string; // shown after numbers, e.g. "ft"
+};
+
+type Category = {
+  id: string;
+  name: string;
+  fields: CustomField[]; // extra details asked for on enquiries in this category
+};
+
+type CustomValue = string | number | Record<string, number>; // "quantities" are counts by option
 
 type User = {
   id: string;
   name: string;
   role: "admin" | "staff";
+  pinHash?: string; // PBKDF2-SHA256, base64; the PIN itself is never stored
+  pinSalt?: string; // base64
+  notify?: NotifySettings; // reminders this user receives on this device
+  views?: SavedView[]; // saved enquiry filters
+  language?: Language; // unset = the shop's default
+};
+
+type NotifySettings = {
+  enabled: boolean;
+  scope: "mine" | "mineAndUnassigned" | "all"; // which enquiries, by assignedTo
+  dueLeadMinutes: number; // remind this long before dueAt, -1 = no due reminders
+  followUps: boolean;
 };
 
+type Reminder = { id: string; at: string; note?: string; doneAt?: string }; // follow-up / callback
+
 type Enquiry = {
   id: string;
   title: string;
   category: string;
   customerName: string;
   phone?: string;
+  customerId?: string; // link to a Customer on this device, see ensureCustomers
+  messages?: MessageLog[]; // WhatsApp messages sent from the app
+  reminders?: Reminder[]; // follow-ups, see "Reminders" below
+  details?: Record<string, CustomValue>; // category custom fields, by CustomField id
+  attachments?: Attachment[]; // the files themselves stay on the device that added them, see "Attachments"
   channel: Channel;
   status: Status;
   createdAt: string; // ISO
   dueAt?: string; // ISO
   notes?: string;
   assignedTo?: string; // userId
+  items?: LineItem[]; // quotation lines
+  invoiceNo?: string; // assigned once, on first invoice
+  invoicedAt?: string; // ISO
+  payments?: Payment[];
+  history?: HistoryEntry[];
+  deletedAt?: string; // ISO, soft delete
+  deletedBy?: string; // userId
+  trackingCode?: string; // see "Tracking"
+  // Sync bookkeeping, see "Sync" below
+  fieldTimes?: Record<string, number>; // ms of the last change per field (device clock)
+  rev?: number; // server revision this copy was last synced at
+  syncedAt?: number; // device ms when this copy was last synced
+  syncPending?: boolean; // changed locally since the last push
+};
+
+type Customer = {
+  id: string;
+  name: string;
+  phone?: string;
+  createdAt: string; // ISO
+};
+
+type MessageTemplate = {
+  id: string;
+  name: string; // e.g. "Job ready for pickup"
+  body: string; // text with {placeholders}, see TEMPLATE_PLACEHOLDERS
+};
+
+type Attachment = {
+  id: string; // key of the file in the "files" store
+  name: string;
+  type: string; // MIME type of the stored file
+  size: number; // bytes, after compression
+  addedAt: string; // ISO
+  addedBy?: string; // userId
+};
+
+type MessageLog = { id: string; at: string; templateId: string; templateName: string; userId?: string };
+
+type HistoryAction = "created" | "edited" | "status" | "assigned" | "deleted" | "restored" | "messaged";
+
+type HistoryEntry = {
+  id: string;
+  at: string; // ISO
+  userId?: string;
+  action: HistoryAction;
+  changes?: { field: string; from?: string; to?: string }[];
+};
+
+type Payment = {
+  id: string;
+  amount: number;
+  at: string; // ISO
+  method: PaymentMethod;
+  receivedBy?: string; // userId
+};
+
+const PRICE_UNITS = ["sqft", "piece", "page", "job"] as const;
+type PriceUnit = typeof PRICE_UNITS[number];
+
+// Quantity break: from `minQty` units upwards the unit rate becomes `rate`
+type PriceBreak = { minQty: number; rate: number };
+
+type PriceItem = {
+  id: string;
+  category: string;
+  name: string; // e.g. "Flex per sq ft", "Colour page"
+  unit: PriceUnit;
+  rate: number;
+  breaks?: PriceBreak[];
+};
+
+type LineItem = {
+  id: string;
+  description: string;
+  priceId?: string; // source PriceItem, used to re-resolve quantity breaks
+  unit: PriceUnit;
+  qty: number;
+  width?: number; // ft, only for sqft
+  height?: number; // ft, only for sqft
+  rate: number;
+  discount: number; // %
+  tax: number; // %
+};
+
+type SyncConflict = {
+  id: string;
+  enquiryId: string;
+  title: string;
+  field: string;
+  kept?: string;
+  discarded?: string;
+  at: string; // ISO
+};
+
+type SyncSettings = {
+  enabled: boolean;
+  endpoint: string; // base URL of the sync server, e.g. http://192.168.1.10:8787
+  token?: string; // shared secret sent as a bearer token
+  deviceId: string;
+  cursor: number; // highest server revision pulled so far
+  lastSyncedAt?: string; // ISO
+  conflicts: SyncConflict[];
+  sharedTimes: Partial<Record<SharedKey, number>>; // when each shared list last changed here (see "Sync")
+  invoicePrefix?: string; // put in this device's invoice numbers while syncing; default from deviceId
+  trackingPublished?: boolean; // the server has this device's tracking pages, withdrawn once tracking is off
+  trackingWithdraw?: string[]; // replaced tracking codes whose pages are still to be removed from the server
+  pushKey?: string; // the server's Web Push public key, for reminders while the app is closed
+};
+
+type SecuritySettings = {
+  idleMinutes: number; // lock after this much inactivity, 0 = never
+  maxAttempts: number; // wrong PINs before the user is locked out
+  lockoutMinutes: number;
+};
+
+type Language = "en" | "hi" | "ml";
+type DateFormat = "dd/mm/yyyy" | "mm/dd/yyyy" | "yyyy-mm-dd" | "d mmm yyyy";
+
+type ShopProfile = {
+  name: string;
+  logo?: string; // small PNG data URL, shown in the header and on documents
+  address: string;
+  phone: string;
+  taxId: string; // e.g. GSTIN, printed on quotes and invoices
+  currency: string; // ISO 4217 code
+  timeZone: string; // IANA name for dates shown, printed and sent; empty = this device's
+  dateFormat: DateFormat;
+  language: Language; // for users who haven't picked their own
+};
+
+type BackupSettings = {
+  daily: boolean; // take a restore point each day the app is opened
+  keepDays: number; // keep one daily restore point per day for this many days…
+  keepWeeks: number; // …then one per week for this many weeks
+  encrypt: boolean; // ask for a password and encrypt exported backups
+};
+
+type TrackingSettings = {
+  enabled: boolean; // add tracking links to WhatsApp messages and publish status pages
+  baseUrl: string; // where the pages are served from; empty = the sync server's /t/
+  contact: string; // shown on the pages; empty = the shop profile's phone and address
 };
 
 type Store = {
+  shop: ShopProfile;
   users: User[];
-  categories: string[];
+  categories: Category[];
   enquiries: Enquiry[];
+  customers: Customer[];
+  priceList: PriceItem[];
+  templates: MessageTemplate[];
+  statuses: StatusDef[]; // in workflow order
+  nextInvoiceNo: number; // this device's sequential counter, only advanced when an invoice number is assigned
+  staffPermissions: Permission[]; // admins always hold every permission
+  security: SecuritySettings;
+  tracking: TrackingSettings;
+  backup: BackupSettings; // per device, like the restore points it governs
+  loginAttempts: Record<string, { count: number; lockedUntil?: string }>; // by userId
+  reminderState: Record<string, ReminderState>; // per device, by reminder key
+  setupDone: boolean; // per device: the first admin PIN has been chosen here, see canChoosePin
+  sync: SyncSettings; // per device, never sent to the server
   currentUserId?: string;
 };
 
 // ----------------------- Storage -----------------------
+// Schema v1 was the whole Store as one localStorage blob under LS_KEY.
+// From v2 the Store lives in IndexedDB: one record per enquiry, the rest as one
+// record per top-level field in "meta". Only changed records are written.
 const LS_KEY = "printmax_enquiries_v1";
-function loadStore(): Store {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (raw) return JSON.parse(raw);
-  } catch {}
+const LAST_ACTIVE_KEY = "printmax_last_active"; // ms timestamp, kept apart so activity doesn't rewrite the store
+const LAST_USER_KEY = "printmax_last_user"; // reminders keep going to this user while the app is locked
+const DEFAULT_SECURITY: SecuritySettings = { idleMinutes: 5, maxAttempts: 5, lockoutMinutes: 15 };
+const DEFAULT_TRACKING: TrackingSettings = { enabled: false, baseUrl: "", contact: "" };
+const DEFAULT_BACKUP: BackupSettings = { daily: true, keepDays: 7, keepWeeks: 4, encrypt: false };
+const DB_NAME = "printmax";
+const DB_VERSION = 3; // IndexedDB object-store layout, separate from the data schema below
+const SCHEMA_VERSION = 5;
+const SCHEMA_KEY = "schemaVersion";
+
+// MIGRATIONS[n] upgrades stored data from schema n to n+1
+const MIGRATIONS: Record<number, (s: any) => any> = {
+  1: (s) => normalizeStore(s),
+  2: (s) => ensureCustomers(normalizeStore(s)), // customers built from the names/phones on enquiries
+  // Configurable workflow; the old fixed statuses keep their names as ids, so enquiries are unchanged
+  3: (s) => ({ ...s, statuses: s.statuses || DEFAULT_STATUSES }),
+  // Categories become records with custom fields; enquiries keep referring to them by name
+  4: (s) => ({ ...s, categories: (s.categories || []).map((c: any) => typeof c === "string" ? newCategory(c) : c) }),
+};
+
+class StorageError extends Error {
+  raw?: string; // unreadable data, offered for download instead of being discarded
+  constructor(message: string, raw?: string) { super(message); this.raw = raw; }
+}
+
+function migrate(data: any, from: number): Store {
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    if (!MIGRATIONS[v]) throw new StorageError(`No migration from data schema v${v}.`);
+    data = MIGRATIONS[v](data);
+  }
+  return normalizeStore(data);
+}
+
+const idb = <T,>(r: IDBRequest<T>) => new Promise<T>((resolve, reject) => { r.onsuccess = () => resolve(r.result); r.onerror = () => reject(r.error); });
+const txDone = (tx: IDBTransaction) => new Promise<void>((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = tx.onabort = () => reject(tx.error); });
+
+let dbPromise: Promise<IDBDatabase> | undefined;
+function openDB() {
+  if (!dbPromise) dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) return reject(new StorageError("This browser has no IndexedDB support."));
+    const r = indexedDB.open(DB_NAME, DB_VERSION);
+    r.onupgradeneeded = (ev) => {
+      const db = r.result;
+      if (ev.oldVersion < 1) {
+        db.createObjectStore("enquiries", { keyPath: "id" });
+        db.createObjectStore("meta");
+      }
+      if (ev.oldVersion < 2) db.createObjectStore("snapshots", { keyPath: "id" });
+      if (ev.oldVersion < 3) db.createObjectStore("files", { keyPath: "id" });
+    };
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.onblocked = () => reject(new StorageError("Storage is busy in another tab. Close other PRINTMAX tabs and retry."));
+  });
+  dbPromise.catch(() => { dbPromise = undefined; }); // allow a retry to reopen
+  return dbPromise;
+}
+
+async function readDB(): Promise<{ version?: number; data: any }> {
+  const db = await openDB();
+  const tx = db.transaction(["enquiries", "meta"], "readonly");
+  const meta = tx.objectStore("meta");
+  const [enquiries, keys, values] = await Promise.all([idb(tx.objectStore("enquiries").getAll()), idb(meta.getAllKeys()), idb(meta.getAll())]);
+  const data: any = { enquiries };
+  keys.forEach((k, i) => { data[String(k)] = values[i]; });
+  const version = data[SCHEMA_KEY];
+  delete data[SCHEMA_KEY];
+  return { version, data };
+}
+
+// Replaces everything in the database with `s`
+async function writeAllDB(s: Store) {
+  const db = await openDB();
+  const tx = db.transaction(["enquiries", "meta"], "readwrite");
+  const es = tx.objectStore("enquiries"), meta = tx.objectStore("meta");
+  es.clear(); meta.clear();
+  s.enquiries.forEach(e => es.put(e));
+  Object.entries(s).forEach(([k, v]) => { if (k !== "enquiries") meta.put(v, k); });
+  meta.put(SCHEMA_VERSION, SCHEMA_KEY);
+  await txDone(tx);
+}
+
+// Writes only what changed between two states. State updates are immutable,
+// so an unchanged enquiry or field is the very same object in both.
+async function persistStore(prev: Store, next: Store) {
+  if (prev === next) return;
+  const db = await openDB();
+  const tx = db.transaction(["enquiries", "meta"], "readwrite");
+  const es = tx.objectStore("enquiries"), meta = tx.objectStore("meta");
+  const before = new Map(prev.enquiries.map(e => [e.id, e]));
+  next.enquiries.forEach(e => { if (before.get(e.id) !== e) es.put(e); before.delete(e.id); });
+  before.forEach((_, id) => es.delete(id));
+  Object.keys({ ...prev, ...next }).forEach(k => {
+    if (k !== "enquiries" && (prev as any)[k] !== (next as any)[k]) meta.put((next as any)[k], k);
+  });
+  await txDone(tx);
+}
+
+// Loads from IndexedDB, migrating older data first. A v1 localStorage blob is
+// moved over once and then removed. Unreadable data raises a StorageError.
+async function loadStore(): Promise<Store> {
+  const { version, data } = await readDB();
+  if (version) {
+    if (version > SCHEMA_VERSION) throw new StorageError(`Data was saved by a newer version of the app (schema v${version}). Update the app to open it.`);
+    const s = migrate(data, version);
+    if (version < SCHEMA_VERSION) await writeAllDB(s);
+    return s;
+  }
+  const raw = localStorage.getItem(LS_KEY);
+  let s = seedStore();
+  if (raw) {
+    try { s = migrate(JSON.parse(raw), 1); }
+    catch (e) { throw new StorageError(`Saved data could not be read: ${(e as Error).message}`, raw); }
+  }
+  await writeAllDB(s);
+  if (raw) localStorage.removeItem(LS_KEY);
+  return s;
+}
+
+type Snapshot = {
+  id: string;
+  at: string;
+  reason: string;
+  auto?: boolean; // daily restore point, thinned out by the retention policy (see "Backups")
+  schemaVersion: number;
+  data: Store;
+};
+
+// Full copies of the store kept on the device, e.g. right before an import
+async function saveSnapshot(data: Store, reason: string, auto = false): Promise<Snapshot> {
+  const snap: Snapshot = { id: crypto.randomUUID(), at: todayISO(), reason, auto: auto || undefined, schemaVersion: SCHEMA_VERSION, data };
+  const db = await openDB();
+  const tx = db.transaction("snapshots", "readwrite");
+  tx.objectStore("snapshots").put(snap);
+  await txDone(tx);
+  return snap;
+}
+
+async function listSnapshots(): Promise<Snapshot[]> {
+  const db = await openDB();
+  const all = await idb(db.transaction("snapshots").objectStore("snapshots").getAll());
+  return (all as Snapshot[]).sort((a, b) => b.at.localeCompare(a.at));
+}
+
+async function deleteSnapshots(ids: string[]) {
+  const db = await openDB();
+  const tx = db.transaction("snapshots", "readwrite");
+  ids.forEach(id => tx.objectStore("snapshots").delete(id));
+  await txDone(tx);
+}
+
+// Attachment contents, kept out of the Store so it stays small enough to diff and sync
+type FileRecord = { id: string; blob: Blob; thumb?: Blob };
+
+async function getFile(id: string): Promise<FileRecord | undefined> {
+  const db = await openDB();
+  return idb(db.transaction("files").objectStore("files").get(id));
+}
+
+async function putFiles(files: FileRecord[]) {
+  const db = await openDB();
+  const tx = db.transaction("files", "readwrite");
+  files.forEach(f => tx.objectStore("files").put(f));
+  await txDone(tx);
+}
+
+async function deleteFile(id: string) {
+  const db = await openDB();
+  const tx = db.transaction("files", "readwrite");
+  tx.objectStore("files").delete(id);
+  await txDone(tx);
+}
+
+async function clearAllData() {
+  if (dbPromise) (await dbPromise.catch(() => undefined))?.close();
+  dbPromise = undefined;
+  await idb(indexedDB.deleteDatabase(DB_NAME)).catch(() => undefined);
+  localStorage.removeItem(LS_KEY);
+  localStorage.removeItem(LAST_ACTIVE_KEY);
+  localStorage.removeItem(LAST_USER_KEY);
+}
+
+function seedStore(): Store {
   return {
+    shop: DEFAULT_SHOP,
     users: [
       { id: crypto.randomUUID(), name: "Admin", role: "admin" },
       { id: crypto.randomUUID(), name: "Shop", role: "staff" },
@@ -59,17 +463,426 @@ function loadStore(): Store {
       "Document Printing",
       "Plotting",
       "T-shirt",
-    ],
+    ].map(newCategory),
     enquiries: [],
+    customers: [],
+    templates: DEFAULT_TEMPLATES,
+    statuses: DEFAULT_STATUSES,
+    priceList: [
+      { id: crypto.randomUUID(), category: "Signage", name: "Flex per sq ft", unit: "sqft", rate: 18 },
+      { id: crypto.randomUUID(), category: "T-shirt", name: "Printed T-shirt", unit: "piece", rate: 350, breaks: [{ minQty: 10, rate: 300 }, { minQty: 50, rate: 250 }] },
+      { id: crypto.randomUUID(), category: "Document Printing", name: "Colour page", unit: "page", rate: 10 },
+      { id: crypto.randomUUID(), category: "Document Printing", name: "B&W page", unit: "page", rate: 2 },
+    ],
+    nextInvoiceNo: 1,
+    staffPermissions: [],
+    security: DEFAULT_SECURITY,
+    tracking: DEFAULT_TRACKING,
+    backup: DEFAULT_BACKUP,
+    loginAttempts: {},
+    reminderState: {},
+    setupDone: false,
+    sync: defaultSync(),
+  };
+}
+
+const defaultSync = (): SyncSettings => ({ enabled: false, endpoint: "", deviceId: crypto.randomUUID(), cursor: 0, conflicts: [], sharedTimes: {} });
+
+// Fills in fields added after v1 so older saved stores keep working. Stores from
+// before setupDone count as set up once an admin has a PIN on the device.
+function normalizeStore(s: any): Store {
+  return { ...s, shop: { ...DEFAULT_SHOP, ...s.shop }, customers: s.customers || [], templates: s.templates || DEFAULT_TEMPLATES, statuses: s.statuses || DEFAULT_STATUSES, priceList: s.priceList || [], nextInvoiceNo: s.nextInvoiceNo || 1, staffPermissions: s.staffPermissions || [], security: { ...DEFAULT_SECURITY, ...s.security }, tracking: { ...DEFAULT_TRACKING, ...s.tracking }, backup: { ...DEFAULT_BACKUP, ...s.backup }, loginAttempts: s.loginAttempts || {}, reminderState: s.reminderState || {}, setupDone: s.setupDone ?? (s.users || []).some((u: User) => u.role === "admin" && u.pinHash), sync: { ...defaultSync(), ...s.sync } };
+}
+
+
+// ----------------------- Locale -----------------------
+// The shop profile decides how dates and money are shown, printed and sent to
+// customers; each user picks the language of the app itself. AppShell calls
+// configureLocale on every render, so helpers like fmtDate and tr can be used
+// anywhere without passing the profile down. Dates and times, including the date
+// pickers, calendar and reports, are the shop's, whatever the device's clock is set to.
+const LANGUAGES: Record<Language, string> = { en: "English", hi: "हिन्दी", ml: "മലയാളം" };
+const DATE_FORMATS: DateFormat[] = ["dd/mm/yyyy", "mm/dd/yyyy", "yyyy-mm-dd", "d mmm yyyy"];
+const CURRENCIES = ["INR", "AED", "SAR", "QAR", "OMR", "KWD", "BHD", "USD", "GBP", "EUR"]; // suggestions; any ISO code works
+const LOGO_SIDE = 256;
+
+const DEFAULT_SHOP: ShopProfile = { name: "PRINTMAX", address: "", phone: "", taxId: "", currency: "INR", timeZone: "", dateFormat: "dd/mm/yyyy", language: "en" };
+
+const validTimeZone = (tz: string) => { try { new Intl.DateTimeFormat("en", { timeZone: tz || undefined }); return true; } catch { return false; } };
+const validCurrency = (code: string) => { try { new Intl.NumberFormat("en", { style: "currency", currency: code }); return /^[A-Z]{3}$/.test(code); } catch { return false; } };
+
+// Indian grouping (1,00,000) for rupees, the language's usual one otherwise
+function makeLocale(shop: ShopProfile, lang: Language) {
+  const currency = validCurrency(shop.currency) ? shop.currency : DEFAULT_SHOP.currency;
+  const timeZone = shop.timeZone && validTimeZone(shop.timeZone) ? shop.timeZone : undefined;
+  return {
+    shop, lang,
+    money: new Intl.NumberFormat(currency === "INR" ? `${shop.language}-IN` : shop.language, { style: "currency", currency }),
+    parts: new Intl.DateTimeFormat("en-GB", { timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23" }),
+    month: new Intl.DateTimeFormat(`${lang}-IN`, { timeZone, month: "short" }),
   };
 }
+let locale = makeLocale(DEFAULT_SHOP, DEFAULT_SHOP.language);
 
-function saveStore(s: Store) {
-  localStorage.setItem(LS_KEY, JSON.stringify(s));
+function configureLocale(shop: ShopProfile, lang: Language) {
+  if (shop !== locale.shop || lang !== locale.lang) locale = makeLocale(shop, lang);
+}
+const currentShop = () => locale.shop;
+// For Intl calls that name things in the user's language (month and weekday names)
+const langTag = () => `${locale.lang}-IN`;
+
+// English text is the key; anything without a translation is shown in English, so
+// screens can be translated a piece at a time. {name} placeholders are filled from `vars`.
+const TRANSLATIONS: Record<Exclude<Language, "en">, Record<string, string>> = {
+  hi: {
+    "Enquiries": "पूछताछ", "Export": "एक्सपोर्ट", "Import": "इम्पोर्ट", "Logout": "लॉग आउट", "Install App": "ऐप इंस्टॉल करें", "Backup": "बैकअप",
+    "Sync": "सिंक", "Syncing…": "सिंक हो रहा है…", "{n} pending": "{n} बाकी", "admin": "एडमिन", "staff": "स्टाफ़", "Admin": "एडमिन", "Staff": "स्टाफ़",
+    "Mobile-first • Works offline": "मोबाइल के लिए • ऑफ़लाइन भी चले", "WhatsApp Quick Reply": "WhatsApp त्वरित जवाब", "Import/Export Backup": "बैकअप इम्पोर्ट/एक्सपोर्ट",
+    "Select User": "उपयोगकर्ता चुनें", "Unlock": "खोलें", "Set PIN & Login": "PIN सेट करें और लॉगिन करें", "Add New User": "नया उपयोगकर्ता जोड़ें", "Name": "नाम",
+    "Add User": "उपयोगकर्ता जोड़ें", "Repeat PIN": "PIN दोबारा डालें", "{name} has no PIN yet. Ask an admin to set your PIN.": "{name} का PIN अभी सेट नहीं है। अपना PIN सेट करने के लिए एडमिन से कहें।", "Choose a PIN (4–8 digits)": "PIN चुनें (4–8 अंक)", "PIN for {name}": "{name} का PIN",
+    "Locked after inactivity. Enter your PIN to continue.": "निष्क्रियता के कारण लॉक हुआ। जारी रखने के लिए PIN डालें।",
+    "Dashboard": "डैशबोर्ड", "Calendar": "कैलेंडर", "Reports": "रिपोर्ट", "Customers": "ग्राहक", "Settings": "सेटिंग्स",
+    "Due Today / Overdue": "आज देय / समय पार", "All clear 🎉": "सब पूरा 🎉", "Open Jobs": "चालू काम", "Keep up with callbacks and WhatsApp replies.": "कॉलबैक और WhatsApp जवाबों पर नज़र रखें।",
+    "Outstanding": "बकाया राशि", "No balances due.": "कोई बकाया नहीं।", "Great job 👏": "बहुत बढ़िया 👏", "Open Quotes": "खुले कोटेशन",
+    "{n} priced enquiries not yet completed.": "{n} कोटेशन वाली पूछताछ अभी पूरी नहीं हुई।",
+    "Saved views": "सहेजे गए व्यू", "No saved views": "कोई सहेजा व्यू नहीं", "Delete view": "व्यू हटाएँ", "Name this view": "व्यू का नाम", "Save view": "व्यू सहेजें", "Clear filters": "फ़िल्टर हटाएँ",
+    "Search anything: name, phone, job, staff…": "कुछ भी खोजें: नाम, फ़ोन, काम, स्टाफ़…", "All Status": "सभी स्थिति", "All Categories": "सभी श्रेणियाँ", "All Channels": "सभी माध्यम", "All Assignees": "सभी ज़िम्मेदार",
+    "Created": "बनाया", "to": "–", "Due": "देय", "Overdue only": "केवल समय पार", "My enquiries": "मेरी पूछताछ", "List": "सूची", "Board": "बोर्ड", "{n} shown": "{n} दिख रहे हैं",
+    "Export CSV": "CSV एक्सपोर्ट", "Export Excel": "Excel एक्सपोर्ट", "Import CSV": "CSV इम्पोर्ट", "Select all shown": "दिख रहे सभी चुनें", "Show deleted ({n})": "हटाई गई दिखाएँ ({n})",
+    "No deleted enquiries match.": "कोई हटाई गई पूछताछ नहीं मिली।", "No enquiries match these filters.": "इन फ़िल्टर से कोई पूछताछ नहीं मिली।", "No enquiries yet. Add your first above.": "अभी कोई पूछताछ नहीं। ऊपर पहली जोड़ें।",
+    "+ Add Enquiry": "+ पूछताछ जोड़ें", "Quickly log in-shop / WhatsApp / call enquiries.": "दुकान / WhatsApp / कॉल की पूछताछ जल्दी दर्ज करें।",
+    "Enquiry Title (e.g., T-shirt printing)": "पूछताछ का शीर्षक (जैसे, टी-शर्ट प्रिंटिंग)", "Customer Name": "ग्राहक का नाम", "Phone (WhatsApp)": "फ़ोन (WhatsApp)",
+    "Existing customer?": "पुराने ग्राहक?", "Notes (specs, sizes, quantity)": "नोट्स (विवरण, साइज़, मात्रा)", "Save": "सहेजें", "Cancel": "रद्द करें",
+    "Edit": "बदलें", "Delete": "हटाएँ", "Delete enquiry?": "पूछताछ हटाएँ?", "Paid": "भुगतान हो गया", "Due {amount}": "बकाया {amount}", "Assigned to": "ज़िम्मेदार",
+    "Tracking code": "ट्रैकिंग कोड", "Open": "खोलें", "Copy link": "लिंक कॉपी करें", "New link": "नया लिंक", "Replace the tracking link? The old link will stop working.": "ट्रैकिंग लिंक बदलें? पुराना लिंक काम करना बंद कर देगा।", "Mark as…": "स्थिति बदलें…", "Template…": "टेम्पलेट…",
+    "Pending": "लंबित", "Quote Sent": "कोटेशन भेजा", "Artwork Approval": "आर्टवर्क स्वीकृति", "In Progress": "काम जारी", "Printing": "प्रिंटिंग", "Finishing/Fixing": "फ़िनिशिंग/फ़िटिंग",
+    "Ready for Pickup": "ले जाने के लिए तैयार", "Delivered": "डिलीवर हो गया", "Completed": "पूर्ण", "Cancelled": "रद्द",
+    "In-shop": "दुकान में", "WhatsApp": "WhatsApp", "Call": "कॉल", "Online": "ऑनलाइन",
+    "Shop Profile": "दुकान की जानकारी", "Price List": "रेट लिस्ट", "Users": "उपयोगकर्ता", "Staff Permissions": "स्टाफ़ अनुमतियाँ", "Security": "सुरक्षा", "Customer Tracking": "ग्राहक ट्रैकिंग",
+    "Restore Points": "रिस्टोर पॉइंट", "Backups": "बैकअप", "Reset": "रीसेट", "Categories": "श्रेणियाँ", "Statuses & Workflow": "स्थितियाँ और वर्कफ़्लो", "My Reminders": "मेरे रिमाइंडर", "WhatsApp Templates": "WhatsApp टेम्पलेट", "Language": "भाषा",
+    "Add": "जोड़ें", "Remove": "हटाएँ", "Close": "बंद करें", "Done": "हो गया", "Apply": "लागू करें", "Undo": "पहले जैसा करें",
+    "Rename": "नाम बदलें", "Restore": "वापस लाएँ", "Download": "डाउनलोड", "Unknown": "अज्ञात", "Phone": "फ़ोन", "Address": "पता",
+    "Title": "शीर्षक", "Customer": "ग्राहक", "Category": "श्रेणी", "Channel": "माध्यम", "Status": "स्थिति", "Assigned To": "ज़िम्मेदार",
+    "Notes": "नोट्स", "Date": "तारीख", "Unassigned": "किसी को नहीं सौंपा", "nobody": "कोई नहीं", "Today": "आज", "{n} enquiries": "{n} पूछताछ",
+    "{n} customers": "{n} ग्राहक", "You don't have permission to do that.": "आपको यह करने की अनुमति नहीं है।",
+    "Export failed: {error}": "एक्सपोर्ट नहीं हुआ: {error}",
+    "Select enquiry": "पूछताछ चुनें", "Generate Quote": "कोटेशन बनाएँ", "Generate Invoice": "बिल बनाएँ", "Last WhatsApp: {name}": "आख़िरी WhatsApp: {name}",
+    "({n} sent)": "({n} भेजे)", "Total {n}": "कुल {n}", "Due {date}": "देय {date}", "No due date": "कोई देय तारीख नहीं",
+    "Drag to change status": "स्थिति बदलने के लिए खींचें", "Nothing here": "यहाँ कुछ नहीं", "Deleted {date} by {name}": "{date} को {name} ने हटाया",
+    "{name} still owes {amount}. Mark as {status} anyway?": "{name} पर अभी {amount} बाकी है। फिर भी {status} करें?",
+    "Quotation": "कोटेशन", "+ From price list…": "+ रेट लिस्ट से…", "+ Line": "+ लाइन", "Description": "विवरण", "Qty": "मात्रा", "W ft": "चौड़ाई ft",
+    "H ft": "ऊँचाई ft", "Rate": "रेट", "Disc %": "छूट %", "Tax %": "टैक्स %", "Subtotal": "उप-योग", "Discount": "छूट",
+    "Tax": "टैक्स", "Total": "कुल",
+    "Payments": "भुगतान", "Paid {amount}": "भुगतान {amount}", "Balance {amount}": "बाकी {amount}", "Cash": "नकद", "UPI": "UPI", "Card": "कार्ड",
+    "Remove payment?": "भुगतान हटाएँ?", "Amount": "राशि", "Record": "दर्ज करें", "+ Follow-up reminder": "+ फ़ॉलो-अप रिमाइंडर", "Follow-ups": "फ़ॉलो-अप",
+    "({n} open)": "({n} बाकी)", "Note (e.g., Call back about design)": "नोट (जैसे, डिज़ाइन के बारे में वापस कॉल करें)", "+ Attach file": "+ फ़ाइल जोड़ें",
+    "Take photo": "फ़ोटो लें", "Saving…": "सहेजा जा रहा है…", "Attachments ({n})": "अटैचमेंट ({n})", "File": "फ़ाइल", "Not on this device": "इस डिवाइस पर नहीं",
+    "Delete {name}?": "{name} हटाएँ?", "Couldn't attach {name}: {error}.": "{name} नहीं जुड़ सकी: {error}।", "Hide history ({n})": "इतिहास छिपाएँ ({n})",
+    "Show history ({n})": "इतिहास दिखाएँ ({n})", "Deleted": "हटाया गया",
+    "{n} selected": "{n} चुने गए", "Action…": "काम…", "Change status": "स्थिति बदलें", "Assign to": "इन्हें सौंपें", "Shift due date": "देय तारीख खिसकाएँ",
+    "Change category": "श्रेणी बदलें", "Send WhatsApp…": "WhatsApp भेजें…", "Status…": "स्थिति…", "— Nobody": "— कोई नहीं",
+    "Days, e.g. 2 or -1": "दिन, जैसे 2 या -1", "Category…": "श्रेणी…", "Clear selection": "चुनाव हटाएँ", "Status → {status}": "स्थिति → {status}",
+    "Assigned to {name}": "{name} को सौंपा", "Due date {n} day(s)": "देय तारीख {n} दिन", "Category → {name}": "श्रेणी → {name}", "already {name}": "पहले से {name}",
+    "can't move from {status}": "{status} से नहीं बदल सकते", "already assigned": "पहले से सौंपा हुआ", "no due date": "देय तारीख नहीं",
+    "unknown category": "अज्ञात श्रेणी", "{n} still owe {amount} in total.": "{n} पर कुल {amount} बाकी है।",
+    "{label}: {n} enquiries will change.": "{label}: {n} पूछताछ बदलेंगी।", "{n} skipped ({reason}).": "{n} छोड़ी गईं ({reason})।",
+    "You can undo this right after.": "इसके तुरंत बाद आप इसे पहले जैसा कर सकते हैं।", "Nothing to change.": "बदलने को कुछ नहीं।",
+    "{label}: {n} enquiries updated.": "{label}: {n} पूछताछ बदली गईं।", "Send WhatsApp to {n} customers": "{n} ग्राहकों को WhatsApp भेजें",
+    "{n} selected enquiries have no phone number and are left out.": "चुनी गई {n} पूछताछ में फ़ोन नंबर नहीं है, इसलिए वे छोड़ी गईं।",
+    "{i} of {n}": "{n} में से {i}", "Skip": "छोड़ें", "Open WhatsApp": "WhatsApp खोलें", "All done.": "सब हो गया।",
+    "Nobody to message.": "संदेश भेजने को कोई नहीं।", "Stop": "रोकें",
+    "{file} is empty.": "{file} खाली है।", "Import {file} • {n} rows": "{file} इम्पोर्ट करें • {n} पंक्तियाँ",
+    "Match your spreadsheet columns to enquiry fields. Title and Customer are required.": "अपनी स्प्रेडशीट के कॉलम पूछताछ के फ़ील्ड से मिलाएँ। शीर्षक और ग्राहक ज़रूरी हैं।",
+    "— not in file —": "— फ़ाइल में नहीं —", "Column {n}": "कॉलम {n}",
+    "{n} will be imported, {skipped} skipped (no title or customer).": "{n} इम्पोर्ट होंगी, {skipped} छोड़ी गईं (शीर्षक या ग्राहक नहीं)।",
+    "{n} will be imported.": "{n} इम्पोर्ट होंगी।", "New categories: {list}.": "नई श्रेणियाँ: {list}।",
+    "Not in the category list (an admin can add them): {list}.": "श्रेणी सूची में नहीं (एडमिन इन्हें जोड़ सकते हैं): {list}।", "Import {n}": "{n} इम्पोर्ट करें",
+    "Possible duplicates": "संभावित डुप्लिकेट",
+    "These customers share a phone number. Merging moves all enquiries to the one you keep and uses its name and phone.": "इन ग्राहकों का फ़ोन नंबर एक ही है। मिलाने पर सारी पूछताछ रखे गए ग्राहक में चली जाएँगी और उसी का नाम और फ़ोन रहेगा।",
+    "Merge {n} customers into {name}?": "{n} ग्राहकों को {name} में मिलाएँ?", "Keep {name}": "{name} रखें",
+    "Search customers by name or phone": "नाम या फ़ोन से ग्राहक खोजें",
+    "No customers yet. They're added automatically from enquiries.": "अभी कोई ग्राहक नहीं। पूछताछ से अपने आप जुड़ जाते हैं।", "no phone": "फ़ोन नहीं",
+    "Spent {amount}": "ख़र्च {amount}", "Last contact {date}": "आख़िरी संपर्क {date}",
+    "Day": "दिन", "Week": "सप्ताह", "Month": "महीना", "All staff": "सारा स्टाफ़", "Export .ics": ".ics एक्सपोर्ट",
+    "No upcoming due jobs to export.": "एक्सपोर्ट करने के लिए कोई आने वाला काम नहीं।", "Nothing due.": "कुछ देय नहीं।", "+{n} more": "+{n} और",
+    "Workload": "काम का बोझ", "open jobs due per person per day": "हर व्यक्ति के हर दिन के देय चालू काम",
+    "Last 7 days": "पिछले 7 दिन", "Last 30 days": "पिछले 30 दिन", "Last 90 days": "पिछले 90 दिन", "This month": "इस महीने", "This year": "इस साल",
+    "All time": "शुरू से अब तक", "Custom": "अपनी तारीखें", "{n} enquiries created {from} – {to}": "{from} – {to} में {n} पूछताछ आईं",
+    "Enquiries over time": "समय के साथ पूछताछ", "Conversion": "कन्वर्ज़न", "Average turnaround": "औसत समय", "Overdue rate by staff": "स्टाफ़ अनुसार देरी",
+    "Revenue by category": "श्रेणी अनुसार कमाई", "Busiest days": "सबसे व्यस्त दिन", "Busiest hours": "सबसे व्यस्त घंटे", "By category": "श्रेणी अनुसार",
+    "By channel": "माध्यम अनुसार", "of closed enquiries were completed": "बंद पूछताछ पूरी हुईं",
+    "Days from enquiry to completion": "पूछताछ से काम पूरा होने तक के दिन", "{n} d": "{n} दिन",
+    "Jobs finished after their due date, or still open past it": "देय तारीख के बाद पूरे हुए या अब तक बाकी काम", "Collected (quoted)": "वसूल (कोटेशन)",
+    "No data in this range.": "इस अवधि में कोई डेटा नहीं।", "Week of": "सप्ताह", "Outcome": "नतीजा", "% of closed": "बंद में %", "Still open": "अभी बाकी",
+    "Completed jobs": "पूरे काम", "Avg days": "औसत दिन", "All": "सभी", "Jobs due": "देय काम", "Late": "देर से", "% late": "% देर",
+    "Quoted": "कोटेशन", "Collected": "वसूल", "Hour": "घंटा", "Mon": "सोम", "Tue": "मंगल", "Wed": "बुध",
+    "Thu": "गुरु", "Fri": "शुक्र", "Sat": "शनि", "Sun": "रवि",
+    "Item (e.g., Colour page)": "आइटम (जैसे, कलर पेज)", "per {unit}": "प्रति {unit}", "Breaks (10:300, 50:250)": "मात्रा छूट (10:300, 50:250)",
+    "Add Price": "रेट जोड़ें", "First PIN (4–8 digits)": "पहला PIN (4–8 अंक)", "PIN set": "PIN सेट है",
+    "no PIN yet, can't log in until an admin sets one": "अभी PIN नहीं, एडमिन के सेट करने तक लॉगिन नहीं हो सकता", "Set PIN": "PIN सेट करें", "New PIN": "नया PIN",
+    "PIN must be 4–8 digits.": "PIN 4–8 अंकों का होना चाहिए।", "Only an admin can add admins.": "सिर्फ़ एडमिन ही एडमिन जोड़ सकते हैं।",
+    "Only an admin can remove admins.": "सिर्फ़ एडमिन ही एडमिन हटा सकते हैं।", "Can't remove the last admin.": "आख़िरी एडमिन को नहीं हटा सकते।",
+    "Admins can always do everything. Tick what staff users may also do.": "एडमिन सब कुछ कर सकते हैं। स्टाफ़ और क्या कर सकता है, उस पर टिक करें।",
+    "Lock after idle (minutes, 0 = never)": "इतनी देर बिना काम के बाद लॉक करें (मिनट, 0 = कभी नहीं)", "Wrong PINs before lockout": "लॉक होने से पहले ग़लत PIN",
+    "Lockout duration (minutes)": "लॉक रहने का समय (मिनट)",
+    "Share enquiries, users, categories and statuses between devices through your own sync server (see sync-server.js). PINs and other settings stay on each device: set a user's PIN on each device they use.": "अपने सिंक सर्वर (sync-server.js देखें) से पूछताछ, उपयोगकर्ता, श्रेणियाँ और स्थितियाँ डिवाइसों में साझा करें। PIN और बाकी सेटिंग्स हर डिवाइस पर अलग रहती हैं: उपयोगकर्ता जिस डिवाइस पर काम करे, वहाँ उसका PIN सेट करें।",
+    "Server URL (http://192.168.1.10:8787)": "सर्वर URL (http://192.168.1.10:8787)", "Token (optional)": "टोकन (वैकल्पिक)",
+    "Sync automatically": "अपने आप सिंक करें", "Sync Now": "अभी सिंक करें", "Last synced {date}": "आख़िरी सिंक {date}", "Never synced": "कभी सिंक नहीं हुआ",
+    "Conflicts resolved by latest edit": "टकराव, जो आख़िरी बदलाव से सुलझाए गए", "Dismiss all": "सब हटाएँ",
+    "Kept “{kept}”, discarded “{discarded}”": "“{kept}” रखा, “{discarded}” छोड़ा", "Invoice prefix for this device": "इस डिवाइस का बिल प्रीफ़िक्स",
+    "While syncing, invoice numbers include it (e.g. {example}), so devices never hand out the same number. Use a different prefix on each device.": "सिंक के समय बिल नंबर में यह जुड़ता है (जैसे {example}), ताकि दो डिवाइस एक ही नंबर न दें। हर डिवाइस पर अलग प्रीफ़िक्स रखें।",
+    "Device ID {id}": "डिवाइस ID {id}",
+    "Adds a link to WhatsApp messages where customers can check their order's status, due date and balance. Pages are published by the sync server, or export them and upload to your own site. They show nothing else about the job or other orders.": "WhatsApp संदेशों में एक लिंक जोड़ता है, जहाँ ग्राहक अपने ऑर्डर की स्थिति, देय तारीख और बाकी राशि देख सकते हैं। पेज सिंक सर्वर प्रकाशित करता है, या उन्हें एक्सपोर्ट करके अपनी साइट पर डालें। उनमें काम या दूसरे ऑर्डर के बारे में और कुछ नहीं दिखता।",
+    "Add tracking links": "ट्रैकिंग लिंक जोड़ें", "Pages URL (default {url})": "पेज URL (डिफ़ॉल्ट {url})",
+    "Pages URL (https://example.com/track/)": "पेज URL (https://example.com/track/)",
+    "Contact shown on the page (default: shop phone and address)": "पेज पर दिखने वाला संपर्क (डिफ़ॉल्ट: दुकान का फ़ोन और पता)",
+    "Export Pages": "पेज एक्सपोर्ट करें", "Set a pages URL or a sync server, or links can't be added.": "पेज URL या सिंक सर्वर सेट करें, वरना लिंक नहीं जुड़ सकते।",
+    "Restore points are kept on this device only. Export a backup regularly and keep it somewhere else.": "रिस्टोर पॉइंट सिर्फ़ इसी डिवाइस पर रहते हैं। नियमित बैकअप एक्सपोर्ट करके कहीं और रखें।",
+    "Daily restore point": "रोज़ का रिस्टोर पॉइंट", "Keep one a day for (days)": "रोज़ एक रखें (दिन)", "Then one a week for (weeks)": "फिर हफ़्ते में एक (हफ़्ते)",
+    "Encrypt exported backups with a password": "एक्सपोर्ट किए बैकअप पासवर्ड से सुरक्षित करें", "Save Now": "अभी सहेजें",
+    "No restore points yet.": "अभी कोई रिस्टोर पॉइंट नहीं।", "Automatic": "अपने आप", "Roll back": "वापस जाएँ",
+    "Roll back to the restore point from {date}? Changes made since then will be replaced.": "{date} के रिस्टोर पॉइंट पर वापस जाएँ? उसके बाद के बदलाव बदल दिए जाएँगे।",
+    "Roll back cancelled: couldn't save a restore point ({error}).": "वापस जाना रद्द: रिस्टोर पॉइंट नहीं सहेजा जा सका ({error})।",
+    "Import cancelled: couldn't save a restore point ({error}).": "इम्पोर्ट रद्द: रिस्टोर पॉइंट नहीं सहेजा जा सका ({error})।",
+    "Couldn't save a restore point: {error}.": "रिस्टोर पॉइंट नहीं सहेजा जा सका: {error}।",
+    "Delete the restore point from {date}?": "{date} का रिस्टोर पॉइंट हटाएँ?", "Clear Local Data": "लोकल डेटा मिटाएँ",
+    "Clear all local data?": "सारा लोकल डेटा मिटाएँ?", "This only affects this device/browser.": "इसका असर सिर्फ़ इस डिवाइस/ब्राउज़र पर होगा।",
+    "Couldn't read that image.": "वह तस्वीर पढ़ी नहीं जा सकी।", "Shop name": "दुकान का नाम", "Tax ID (e.g. GSTIN)": "टैक्स ID (जैसे GSTIN)", "Currency": "मुद्रा",
+    "Time zone": "समय क्षेत्र", "This device ({zone})": "यह डिवाइस ({zone})", "Date format": "तारीख का फ़ॉर्मैट", "Default language": "डिफ़ॉल्ट भाषा",
+    "Change logo": "लोगो बदलें", "Add logo": "लोगो जोड़ें",
+    "Shown as {date} and {amount} on screen, documents, WhatsApp messages and tracking pages. Date pickers, the calendar and reports use the shop's time zone too.": "स्क्रीन, दस्तावेज़ों, WhatsApp संदेशों और ट्रैकिंग पेजों पर {date} और {amount} जैसा दिखता है। तारीख चुनने, कैलेंडर और रिपोर्ट में भी दुकान का समय क्षेत्र इस्तेमाल होता है।",
+    "Custom fields are asked for on enquiries in that category. Renaming or merging updates every enquiry, price item and status filed under it.": "उस श्रेणी की पूछताछ में कस्टम फ़ील्ड पूछे जाते हैं। नाम बदलने या मिलाने पर उसकी हर पूछताछ, रेट आइटम और स्थिति बदल जाती है।",
+    "There's already a category called {name}.": "{name} नाम की श्रेणी पहले से है।",
+    "There's already a category called {name}. Use \"Merge into\" to combine them.": "{name} नाम की श्रेणी पहले से है। दोनों को जोड़ने के लिए \"इसमें मिलाएँ\" इस्तेमाल करें।",
+    "Rename {from} to {to}? {n} enquiries will be updated.": "{from} का नाम बदलकर {to} करें? {n} पूछताछ बदलेंगी।",
+    "Merge {from} into {into}? Its {n} enquiries move to {into}, and details {into} has no field for are added to their notes.": "{from} को {into} में मिलाएँ? इसकी {n} पूछताछ {into} में जाएँगी, और जिन विवरणों का {into} में फ़ील्ड नहीं है वे उनके नोट्स में जुड़ेंगे।",
+    "{n} enquiries are in {name}. Merge it into another category instead.": "{n} पूछताछ {name} में हैं। इसकी जगह इसे दूसरी श्रेणी में मिलाएँ।",
+    "Delete category {name}?": "श्रेणी {name} हटाएँ?", "Fields": "फ़ील्ड", "Merge into…": "इसमें मिलाएँ…", "Text": "टेक्स्ट", "Number": "संख्या",
+    "Long text": "लंबा टेक्स्ट", "Choice": "विकल्प", "Quantities (e.g. sizes)": "मात्राएँ (जैसे साइज़)", "Choices: Flex, Vinyl": "विकल्प: Flex, Vinyl",
+    "Rows: S, M, L": "पंक्तियाँ: S, M, L", "Unit (e.g., ft)": "इकाई (जैसे, ft)",
+    "Remove the field {name}? Values already entered are no longer shown.": "फ़ील्ड {name} हटाएँ? पहले भरी गई जानकारी अब नहीं दिखेगी।", "New field": "नया फ़ील्ड",
+    "+ Add field": "+ फ़ील्ड जोड़ें", "In use but not listed:": "इस्तेमाल में, पर सूची में नहीं:", "{name} (add)": "{name} (जोड़ें)",
+    "Add category (e.g., Sticker Fixing)": "श्रेणी जोड़ें (जैसे, स्टिकर लगाना)",
+    "There's already a status called {name}.": "{name} नाम की स्थिति पहले से है।",
+    "{n} enquiries are {status}. Move them to another status first.": "{n} पूछताछ {status} हैं। पहले उन्हें दूसरी स्थिति में ले जाएँ।",
+    "Keep at least one status.": "कम से कम एक स्थिति रखें।", "Delete status {status}?": "स्थिति {status} हटाएँ?",
+    "In workflow order. Completed and cancelled statuses end a job: it drops off Due Today and reminders, and cancelled jobs owe nothing.": "वर्कफ़्लो के क्रम में। पूर्ण और रद्द स्थितियाँ काम ख़त्म करती हैं: वह आज देय और रिमाइंडर से हट जाता है, और रद्द काम पर कुछ बाकी नहीं रहता।",
+    "nowhere": "कहीं नहीं", "any": "कोई भी", "{list} only": "सिर्फ़ {list}", "Red": "लाल", "Orange": "नारंगी", "Yellow": "पीला",
+    "Green": "हरा", "Teal": "फ़िरोज़ी", "Blue": "नीला", "Purple": "बैंगनी", "Gray": "स्लेटी", "Completed (ends the job)": "पूर्ण (काम ख़त्म)",
+    "Cancelled (ends the job, nothing owed)": "रद्द (काम ख़त्म, कुछ बाकी नहीं)",
+    "Used for categories (none ticked = all)": "इन श्रेणियों के लिए (कुछ न चुना = सभी)", "Only allow moving to:": "सिर्फ़ इनमें बदल सकें:",
+    "Add status (e.g., Lamination)": "स्थिति जोड़ें (जैसे, लैमिनेशन)",
+    "Notifications on this device, also when the app is closed.": "इस डिवाइस पर सूचनाएँ, ऐप बंद होने पर भी।",
+    "Notifications on this device while PRINTMAX is open (a background tab is enough). This browser can't show them once the app is closed.": "PRINTMAX खुला रहने तक इस डिवाइस पर सूचनाएँ (पीछे खुला टैब काफ़ी है)। ऐप बंद होने पर यह ब्राउज़र उन्हें नहीं दिखा सकता।",
+    "Notifications on this device while PRINTMAX is open (a background tab is enough). Turn on automatic sync with a sync server to get them when the app is closed too.": "PRINTMAX खुला रहने तक इस डिवाइस पर सूचनाएँ (पीछे खुला टैब काफ़ी है)। ऐप बंद होने पर भी पाने के लिए सिंक सर्वर के साथ अपने आप सिंक चालू करें।",
+    "Each user sets their own.": "हर उपयोगकर्ता अपने ख़ुद सेट करता है।", "Send me reminders": "मुझे रिमाइंडर भेजें", "Assigned to me": "मुझे सौंपी गईं",
+    "Assigned to me or nobody": "मुझे या किसी को नहीं सौंपी गईं", "All enquiries": "सभी पूछताछ", "Due date reminder": "देय तारीख रिमाइंडर", "Off": "बंद",
+    "At due time": "देय समय पर", "15 min before": "15 मिनट पहले", "1 hour before": "1 घंटा पहले", "3 hours before": "3 घंटे पहले", "1 day before": "1 दिन पहले",
+    "Follow-up reminders": "फ़ॉलो-अप रिमाइंडर", "This browser doesn't support notifications.": "यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।",
+    "Notifications are blocked for this site. Allow them in the browser's site settings.": "इस साइट की सूचनाएँ ब्लॉक हैं। ब्राउज़र की साइट सेटिंग्स में इन्हें चालू करें।",
+    "Placeholders:": "प्लेसहोल्डर:", "Delete template \"{name}\"?": "टेम्पलेट \"{name}\" हटाएँ?", "+ Template": "+ टेम्पलेट",
+    "Template name (e.g., Job ready for pickup)": "टेम्पलेट का नाम (जैसे, काम ले जाने को तैयार)",
+  },
+  ml: {
+    "Enquiries": "അന്വേഷണങ്ങൾ", "Export": "എക്സ്പോർട്ട്", "Import": "ഇംപോർട്ട്", "Logout": "ലോഗ് ഔട്ട്", "Install App": "ആപ്പ് ഇൻസ്റ്റാൾ ചെയ്യുക", "Backup": "ബാക്കപ്പ്",
+    "Sync": "സിങ്ക്", "Syncing…": "സിങ്ക് ചെയ്യുന്നു…", "{n} pending": "{n} ബാക്കി", "admin": "അഡ്മിൻ", "staff": "സ്റ്റാഫ്", "Admin": "അഡ്മിൻ", "Staff": "സ്റ്റാഫ്",
+    "Mobile-first • Works offline": "മൊബൈലിനായി • ഓഫ്ലൈനിലും പ്രവർത്തിക്കും", "WhatsApp Quick Reply": "WhatsApp പെട്ടെന്നുള്ള മറുപടി", "Import/Export Backup": "ബാക്കപ്പ് ഇംപോർട്ട്/എക്സ്പോർട്ട്",
+    "Select User": "ഉപയോക്താവിനെ തിരഞ്ഞെടുക്കുക", "Unlock": "തുറക്കുക", "Set PIN & Login": "PIN സെറ്റ് ചെയ്ത് ലോഗിൻ ചെയ്യുക", "Add New User": "പുതിയ ഉപയോക്താവിനെ ചേർക്കുക", "Name": "പേര്",
+    "Add User": "ഉപയോക്താവിനെ ചേർക്കുക", "Repeat PIN": "PIN വീണ്ടും നൽകുക", "{name} has no PIN yet. Ask an admin to set your PIN.": "{name} ന് ഇതുവരെ PIN ഇല്ല. നിങ്ങളുടെ PIN സജ്ജമാക്കാൻ അഡ്മിനോട് ആവശ്യപ്പെടുക.", "Choose a PIN (4–8 digits)": "PIN തിരഞ്ഞെടുക്കുക (4–8 അക്കങ്ങൾ)", "PIN for {name}": "{name} ന്റെ PIN",
+    "Locked after inactivity. Enter your PIN to continue.": "ഉപയോഗമില്ലാത്തതിനാൽ ലോക്ക് ആയി. തുടരാൻ PIN നൽകുക.",
+    "Dashboard": "ഡാഷ്ബോർഡ്", "Calendar": "കലണ്ടർ", "Reports": "റിപ്പോർട്ടുകൾ", "Customers": "ഉപഭോക്താക്കൾ", "Settings": "ക്രമീകരണങ്ങൾ",
+    "Due Today / Overdue": "ഇന്ന് നൽകേണ്ടവ / വൈകിയവ", "All clear 🎉": "എല്ലാം തീർന്നു 🎉", "Open Jobs": "നടക്കുന്ന ജോലികൾ", "Keep up with callbacks and WhatsApp replies.": "തിരിച്ചുവിളികളും WhatsApp മറുപടികളും മുടങ്ങാതെ നോക്കുക.",
+    "Outstanding": "കിട്ടാനുള്ള തുക", "No balances due.": "ബാക്കി തുകയില്ല.", "Great job 👏": "നന്നായി 👏", "Open Quotes": "തുറന്ന ക്വട്ടേഷനുകൾ",
+    "{n} priced enquiries not yet completed.": "വില നൽകിയ {n} അന്വേഷണങ്ങൾ ഇനിയും പൂർത്തിയായിട്ടില്ല.",
+    "Saved views": "സേവ് ചെയ്ത വ്യൂകൾ", "No saved views": "സേവ് ചെയ്ത വ്യൂ ഇല്ല", "Delete view": "വ്യൂ ഡിലീറ്റ് ചെയ്യുക", "Name this view": "വ്യൂവിന് പേര് നൽകുക", "Save view": "വ്യൂ സേവ് ചെയ്യുക", "Clear filters": "ഫിൽട്ടറുകൾ മായ്ക്കുക",
+    "Search anything: name, phone, job, staff…": "എന്തും തിരയുക: പേര്, ഫോൺ, ജോലി, സ്റ്റാഫ്…", "All Status": "എല്ലാ സ്റ്റാറ്റസും", "All Categories": "എല്ലാ വിഭാഗങ്ങളും", "All Channels": "എല്ലാ മാർഗങ്ങളും", "All Assignees": "എല്ലാ ചുമതലക്കാരും",
+    "Created": "ചേർത്തത്", "to": "–", "Due": "അവസാന തീയതി", "Overdue only": "വൈകിയവ മാത്രം", "My enquiries": "എന്റെ അന്വേഷണങ്ങൾ", "List": "ലിസ്റ്റ്", "Board": "ബോർഡ്", "{n} shown": "{n} എണ്ണം കാണിക്കുന്നു",
+    "Export CSV": "CSV എക്സ്പോർട്ട്", "Export Excel": "Excel എക്സ്പോർട്ട്", "Import CSV": "CSV ഇംപോർട്ട്", "Select all shown": "കാണിക്കുന്നവ എല്ലാം തിരഞ്ഞെടുക്കുക", "Show deleted ({n})": "ഡിലീറ്റ് ചെയ്തവ കാണിക്കുക ({n})",
+    "No deleted enquiries match.": "ചേരുന്ന ഡിലീറ്റ് ചെയ്ത അന്വേഷണങ്ങളില്ല.", "No enquiries match these filters.": "ഈ ഫിൽട്ടറുകൾക്ക് ചേരുന്ന അന്വേഷണങ്ങളില്ല.", "No enquiries yet. Add your first above.": "ഇതുവരെ അന്വേഷണങ്ങളില്ല. ആദ്യത്തേത് മുകളിൽ ചേർക്കുക.",
+    "+ Add Enquiry": "+ അന്വേഷണം ചേർക്കുക", "Quickly log in-shop / WhatsApp / call enquiries.": "കടയിലെ / WhatsApp / ഫോൺ അന്വേഷണങ്ങൾ വേഗത്തിൽ ചേർക്കുക.",
+    "Enquiry Title (e.g., T-shirt printing)": "അന്വേഷണത്തിന്റെ തലക്കെട്ട് (ഉദാ. ടി-ഷർട്ട് പ്രിന്റിംഗ്)", "Customer Name": "ഉപഭോക്താവിന്റെ പേര്", "Phone (WhatsApp)": "ഫോൺ (WhatsApp)",
+    "Existing customer?": "പഴയ ഉപഭോക്താവാണോ?", "Notes (specs, sizes, quantity)": "കുറിപ്പുകൾ (വിവരങ്ങൾ, വലുപ്പം, എണ്ണം)", "Save": "സേവ് ചെയ്യുക", "Cancel": "റദ്ദാക്കുക",
+    "Edit": "എഡിറ്റ്", "Delete": "ഡിലീറ്റ്", "Delete enquiry?": "അന്വേഷണം ഡിലീറ്റ് ചെയ്യണോ?", "Paid": "പണം നൽകി", "Due {amount}": "ബാക്കി {amount}", "Assigned to": "ചുമതല",
+    "Tracking code": "ട്രാക്കിംഗ് കോഡ്", "Open": "തുറക്കുക", "Copy link": "ലിങ്ക് കോപ്പി ചെയ്യുക", "New link": "പുതിയ ലിങ്ക്", "Replace the tracking link? The old link will stop working.": "ട്രാക്കിംഗ് ലിങ്ക് മാറ്റണോ? പഴയ ലിങ്ക് പ്രവർത്തിക്കില്ല.", "Mark as…": "സ്റ്റാറ്റസ് മാറ്റുക…", "Template…": "ടെംപ്ലേറ്റ്…",
+    "Pending": "തീർപ്പാകാത്തത്", "Quote Sent": "ക്വട്ടേഷൻ അയച്ചു", "Artwork Approval": "ആർട്ട്വർക്ക് അംഗീകാരം", "In Progress": "പുരോഗമിക്കുന്നു", "Printing": "പ്രിന്റിംഗ്", "Finishing/Fixing": "ഫിനിഷിംഗ്/ഫിക്സിംഗ്",
+    "Ready for Pickup": "കൊണ്ടുപോകാൻ തയ്യാർ", "Delivered": "ഡെലിവർ ചെയ്തു", "Completed": "പൂർത്തിയായി", "Cancelled": "റദ്ദാക്കി",
+    "In-shop": "കടയിൽ", "WhatsApp": "WhatsApp", "Call": "ഫോൺ കോൾ", "Online": "ഓൺലൈൻ",
+    "Shop Profile": "കടയുടെ വിവരങ്ങൾ", "Price List": "വില പട്ടിക", "Users": "ഉപയോക്താക്കൾ", "Staff Permissions": "സ്റ്റാഫ് അനുമതികൾ", "Security": "സുരക്ഷ", "Customer Tracking": "ഉപഭോക്തൃ ട്രാക്കിംഗ്",
+    "Restore Points": "റീസ്റ്റോർ പോയിന്റുകൾ", "Backups": "ബാക്കപ്പുകൾ", "Reset": "റീസെറ്റ്", "Categories": "വിഭാഗങ്ങൾ", "Statuses & Workflow": "സ്റ്റാറ്റസുകളും വർക്ക്ഫ്ലോയും", "My Reminders": "എന്റെ ഓർമ്മപ്പെടുത്തലുകൾ", "WhatsApp Templates": "WhatsApp ടെംപ്ലേറ്റുകൾ", "Language": "ഭാഷ",
+    "Add": "ചേർക്കുക", "Remove": "നീക്കം ചെയ്യുക", "Close": "അടയ്ക്കുക", "Done": "കഴിഞ്ഞു", "Apply": "പ്രയോഗിക്കുക", "Undo": "പഴയപടിയാക്കുക",
+    "Rename": "പേര് മാറ്റുക", "Restore": "പുനഃസ്ഥാപിക്കുക", "Download": "ഡൗൺലോഡ്", "Unknown": "അജ്ഞാതം", "Phone": "ഫോൺ", "Address": "വിലാസം",
+    "Title": "തലക്കെട്ട്", "Customer": "ഉപഭോക്താവ്", "Category": "വിഭാഗം", "Channel": "ചാനൽ", "Status": "സ്റ്റാറ്റസ്", "Assigned To": "ചുമതല",
+    "Notes": "കുറിപ്പുകൾ", "Date": "തീയതി", "Unassigned": "ആരെയും ഏൽപ്പിച്ചിട്ടില്ല", "nobody": "ആരുമില്ല", "Today": "ഇന്ന്", "{n} enquiries": "{n} അന്വേഷണങ്ങൾ",
+    "{n} customers": "{n} ഉപഭോക്താക്കൾ", "You don't have permission to do that.": "ഇത് ചെയ്യാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.",
+    "Export failed: {error}": "എക്സ്പോർട്ട് പരാജയപ്പെട്ടു: {error}",
+    "Select enquiry": "അന്വേഷണം തിരഞ്ഞെടുക്കുക", "Generate Quote": "ക്വട്ടേഷൻ ഉണ്ടാക്കുക", "Generate Invoice": "ഇൻവോയ്സ് ഉണ്ടാക്കുക",
+    "Last WhatsApp: {name}": "അവസാന WhatsApp: {name}", "({n} sent)": "({n} അയച്ചു)", "Total {n}": "ആകെ {n}", "Due {date}": "അവസാന തീയതി {date}",
+    "No due date": "അവസാന തീയതിയില്ല", "Drag to change status": "സ്റ്റാറ്റസ് മാറ്റാൻ വലിച്ചിടുക", "Nothing here": "ഇവിടെ ഒന്നുമില്ല",
+    "Deleted {date} by {name}": "{date}-ന് {name} ഡിലീറ്റ് ചെയ്തു",
+    "{name} still owes {amount}. Mark as {status} anyway?": "{name} ഇനിയും {amount} തരാനുണ്ട്. എന്നാലും {status} ആക്കണോ?",
+    "Quotation": "ക്വട്ടേഷൻ", "+ From price list…": "+ വില പട്ടികയിൽ നിന്ന്…", "+ Line": "+ വരി", "Description": "വിവരണം", "Qty": "എണ്ണം", "W ft": "വീതി ft",
+    "H ft": "ഉയരം ft", "Rate": "നിരക്ക്", "Disc %": "കിഴിവ് %", "Tax %": "നികുതി %", "Subtotal": "ഉപതുക", "Discount": "കിഴിവ്",
+    "Tax": "നികുതി", "Total": "ആകെ",
+    "Payments": "പേയ്മെന്റുകൾ", "Paid {amount}": "അടച്ചത് {amount}", "Balance {amount}": "ബാക്കി {amount}", "Cash": "പണം", "UPI": "UPI", "Card": "കാർഡ്",
+    "Remove payment?": "പേയ്മെന്റ് നീക്കം ചെയ്യണോ?", "Amount": "തുക", "Record": "രേഖപ്പെടുത്തുക", "+ Follow-up reminder": "+ ഫോളോ-അപ്പ് ഓർമ്മപ്പെടുത്തൽ",
+    "Follow-ups": "ഫോളോ-അപ്പുകൾ", "({n} open)": "({n} ബാക്കി)", "Note (e.g., Call back about design)": "കുറിപ്പ് (ഉദാ. ഡിസൈനിനെ കുറിച്ച് തിരികെ വിളിക്കുക)",
+    "+ Attach file": "+ ഫയൽ ചേർക്കുക", "Take photo": "ഫോട്ടോ എടുക്കുക", "Saving…": "സേവ് ചെയ്യുന്നു…", "Attachments ({n})": "അറ്റാച്ച്മെന്റുകൾ ({n})",
+    "File": "ഫയൽ", "Not on this device": "ഈ ഉപകരണത്തിൽ ഇല്ല", "Delete {name}?": "{name} ഡിലീറ്റ് ചെയ്യണോ?",
+    "Couldn't attach {name}: {error}.": "{name} ചേർക്കാനായില്ല: {error}.", "Hide history ({n})": "ചരിത്രം മറയ്ക്കുക ({n})",
+    "Show history ({n})": "ചരിത്രം കാണിക്കുക ({n})", "Deleted": "ഡിലീറ്റ് ചെയ്തു",
+    "{n} selected": "{n} തിരഞ്ഞെടുത്തു", "Action…": "പ്രവൃത്തി…", "Change status": "സ്റ്റാറ്റസ് മാറ്റുക", "Assign to": "ഏൽപ്പിക്കുക",
+    "Shift due date": "അവസാന തീയതി നീക്കുക", "Change category": "വിഭാഗം മാറ്റുക", "Send WhatsApp…": "WhatsApp അയയ്ക്കുക…", "Status…": "സ്റ്റാറ്റസ്…",
+    "— Nobody": "— ആരുമില്ല", "Days, e.g. 2 or -1": "ദിവസം, ഉദാ. 2 അല്ലെങ്കിൽ -1", "Category…": "വിഭാഗം…", "Clear selection": "തിരഞ്ഞെടുപ്പ് മാറ്റുക",
+    "Status → {status}": "സ്റ്റാറ്റസ് → {status}", "Assigned to {name}": "{name}-നെ ഏൽപ്പിച്ചു", "Due date {n} day(s)": "അവസാന തീയതി {n} ദിവസം",
+    "Category → {name}": "വിഭാഗം → {name}", "already {name}": "ഇതിനകം {name}", "can't move from {status}": "{status}-ൽ നിന്ന് മാറ്റാനാവില്ല",
+    "already assigned": "ഇതിനകം ഏൽപ്പിച്ചു", "no due date": "അവസാന തീയതിയില്ല", "unknown category": "അജ്ഞാത വിഭാഗം",
+    "{n} still owe {amount} in total.": "{n} പേർ ആകെ {amount} തരാനുണ്ട്.", "{label}: {n} enquiries will change.": "{label}: {n} അന്വേഷണങ്ങൾ മാറും.",
+    "{n} skipped ({reason}).": "{n} ഒഴിവാക്കി ({reason}).", "You can undo this right after.": "ഇതിന് തൊട്ടുപിന്നാലെ പഴയപടിയാക്കാം.",
+    "Nothing to change.": "മാറ്റാൻ ഒന്നുമില്ല.", "{label}: {n} enquiries updated.": "{label}: {n} അന്വേഷണങ്ങൾ പുതുക്കി.",
+    "Send WhatsApp to {n} customers": "{n} ഉപഭോക്താക്കൾക്ക് WhatsApp അയയ്ക്കുക",
+    "{n} selected enquiries have no phone number and are left out.": "തിരഞ്ഞെടുത്ത {n} അന്വേഷണങ്ങളിൽ ഫോൺ നമ്പറില്ല, അവ ഒഴിവാക്കി.", "{i} of {n}": "{n}-ൽ {i}",
+    "Skip": "ഒഴിവാക്കുക", "Open WhatsApp": "WhatsApp തുറക്കുക", "All done.": "എല്ലാം കഴിഞ്ഞു.", "Nobody to message.": "സന്ദേശം അയയ്ക്കാൻ ആരുമില്ല.",
+    "Stop": "നിർത്തുക",
+    "{file} is empty.": "{file} ശൂന്യമാണ്.", "Import {file} • {n} rows": "{file} ഇംപോർട്ട് ചെയ്യുക • {n} വരികൾ",
+    "Match your spreadsheet columns to enquiry fields. Title and Customer are required.": "സ്പ്രെഡ്ഷീറ്റിലെ കോളങ്ങൾ അന്വേഷണത്തിലെ ഫീൽഡുകളുമായി യോജിപ്പിക്കുക. തലക്കെട്ടും ഉപഭോക്താവും നിർബന്ധമാണ്.",
+    "— not in file —": "— ഫയലിൽ ഇല്ല —", "Column {n}": "കോളം {n}",
+    "{n} will be imported, {skipped} skipped (no title or customer).": "{n} ഇംപോർട്ട് ചെയ്യും, {skipped} ഒഴിവാക്കി (തലക്കെട്ടോ ഉപഭോക്താവോ ഇല്ല).",
+    "{n} will be imported.": "{n} ഇംപോർട്ട് ചെയ്യും.", "New categories: {list}.": "പുതിയ വിഭാഗങ്ങൾ: {list}.",
+    "Not in the category list (an admin can add them): {list}.": "വിഭാഗ പട്ടികയിൽ ഇല്ല (അഡ്മിന് ചേർക്കാം): {list}.", "Import {n}": "{n} ഇംപോർട്ട് ചെയ്യുക",
+    "Possible duplicates": "ഇരട്ടിപ്പാകാൻ സാധ്യതയുള്ളവ",
+    "These customers share a phone number. Merging moves all enquiries to the one you keep and uses its name and phone.": "ഈ ഉപഭോക്താക്കൾക്ക് ഒരേ ഫോൺ നമ്പറാണ്. ലയിപ്പിച്ചാൽ എല്ലാ അന്വേഷണങ്ങളും നിലനിർത്തുന്നയാളിലേക്ക് മാറും, അയാളുടെ പേരും ഫോണും ഉപയോഗിക്കും.",
+    "Merge {n} customers into {name}?": "{n} ഉപഭോക്താക്കളെ {name}-ൽ ലയിപ്പിക്കണോ?", "Keep {name}": "{name} നിലനിർത്തുക",
+    "Search customers by name or phone": "പേരോ ഫോണോ ഉപയോഗിച്ച് ഉപഭോക്താക്കളെ തിരയുക",
+    "No customers yet. They're added automatically from enquiries.": "ഇതുവരെ ഉപഭോക്താക്കളില്ല. അന്വേഷണങ്ങളിൽ നിന്ന് സ്വയം ചേർക്കപ്പെടും.", "no phone": "ഫോണില്ല",
+    "Spent {amount}": "ചെലവഴിച്ചത് {amount}", "Last contact {date}": "അവസാന ബന്ധപ്പെടൽ {date}",
+    "Day": "ദിവസം", "Week": "ആഴ്ച", "Month": "മാസം", "All staff": "എല്ലാ സ്റ്റാഫും", "Export .ics": ".ics എക്സ്പോർട്ട്",
+    "No upcoming due jobs to export.": "എക്സ്പോർട്ട് ചെയ്യാൻ വരാനിരിക്കുന്ന ജോലികളില്ല.", "Nothing due.": "ഒന്നും ബാക്കിയില്ല.", "+{n} more": "+{n} കൂടി",
+    "Workload": "ജോലിഭാരം", "open jobs due per person per day": "ഓരോരുത്തർക്കും ഓരോ ദിവസവും തീർക്കേണ്ട ജോലികൾ",
+    "Last 7 days": "കഴിഞ്ഞ 7 ദിവസം", "Last 30 days": "കഴിഞ്ഞ 30 ദിവസം", "Last 90 days": "കഴിഞ്ഞ 90 ദിവസം", "This month": "ഈ മാസം", "This year": "ഈ വർഷം",
+    "All time": "എല്ലാ കാലവും", "Custom": "ഇഷ്ടാനുസൃതം", "{n} enquiries created {from} – {to}": "{from} – {to} കാലയളവിൽ {n} അന്വേഷണങ്ങൾ",
+    "Enquiries over time": "കാലക്രമത്തിൽ അന്വേഷണങ്ങൾ", "Conversion": "കൺവേർഷൻ", "Average turnaround": "ശരാശരി സമയം",
+    "Overdue rate by staff": "സ്റ്റാഫ് തിരിച്ചുള്ള വൈകൽ നിരക്ക്", "Revenue by category": "വിഭാഗം തിരിച്ചുള്ള വരുമാനം",
+    "Busiest days": "ഏറ്റവും തിരക്കുള്ള ദിവസങ്ങൾ", "Busiest hours": "ഏറ്റവും തിരക്കുള്ള മണിക്കൂറുകൾ", "By category": "വിഭാഗം തിരിച്ച്",
+    "By channel": "ചാനൽ തിരിച്ച്", "of closed enquiries were completed": "അടച്ച അന്വേഷണങ്ങൾ പൂർത്തിയായി",
+    "Days from enquiry to completion": "അന്വേഷണം മുതൽ പൂർത്തിയാകും വരെയുള്ള ദിവസങ്ങൾ", "{n} d": "{n} ദി",
+    "Jobs finished after their due date, or still open past it": "അവസാന തീയതി കഴിഞ്ഞ് തീർത്തതോ ഇപ്പോഴും ബാക്കിയുള്ളതോ ആയ ജോലികൾ",
+    "Collected (quoted)": "കിട്ടിയത് (ക്വട്ടേഷൻ)", "No data in this range.": "ഈ കാലയളവിൽ ഡാറ്റയില്ല.", "Week of": "ആഴ്ച തുടങ്ങുന്നത്", "Outcome": "ഫലം",
+    "% of closed": "അടച്ചവയിൽ %", "Still open": "ഇപ്പോഴും ബാക്കി", "Completed jobs": "പൂർത്തിയായ ജോലികൾ", "Avg days": "ശരാശരി ദിവസം", "All": "എല്ലാം",
+    "Jobs due": "തീർക്കേണ്ട ജോലികൾ", "Late": "വൈകിയവ", "% late": "% വൈകി", "Quoted": "ക്വട്ടേഷൻ", "Collected": "കിട്ടിയത്", "Hour": "മണിക്കൂർ",
+    "Mon": "തിങ്കൾ", "Tue": "ചൊവ്വ", "Wed": "ബുധൻ", "Thu": "വ്യാഴം", "Fri": "വെള്ളി", "Sat": "ശനി",
+    "Sun": "ഞായർ",
+    "Item (e.g., Colour page)": "ഇനം (ഉദാ. കളർ പേജ്)", "per {unit}": "{unit}-ന്", "Breaks (10:300, 50:250)": "അളവ് നിരക്കുകൾ (10:300, 50:250)",
+    "Add Price": "വില ചേർക്കുക", "First PIN (4–8 digits)": "ആദ്യ PIN (4–8 അക്കം)", "PIN set": "PIN സെറ്റ് ചെയ്തു",
+    "no PIN yet, can't log in until an admin sets one": "PIN ഇല്ല, അഡ്മിൻ സെറ്റ് ചെയ്യും വരെ ലോഗിൻ ചെയ്യാനാവില്ല", "Set PIN": "PIN സെറ്റ് ചെയ്യുക",
+    "New PIN": "പുതിയ PIN", "PIN must be 4–8 digits.": "PIN 4–8 അക്കമായിരിക്കണം.", "Only an admin can add admins.": "അഡ്മിന് മാത്രമേ അഡ്മിനെ ചേർക്കാനാകൂ.",
+    "Only an admin can remove admins.": "അഡ്മിന് മാത്രമേ അഡ്മിനെ നീക്കാനാകൂ.", "Can't remove the last admin.": "അവസാനത്തെ അഡ്മിനെ നീക്കാനാവില്ല.",
+    "Admins can always do everything. Tick what staff users may also do.": "അഡ്മിന് എല്ലാം ചെയ്യാം. സ്റ്റാഫിന് കൂടി ചെയ്യാവുന്നവ ടിക്ക് ചെയ്യുക.",
+    "Lock after idle (minutes, 0 = never)": "ഉപയോഗിക്കാതിരുന്നാൽ ലോക്ക് ചെയ്യുക (മിനിറ്റ്, 0 = ഒരിക്കലും ഇല്ല)",
+    "Wrong PINs before lockout": "ലോക്ക് ആകുന്നതിന് മുമ്പുള്ള തെറ്റായ PIN-കൾ", "Lockout duration (minutes)": "ലോക്ക് സമയം (മിനിറ്റ്)",
+    "Share enquiries, users, categories and statuses between devices through your own sync server (see sync-server.js). PINs and other settings stay on each device: set a user's PIN on each device they use.": "നിങ്ങളുടെ സിങ്ക് സെർവർ (sync-server.js കാണുക) വഴി അന്വേഷണങ്ങൾ, ഉപയോക്താക്കൾ, വിഭാഗങ്ങൾ, സ്റ്റാറ്റസുകൾ എന്നിവ ഉപകരണങ്ങൾ തമ്മിൽ പങ്കിടുക. PIN-ഉം മറ്റ് സെറ്റിംഗ്സും ഓരോ ഉപകരണത്തിലും വേറെയാണ്: ഉപയോക്താവ് ഉപയോഗിക്കുന്ന ഓരോ ഉപകരണത്തിലും PIN സെറ്റ് ചെയ്യുക.",
+    "Server URL (http://192.168.1.10:8787)": "സെർവർ URL (http://192.168.1.10:8787)", "Token (optional)": "ടോക്കൺ (ഐച്ഛികം)",
+    "Sync automatically": "സ്വയം സിങ്ക് ചെയ്യുക", "Sync Now": "ഇപ്പോൾ സിങ്ക് ചെയ്യുക", "Last synced {date}": "അവസാനം സിങ്ക് ചെയ്തത് {date}",
+    "Never synced": "ഇതുവരെ സിങ്ക് ചെയ്തിട്ടില്ല", "Conflicts resolved by latest edit": "അവസാന മാറ്റം വെച്ച് പരിഹരിച്ച വൈരുദ്ധ്യങ്ങൾ",
+    "Dismiss all": "എല്ലാം ഒഴിവാക്കുക", "Kept “{kept}”, discarded “{discarded}”": "“{kept}” നിലനിർത്തി, “{discarded}” ഒഴിവാക്കി",
+    "Invoice prefix for this device": "ഈ ഉപകരണത്തിന്റെ ഇൻവോയ്സ് പ്രിഫിക്സ്",
+    "While syncing, invoice numbers include it (e.g. {example}), so devices never hand out the same number. Use a different prefix on each device.": "സിങ്ക് ചെയ്യുമ്പോൾ ഇൻവോയ്സ് നമ്പറിൽ ഇത് ചേർക്കും (ഉദാ. {example}), അതിനാൽ രണ്ട് ഉപകരണങ്ങൾ ഒരേ നമ്പർ നൽകില്ല. ഓരോ ഉപകരണത്തിലും വേറെ പ്രിഫിക്സ് ഉപയോഗിക്കുക.",
+    "Device ID {id}": "ഉപകരണ ID {id}",
+    "Adds a link to WhatsApp messages where customers can check their order's status, due date and balance. Pages are published by the sync server, or export them and upload to your own site. They show nothing else about the job or other orders.": "WhatsApp സന്ദേശങ്ങളിൽ ഒരു ലിങ്ക് ചേർക്കുന്നു, അതിൽ ഉപഭോക്താക്കൾക്ക് ഓർഡറിന്റെ സ്റ്റാറ്റസ്, അവസാന തീയതി, ബാക്കി തുക എന്നിവ കാണാം. പേജുകൾ സിങ്ക് സെർവർ പ്രസിദ്ധീകരിക്കും, അല്ലെങ്കിൽ എക്സ്പോർട്ട് ചെയ്ത് നിങ്ങളുടെ സൈറ്റിൽ അപ്‌ലോഡ് ചെയ്യുക. ജോലിയെക്കുറിച്ചോ മറ്റ് ഓർഡറുകളെക്കുറിച്ചോ വേറൊന്നും കാണിക്കില്ല.",
+    "Add tracking links": "ട്രാക്കിംഗ് ലിങ്കുകൾ ചേർക്കുക", "Pages URL (default {url})": "പേജ് URL (സ്ഥിരം {url})",
+    "Pages URL (https://example.com/track/)": "പേജ് URL (https://example.com/track/)",
+    "Contact shown on the page (default: shop phone and address)": "പേജിൽ കാണിക്കുന്ന ബന്ധപ്പെടാനുള്ള വിവരം (സ്ഥിരം: കടയുടെ ഫോണും വിലാസവും)",
+    "Export Pages": "പേജുകൾ എക്സ്പോർട്ട് ചെയ്യുക",
+    "Set a pages URL or a sync server, or links can't be added.": "പേജ് URL-ഓ സിങ്ക് സെർവറോ സെറ്റ് ചെയ്യുക, ഇല്ലെങ്കിൽ ലിങ്കുകൾ ചേർക്കാനാവില്ല.",
+    "Restore points are kept on this device only. Export a backup regularly and keep it somewhere else.": "റീസ്റ്റോർ പോയിന്റുകൾ ഈ ഉപകരണത്തിൽ മാത്രമേ ഉള്ളൂ. പതിവായി ബാക്കപ്പ് എക്സ്പോർട്ട് ചെയ്ത് മറ്റൊരിടത്ത് സൂക്ഷിക്കുക.",
+    "Daily restore point": "ദിവസേനയുള്ള റീസ്റ്റോർ പോയിന്റ്", "Keep one a day for (days)": "ദിവസം ഒന്ന് സൂക്ഷിക്കുക (ദിവസം)",
+    "Then one a week for (weeks)": "പിന്നെ ആഴ്ചയിൽ ഒന്ന് (ആഴ്ച)",
+    "Encrypt exported backups with a password": "എക്സ്പോർട്ട് ചെയ്യുന്ന ബാക്കപ്പുകൾ പാസ്‌വേഡ് കൊണ്ട് സംരക്ഷിക്കുക", "Save Now": "ഇപ്പോൾ സേവ് ചെയ്യുക",
+    "No restore points yet.": "ഇതുവരെ റീസ്റ്റോർ പോയിന്റുകളില്ല.", "Automatic": "സ്വയമേവ", "Roll back": "പിന്നോട്ട് പോകുക",
+    "Roll back to the restore point from {date}? Changes made since then will be replaced.": "{date}-ലെ റീസ്റ്റോർ പോയിന്റിലേക്ക് പോകണോ? അതിനുശേഷമുള്ള മാറ്റങ്ങൾ മാറ്റിസ്ഥാപിക്കും.",
+    "Roll back cancelled: couldn't save a restore point ({error}).": "പിന്നോട്ട് പോകൽ റദ്ദാക്കി: റീസ്റ്റോർ പോയിന്റ് സേവ് ചെയ്യാനായില്ല ({error}).",
+    "Import cancelled: couldn't save a restore point ({error}).": "ഇംപോർട്ട് റദ്ദാക്കി: റീസ്റ്റോർ പോയിന്റ് സേവ് ചെയ്യാനായില്ല ({error}).",
+    "Couldn't save a restore point: {error}.": "റീസ്റ്റോർ പോയിന്റ് സേവ് ചെയ്യാനായില്ല: {error}.",
+    "Delete the restore point from {date}?": "{date}-ലെ റീസ്റ്റോർ പോയിന്റ് ഡിലീറ്റ് ചെയ്യണോ?", "Clear Local Data": "ലോക്കൽ ഡാറ്റ മായ്ക്കുക",
+    "Clear all local data?": "എല്ലാ ലോക്കൽ ഡാറ്റയും മായ്ക്കണോ?", "This only affects this device/browser.": "ഇത് ഈ ഉപകരണത്തെ/ബ്രൗസറിനെ മാത്രമേ ബാധിക്കൂ.",
+    "Couldn't read that image.": "ആ ചിത്രം വായിക്കാനായില്ല.", "Shop name": "കടയുടെ പേര്", "Tax ID (e.g. GSTIN)": "നികുതി ID (ഉദാ. GSTIN)", "Currency": "കറൻസി",
+    "Time zone": "സമയ മേഖല", "This device ({zone})": "ഈ ഉപകരണം ({zone})", "Date format": "തീയതി ഫോർമാറ്റ്", "Default language": "സ്ഥിരം ഭാഷ",
+    "Change logo": "ലോഗോ മാറ്റുക", "Add logo": "ലോഗോ ചേർക്കുക",
+    "Shown as {date} and {amount} on screen, documents, WhatsApp messages and tracking pages. Date pickers, the calendar and reports use the shop's time zone too.": "സ്ക്രീനിലും രേഖകളിലും WhatsApp സന്ദേശങ്ങളിലും ട്രാക്കിംഗ് പേജുകളിലും {date}, {amount} എന്ന് കാണിക്കും. തീയതി തിരഞ്ഞെടുക്കൽ, കലണ്ടർ, റിപ്പോർട്ടുകൾ എന്നിവയും കടയുടെ സമയ മേഖല ഉപയോഗിക്കുന്നു.",
+    "Custom fields are asked for on enquiries in that category. Renaming or merging updates every enquiry, price item and status filed under it.": "ആ വിഭാഗത്തിലെ അന്വേഷണങ്ങളിൽ കസ്റ്റം ഫീൽഡുകൾ ചോദിക്കും. പേര് മാറ്റുകയോ ലയിപ്പിക്കുകയോ ചെയ്താൽ അതിലെ എല്ലാ അന്വേഷണങ്ങളും വില ഇനങ്ങളും സ്റ്റാറ്റസുകളും പുതുക്കും.",
+    "There's already a category called {name}.": "{name} എന്ന വിഭാഗം ഇതിനകം ഉണ്ട്.",
+    "There's already a category called {name}. Use \"Merge into\" to combine them.": "{name} എന്ന വിഭാഗം ഇതിനകം ഉണ്ട്. ഒന്നിപ്പിക്കാൻ \"ഇതിലേക്ക് ലയിപ്പിക്കുക\" ഉപയോഗിക്കുക.",
+    "Rename {from} to {to}? {n} enquiries will be updated.": "{from} എന്നത് {to} എന്നാക്കണോ? {n} അന്വേഷണങ്ങൾ പുതുക്കും.",
+    "Merge {from} into {into}? Its {n} enquiries move to {into}, and details {into} has no field for are added to their notes.": "{from} {into}-ൽ ലയിപ്പിക്കണോ? അതിലെ {n} അന്വേഷണങ്ങൾ {into}-ലേക്ക് മാറും, {into}-ൽ ഫീൽഡില്ലാത്ത വിവരങ്ങൾ അവയുടെ കുറിപ്പുകളിൽ ചേർക്കും.",
+    "{n} enquiries are in {name}. Merge it into another category instead.": "{n} അന്വേഷണങ്ങൾ {name}-ൽ ഉണ്ട്. പകരം മറ്റൊരു വിഭാഗത്തിൽ ലയിപ്പിക്കുക.",
+    "Delete category {name}?": "{name} വിഭാഗം ഡിലീറ്റ് ചെയ്യണോ?", "Fields": "ഫീൽഡുകൾ", "Merge into…": "ഇതിലേക്ക് ലയിപ്പിക്കുക…", "Text": "ടെക്സ്റ്റ്",
+    "Number": "സംഖ്യ", "Long text": "നീണ്ട ടെക്സ്റ്റ്", "Choice": "തിരഞ്ഞെടുപ്പ്", "Quantities (e.g. sizes)": "അളവുകൾ (ഉദാ. സൈസുകൾ)",
+    "Choices: Flex, Vinyl": "തിരഞ്ഞെടുപ്പുകൾ: Flex, Vinyl", "Rows: S, M, L": "വരികൾ: S, M, L", "Unit (e.g., ft)": "യൂണിറ്റ് (ഉദാ. ft)",
+    "Remove the field {name}? Values already entered are no longer shown.": "{name} ഫീൽഡ് നീക്കം ചെയ്യണോ? ഇതിനകം നൽകിയ വിവരങ്ങൾ ഇനി കാണിക്കില്ല.",
+    "New field": "പുതിയ ഫീൽഡ്", "+ Add field": "+ ഫീൽഡ് ചേർക്കുക", "In use but not listed:": "ഉപയോഗത്തിലുണ്ട്, പക്ഷേ പട്ടികയിലില്ല:",
+    "{name} (add)": "{name} (ചേർക്കുക)", "Add category (e.g., Sticker Fixing)": "വിഭാഗം ചേർക്കുക (ഉദാ. സ്റ്റിക്കർ ഒട്ടിക്കൽ)",
+    "There's already a status called {name}.": "{name} എന്ന സ്റ്റാറ്റസ് ഇതിനകം ഉണ്ട്.",
+    "{n} enquiries are {status}. Move them to another status first.": "{n} അന്വേഷണങ്ങൾ {status} ആണ്. ആദ്യം അവയെ മറ്റൊരു സ്റ്റാറ്റസിലേക്ക് മാറ്റുക.",
+    "Keep at least one status.": "ഒരു സ്റ്റാറ്റസെങ്കിലും നിലനിർത്തുക.", "Delete status {status}?": "{status} സ്റ്റാറ്റസ് ഡിലീറ്റ് ചെയ്യണോ?",
+    "In workflow order. Completed and cancelled statuses end a job: it drops off Due Today and reminders, and cancelled jobs owe nothing.": "വർക്ക്ഫ്ലോ ക്രമത്തിൽ. പൂർത്തിയായി, റദ്ദാക്കി എന്നീ സ്റ്റാറ്റസുകൾ ജോലി അവസാനിപ്പിക്കും: അത് ഇന്നത്തെ പട്ടികയിൽ നിന്നും ഓർമ്മപ്പെടുത്തലുകളിൽ നിന്നും മാറും, റദ്ദാക്കിയ ജോലിക്ക് തുക ബാക്കിയില്ല.",
+    "nowhere": "എവിടേക്കുമില്ല", "any": "ഏതും", "{list} only": "{list} മാത്രം", "Red": "ചുവപ്പ്", "Orange": "ഓറഞ്ച്", "Yellow": "മഞ്ഞ",
+    "Green": "പച്ച", "Teal": "ടീൽ", "Blue": "നീല", "Purple": "പർപ്പിൾ", "Gray": "ചാരനിറം", "Completed (ends the job)": "പൂർത്തിയായി (ജോലി അവസാനിക്കും)",
+    "Cancelled (ends the job, nothing owed)": "റദ്ദാക്കി (ജോലി അവസാനിക്കും, ബാക്കിയില്ല)",
+    "Used for categories (none ticked = all)": "ഈ വിഭാഗങ്ങൾക്ക് (ഒന്നും ടിക്ക് ചെയ്തില്ലെങ്കിൽ = എല്ലാം)", "Only allow moving to:": "ഇവയിലേക്ക് മാത്രം മാറ്റാം:",
+    "Add status (e.g., Lamination)": "സ്റ്റാറ്റസ് ചേർക്കുക (ഉദാ. ലാമിനേഷൻ)",
+    "Notifications on this device, also when the app is closed.": "ഈ ഉപകരണത്തിൽ അറിയിപ്പുകൾ, ആപ്പ് അടച്ചാലും.",
+    "Notifications on this device while PRINTMAX is open (a background tab is enough). This browser can't show them once the app is closed.": "PRINTMAX തുറന്നിരിക്കുമ്പോൾ ഈ ഉപകരണത്തിൽ അറിയിപ്പുകൾ (പിന്നിലുള്ള ടാബ് മതി). ആപ്പ് അടച്ചാൽ ഈ ബ്രൗസറിന് അവ കാണിക്കാനാവില്ല.",
+    "Notifications on this device while PRINTMAX is open (a background tab is enough). Turn on automatic sync with a sync server to get them when the app is closed too.": "PRINTMAX തുറന്നിരിക്കുമ്പോൾ ഈ ഉപകരണത്തിൽ അറിയിപ്പുകൾ (പിന്നിലുള്ള ടാബ് മതി). ആപ്പ് അടച്ചാലും കിട്ടാൻ സിങ്ക് സെർവറുമായി സ്വയം സിങ്ക് ഓണാക്കുക.",
+    "Each user sets their own.": "ഓരോ ഉപയോക്താവും സ്വന്തമായി സെറ്റ് ചെയ്യുന്നു.", "Send me reminders": "എനിക്ക് ഓർമ്മപ്പെടുത്തലുകൾ അയയ്ക്കുക",
+    "Assigned to me": "എന്നെ ഏൽപ്പിച്ചവ", "Assigned to me or nobody": "എന്നെയോ ആരെയും ഏൽപ്പിക്കാത്തവ", "All enquiries": "എല്ലാ അന്വേഷണങ്ങളും",
+    "Due date reminder": "അവസാന തീയതി ഓർമ്മപ്പെടുത്തൽ", "Off": "ഓഫ്", "At due time": "അവസാന സമയത്ത്", "15 min before": "15 മിനിറ്റ് മുമ്പ്",
+    "1 hour before": "1 മണിക്കൂർ മുമ്പ്", "3 hours before": "3 മണിക്കൂർ മുമ്പ്", "1 day before": "1 ദിവസം മുമ്പ്",
+    "Follow-up reminders": "ഫോളോ-അപ്പ് ഓർമ്മപ്പെടുത്തലുകൾ", "This browser doesn't support notifications.": "ഈ ബ്രൗസർ അറിയിപ്പുകൾ പിന്തുണയ്ക്കുന്നില്ല.",
+    "Notifications are blocked for this site. Allow them in the browser's site settings.": "ഈ സൈറ്റിന്റെ അറിയിപ്പുകൾ തടഞ്ഞിരിക്കുന്നു. ബ്രൗസറിന്റെ സൈറ്റ് സെറ്റിംഗ്സിൽ അനുവദിക്കുക.",
+    "Placeholders:": "പ്ലേസ്ഹോൾഡറുകൾ:", "Delete template \"{name}\"?": "\"{name}\" ടെംപ്ലേറ്റ് ഡിലീറ്റ് ചെയ്യണോ?", "+ Template": "+ ടെംപ്ലേറ്റ്",
+    "Template name (e.g., Job ready for pickup)": "ടെംപ്ലേറ്റിന്റെ പേര് (ഉദാ. ജോലി കൊണ്ടുപോകാൻ തയ്യാർ)",
+  },
+};
+
+function tr(text: string, vars?: Record<string, string | number>) {
+  const out = (locale.lang !== "en" && TRANSLATIONS[locale.lang][text]) || text;
+  return vars ? out.replace(/\{(\w+)\}/g, (m, k) => k in vars ? String(vars[k]) : m) : out;
+}
+// Status names are admin-defined; the default ones (and any named the same) are translated
+const statusLabel = (st: StatusDef) => tr(st.name);
+
+// Shop logo, scaled down and stored inline with the profile
+async function logoDataUrl(file: File): Promise<string> {
+  const img = await createImageBitmap(file);
+  const blob = await encodeImage(img, LOGO_SIDE, "image/png", 1);
+  img.close();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
 }
 
 // ----------------------- Helpers -----------------------
-const fmtDate = (iso?: string) => (iso ? new Date(iso).toLocaleString() : "—");
+// Dates follow the shop profile's format and time zone, see "Locale". toLocalDT and
+// fromLocalDT (at the end of the file) convert for date pickers in the same zone.
+function dateParts(iso: string) {
+  const p: Record<string, string> = {};
+  locale.parts.formatToParts(new Date(iso)).forEach(x => { p[x.type] = x.value; });
+  return p;
+}
+function fmtDay(iso?: string) {
+  if (!iso || isNaN(Date.parse(iso))) return "—";
+  const p = dateParts(iso);
+  switch (locale.shop.dateFormat) {
+    case "mm/dd/yyyy": return `${p.month}/${p.day}/${p.year}`;
+    case "yyyy-mm-dd": return `${p.year}-${p.month}-${p.day}`;
+    case "d mmm yyyy": return `${Number(p.day)} ${locale.month.format(new Date(iso))} ${p.year}`;
+    default: return `${p.day}/${p.month}/${p.year}`;
+  }
+}
+const fmtTime = (iso: string) => { const p = dateParts(iso); return `${p.hour}:${p.minute}`; };
+const fmtDate = (iso?: string) => (iso && !isNaN(Date.parse(iso)) ? `${fmtDay(iso)}, ${fmtTime(iso)}` : "—");
 const todayISO = () => new Date().toISOString();
 const dateOnly = (d: Date) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
 const isOverdue = (iso?: string) => {
@@ -79,261 +892,2545 @@ const isOverdue = (iso?: string) => {
   return due.getTime() < now.getTime();
 };
 
-// Builds a WhatsApp deeplink with optional text
-function waLink(phone?: string, text?: string) {
-  const base = phone ? `https://wa.me/${phone.replace(/\D/g, "")}` : "https://wa.me";
-  const q = text ? `?text=${encodeURIComponent(text)}` : "";
+const phoneDigits = (phone?: string) => (phone || "").replace(/\D/g, "");
+// Phone identity for matching customers: the digits, ignoring a country/trunk prefix
+// ("+91 98470 12345", "098470 12345" and "9847012345" are the same number)
+const phoneKey = (phone?: string) => { const d = phoneDigits(phone); return d.length > 10 ? d.slice(-10) : d; };
+
+// Builds a WhatsApp deeplink with optional text and the customer's tracking link
+function waLink(phone?: string, text?: string, trackUrl?: string) {
+  const base = phone ? `https://wa.me/${phoneDigits(phone)}` : "https://wa.me";
+  const body = [text, trackUrl && `Track your order: ${trackUrl}`].filter(Boolean).join("\n\n");
+  const q = body ? `?text=${encodeURIComponent(body)}` : "";
   return base + q;
 }
 
-// ----------------------- UI Primitives -----------------------
-function Pill({ children, className = "" }: { children: React.ReactNode; className?: string }) {
-  return <span className={`px-2 py-1 rounded-full text-xs font-medium ${className}`}>{children}</span>;
-}
+// ----------------------- Permissions -----------------------
+const PERMISSION_LABELS: Record<Permission, string> = {
+  deleteEnquiry: "Delete enquiries",
+  restoreEnquiry: "Restore deleted enquiries",
+  mergeCustomers: "Merge duplicate customers",
+  manageTemplates: "Edit WhatsApp templates",
+  manageWorkflow: "Edit statuses & workflow",
+  manageCategories: "Edit categories & custom fields",
+  managePrices: "Edit price list",
+  manageUsers: "Add / remove users",
+  importEnquiries: "Import enquiries from CSV",
+  importBackup: "Import backup (replaces data)",
+  clearData: "Clear local data",
+};
 
-function Card({ children, className = "" }: { children: React.ReactNode; className?: string }) {
-  return (
-    <div className={`bg-white rounded-2xl shadow-sm border border-gray-200 ${className}`}>{children}</div>
-  );
+function can(user: User | undefined, perm: Permission, staffPermissions: Permission[]) {
+  if (!user) return false;
+  return user.role === "admin" || staffPermissions.includes(perm);
 }
 
-function Button({ children, onClick, type = "button", className = "", disabled = false }:{ children: React.ReactNode; onClick?: () => void; type?: "button" | "submit"; className?: string; disabled?: boolean }) {
-  return (
-    <button
-      type={type}
-      onClick={onClick}
-      disabled={disabled}
-      className={`px-4 py-2 rounded-2xl border text-sm shadow-sm active:scale-[.99] disabled:opacity-50 ${className}`}
-    >
-      {children}
-    </button>
-  );
-}
+const adminCount = (users: User[]) => users.filter(u => u.role === "admin").length;
+// Ids can outlive their user (removed here, or not yet synced from another device)
+const userName = (users: User[], id?: string) => id ? users.find(u => u.id === id)?.name || `Unknown user (${id.slice(0, 8)})` : undefined;
 
-function Input({ value, onChange, placeholder = "", type = "text", className = "", required=false }:{ value?: any; onChange?: any; placeholder?: string; type?: string; className?: string; required?: boolean }){
-  return (
-    <input value={value} onChange={onChange} placeholder={placeholder} type={type}
-      required={required}
-      className={`w-full border rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`} />
-  );
-}
+// ----------------------- Workflow -----------------------
+// Admins configure statuses in Settings: order, colour, kind, which categories
+// use them and where a job can go next. These are the defaults for new shops.
+const DEFAULT_STATUSES: StatusDef[] = [
+  { id: "Pending", name: "Pending", color: "red", kind: "open" },
+  { id: "Quote Sent", name: "Quote Sent", color: "orange", kind: "open" },
+  { id: "Artwork Approval", name: "Artwork Approval", color: "purple", kind: "open" },
+  { id: "In Progress", name: "In Progress", color: "yellow", kind: "open" },
+  { id: "Printing", name: "Printing", color: "blue", kind: "open" },
+  { id: "Finishing/Fixing", name: "Finishing/Fixing", color: "teal", kind: "open" },
+  { id: "Ready for Pickup", name: "Ready for Pickup", color: "green", kind: "open" },
+  { id: "Delivered", name: "Delivered", color: "green", kind: "completed" },
+  { id: "Completed", name: "Completed", color: "green", kind: "completed" },
+  { id: "Cancelled", name: "Cancelled", color: "gray", kind: "cancelled" },
+];
 
-function TextArea({ value, onChange, placeholder = "", className = "" }:{ value?: any; onChange?: any; placeholder?: string; className?: string }){
-  return (
-    <textarea value={value} onChange={onChange} placeholder={placeholder}
-      className={`w-full border rounded-xl px-3 py-2 text-sm min-h-[90px] focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`} />
-  );
-}
+// Synced or imported enquiries may carry a status this device doesn't define; it's shown as-is
+const statusDef = (statuses: StatusDef[], id: Status): StatusDef => statuses.find(s => s.id === id) || { id, name: id, color: "gray", kind: "open" };
+const isTerminal = (statuses: StatusDef[], id: Status) => statusDef(statuses, id).kind !== "open";
+const statusesFor = (statuses: StatusDef[], category: string) => statuses.filter(s => !s.categories?.length || s.categories.includes(category));
 
-function Select({ value, onChange, children, className = "" }:{ value: any; onChange: any; children: React.ReactNode; className?: string }){
-  return (
-    <select value={value} onChange={onChange}
-      className={`w-full border rounded-xl px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`}>
-      {children}
-    </select>
-  );
+// Where a job can move from its current status, in workflow order
+function nextStatuses(statuses: StatusDef[], e: Enquiry) {
+  const cur = statusDef(statuses, e.status);
+  return statusesFor(statuses, e.category).filter(s => s.id !== cur.id && (!cur.next || cur.next.includes(s.id)));
 }
 
-// ----------------------- Root App -----------------------
-export default function PrintmaxApp(){
-  const [store, setStore] = useState<Store>(() => loadStore());
-  const currentUser = useMemo(() => store.users.find(u => u.id === store.currentUserId), [store]);
-  useEffect(() => { saveStore(store); }, [store]);
+// ----------------------- Categories -----------------------
+// Enquiries, price items and status rules refer to a category by name, which
+// reads well in exports and syncs between devices. Renames and merges rewrite
+// the name everywhere (see recategorize). Custom field values live in
+// Enquiry.details by field id.
+const CUSTOM_FIELD_TYPES: Record<CustomFieldType, string> = { text: "Text", number: "Number", longtext: "Long text", select: "Choice", quantities: "Quantities (e.g. sizes)" };
 
-  const login = (userId: string) => setStore(s => ({...s, currentUserId: userId }));
-  const logout = () => setStore(s => ({...s, currentUserId: undefined }));
+const DEFAULT_CATEGORY_FIELDS: Record<string, CustomField[]> = {
+  Signage: [
+    { id: "width", label: "Width", type: "number", unit: "ft" },
+    { id: "height", label: "Height", type: "number", unit: "ft" },
+    { id: "material", label: "Material", type: "select", options: ["Flex", "Vinyl", "ACP", "Acrylic", "Sunboard"] },
+    { id: "address", label: "Installation address", type: "longtext" },
+  ],
+  "T-shirt": [
+    { id: "sizes", label: "Sizes", type: "quantities", options: ["S", "M", "L", "XL", "XXL"] },
+    { id: "colours", label: "Colours", type: "text" },
+    { id: "side", label: "Print side", type: "select", options: ["Front", "Back", "Front & Back"] },
+  ],
+};
 
-  const upsertEnquiry = (e: Enquiry) => setStore(s => ({...s, enquiries: upsertById(s.enquiries, e)}));
-  const deleteEnquiry = (id: string) => setStore(s => ({...s, enquiries: s.enquiries.filter(x => x.id !== id)}));
+const newCategory = (name: string): Category => ({ id: crypto.randomUUID(), name, fields: DEFAULT_CATEGORY_FIELDS[name] || [] });
+const categoryNames = (cats: Category[]) => cats.map(c => c.name);
+const findCategory = (cats: Category[], name: string) => cats.find(c => c.name.toLowerCase() === name.toLowerCase());
+// Options are edited as comma-separated text, so blanks and padding are dropped only here
+const fieldOptions = (f: CustomField) => (f.options || []).map(o => o.trim()).filter(Boolean);
 
-  const addCategory = (name: string) => setStore(s => ({...s, categories: uniq([...s.categories, titleCase(name)])}));
-  const removeCategory = (name: string) => setStore(s => ({...s, categories: s.categories.filter(c => c !== name)}));
+function customFieldText(f: CustomField, v?: CustomValue): string | undefined {
+  if (v === undefined || v === "") return undefined;
+  if (f.type === "quantities") {
+    const q = Object.entries(v as Record<string, number>).filter(([, n]) => n > 0);
+    return q.length ? `${q.map(([k, n]) => `${k} ${n}`).join(", ")} (${q.reduce((t, [, n]) => t + n, 0)})` : undefined;
+  }
+  return f.type === "number" && f.unit ? `${v} ${f.unit}` : String(v);
+}
 
-  const addUser = (name: string, role: User["role"]) => setStore(s => ({...s, users: [...s.users, { id: crypto.randomUUID(), name: titleCase(name), role }]}));
-  const removeUser = (id: string) => setStore(s => ({...s, users: s.users.filter(u => u.id !== id)}));
+// Only the values of the category's own fields, e.g. after switching category
+function detailsFor(cat: Category | undefined, details?: Record<string, CustomValue>) {
+  const out: Record<string, CustomValue> = {};
+  cat?.fields.forEach(f => { if (customFieldText(f, details?.[f.id]) !== undefined) out[f.id] = details![f.id]; });
+  return Object.keys(out).length ? out : undefined;
+}
 
-  const exportData = () => {
-    const blob = new Blob([JSON.stringify(store, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `printmax_backup_${new Date().toISOString().slice(0,10)}.json`;
-    a.click(); URL.revokeObjectURL(url);
-  };
+// Files `e` under `target`. Values for fields the target also has (same label
+// and type) carry over; the rest are added to the notes so nothing is lost.
+function moveToCategory(e: Enquiry, src: Category | undefined, target: Category): Enquiry {
+  const moved = { ...e, category: target.name };
+  if (src?.id === target.id) return moved;
+  const details: Record<string, CustomValue> = {}, lines: string[] = [];
+  src?.fields.forEach(f => {
+    const text = customFieldText(f, e.details?.[f.id]);
+    if (text === undefined) return;
+    const to = target.fields.find(t => t.label.toLowerCase() === f.label.toLowerCase() && t.type === f.type);
+    if (to && !(to.id in details)) details[to.id] = e.details![f.id];
+    else lines.push(`${f.label}: ${text}`);
+  });
+  return { ...moved, details: Object.keys(details).length ? details : undefined, notes: lines.length ? [e.notes, ...lines].filter(Boolean).join("\n") : e.notes };
+}
 
-  const importData = (file: File) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(String(reader.result));
-        setStore(data);
-      } catch(e){ alert("Invalid JSON file"); }
-    };
-    reader.readAsText(file);
+// Moves everything filed under `sources` to `target`: a rename (same record,
+// new name) or a merge
+function recategorize(s: Store, sources: Category[], target: Category): Store {
+  const from = (name: string) => sources.find(c => c.name === name);
+  const rename = (names?: string[]) => names && uniq(names.map(n => from(n) ? target.name : n));
+  return {
+    ...s,
+    enquiries: s.enquiries.map(e => from(e.category) ? recordChange(e, moveToCategory(e, from(e.category), target), s.currentUserId) : e),
+    priceList: s.priceList.map(p => from(p.category) ? { ...p, category: target.name } : p),
+    statuses: s.statuses.map(st => st.categories?.some(from) ? { ...st, categories: rename(st.categories) } : st),
   };
+}
 
-  // Reminders: due today or overdue & not completed/cancelled
-  const dueSoon = useMemo(() => {
-    const now = new Date();
-    const todayStart = dateOnly(now).getTime();
-    const todayEnd = todayStart + 24*60*60*1000 - 1;
-    return store.enquiries.filter(e => e.dueAt && !["Completed","Cancelled"].includes(e.status) && (() => {
-      const t = new Date(e.dueAt!).getTime();
-      return t <= todayEnd; })());
-  }, [store.enquiries]);
+// ----------------------- PINs -----------------------
+const PIN_ITERATIONS = 100000;
+const toB64 = (buf: ArrayBuffer | Uint8Array) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+const fromB64 = (s: string) => Uint8Array.from(atob(s), c => c.charCodeAt(0));
+const validPin = (pin: string) => /^\d{4,8}$/.test(pin);
+// Only while a device is being set up may an admin choose their own PIN; choosing
+// the first one ends setup. From then on an admin sets every user's PIN, also for
+// users (and admins) who arrive without one through sync or a backup.
+const canChoosePin = (s: Pick<Store, "setupDone">, u: User) => !s.setupDone && !u.pinHash && u.role === "admin";
 
-  return (
-    <div className="min-h-screen bg-gray-50 text-gray-900">
-      <TopBar currentUser={currentUser} onLogout={logout} exportData={exportData} importData={importData} />
-      <div className="mx-auto max-w-4xl p-4 pb-24">
-        {!currentUser ? (
-          <Login users={store.users} onLogin={login} onAddUser={addUser} />
-        ) : (
-          <Main
-            store={store}
-            setStore={setStore}
-            upsertEnquiry={upsertEnquiry}
-            deleteEnquiry={deleteEnquiry}
-            addCategory={addCategory}
-            removeCategory={removeCategory}
-            addUser={addUser}
-            removeUser={removeUser}
-            dueSoon={dueSoon}
-          />
-        )}
-      </div>
-      <BottomNav />
-    </div>
-  );
+async function hashPin(pin: string, salt: BufferSource) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt, iterations: PIN_ITERATIONS, hash: "SHA-256" }, key, 256);
+  return toB64(bits);
 }
 
-// ----------------------- Components -----------------------
-function TopBar({ currentUser, onLogout, exportData, importData }:{ currentUser?: User; onLogout: () => void; exportData: () => void; importData: (f: File) => void; }){
-  return (
-    <div className="sticky top-0 z-40 bg-white/80 backdrop-blur border-b">
-      <div className="mx-auto max-w-4xl px-4 py-3 flex items-center gap-3">
-        <div className="flex items-center gap-2">
-          <span className="text-xl">🖨️</span>
-          <div className="font-bold">PRINTMAX ENQUIRIES</div>
-        </div>
-        <div className="ml-auto flex items-center gap-2">
-          <label className="text-xs hidden sm:block">Backup</label>
-          <Button className="border-gray-300" onClick={exportData}>Export</Button>
-          <label className="border px-4 py-2 rounded-2xl text-sm shadow-sm cursor-pointer">
-            Import<input type="file" accept="application/json" className="hidden" onChange={(e)=>{ if(e.target.files?.[0]) importData(e.target.files[0]); }}/>
-          </label>
-          {currentUser && (
-            <div className="flex items-center gap-2">
-              <Pill className="bg-gray-100">{currentUser.name} ({currentUser.role})</Pill>
-              <Button className="border-gray-300" onClick={onLogout}>Logout</Button>
-            </div>
-          )}
-        </div>
-      </div>
-    </div>
-  );
+async function makePinCredentials(pin: string): Promise<Pick<User, "pinHash" | "pinSalt">> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { pinHash: await hashPin(pin, salt), pinSalt: toB64(salt) };
 }
 
-function BottomNav(){
-  return (
-    <div className="fixed bottom-0 left-0 right-0 bg-white border-t shadow-sm">
-      <div className="mx-auto max-w-4xl grid grid-cols-3 text-center text-xs">
-        <div className="p-2">Mobile-first • Works offline</div>
-        <div className="p-2">WhatsApp Quick Reply</div>
-        <div className="p-2">Import/Export Backup</div>
-      </div>
-    </div>
-  );
+async function verifyPin(u: User, pin: string) {
+  if (!u.pinHash || !u.pinSalt) return false;
+  return (await hashPin(pin, fromB64(u.pinSalt))) === u.pinHash;
 }
 
-function Login({ users, onLogin, onAddUser }:{ users: User[]; onLogin: (id: string)=>void; onAddUser: (name: string, role: User["role"])=>void; }){
-  const [name, setName] = useState("");
-  const [role, setRole] = useState<User["role"]>("staff");
-  return (
-    <div className="grid gap-4">
-      <Card className="p-4">
-        <div className="text-lg font-semibold mb-2">Select User</div>
-        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
-          {users.map(u => (
-            <button key={u.id} onClick={()=>onLogin(u.id)} className="border rounded-xl p-3 text-left hover:bg-gray-50">
-              <div className="font-medium">{u.name}</div>
-              <div className="text-xs text-gray-500">{u.role}</div>
-            </button>
-          ))}
-        </div>
-      </Card>
-      <Card className="p-4">
-        <div className="text-lg font-semibold mb-2">Add New User</div>
-        <div className="grid sm:grid-cols-3 gap-2">
-          <Input placeholder="Name" value={name} onChange={(e:any)=>setName(e.target.value)} />
-          <Select value={role} onChange={(e:any)=>setRole(e.target.value)}>
-            <option value="staff">Staff</option>
-            <option value="admin">Admin</option>
-          </Select>
-          <Button className="border-gray-300" onClick={()=>{ if(!name.trim()) return; onAddUser(name.trim(), role); setName(""); }}>Add User</Button>
-        </div>
-      </Card>
-    </div>
-  );
+// ----------------------- Pricing -----------------------
+// Unit rate for a quantity, honouring the highest applicable quantity break
+function rateFor(p: PriceItem, qty: number) {
+  const br = (p.breaks || []).filter(b => qty >= b.minQty).sort((a,b)=> b.minQty - a.minQty)[0];
+  return br ? br.rate : p.rate;
 }
 
-function Main({ store, setStore, upsertEnquiry, deleteEnquiry, addCategory, removeCategory, addUser, removeUser, dueSoon }:{ store: Store; setStore: (s: any)=>void; upsertEnquiry: (e: Enquiry)=>void; deleteEnquiry: (id: string)=>void; addCategory: (n: string)=>void; removeCategory: (n: string)=>void; addUser: (n: string, r: User["role"])=>void; removeUser: (id: string)=>void; dueSoon: Enquiry[]; }){
-  const [tab, setTab] = useState<"dashboard" | "enquiries" | "settings">("dashboard");
-  const [query, setQuery] = useState("");
-  const [status, setStatus] = useState<Status | "">("");
-  const [cat, setCat] = useState<string | "">("");
-  const [channel, setChannel] = useState<Channel | "">("");
-  const [assignee, setAssignee] = useState<string | "">("");
-
-  const filtered = useMemo(() => {
-    return store.enquiries.filter(e => {
-      if (status && e.status !== status) return false;
-      if (cat && e.category !== cat) return false;
-      if (channel && e.channel !== channel) return false;
-      if (assignee && e.assignedTo !== assignee) return false;
-      if (query) {
-        const q = query.toLowerCase();
-        const hay = [e.title, e.customerName, e.notes, e.phone].filter(Boolean).join(" ").toLowerCase();
-        if (!hay.includes(q)) return false;
-      }
-      return true;
-    }).sort((a,b)=> new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-  }, [store.enquiries, status, cat, channel, assignee, query]);
+// Billable units: area × quantity for sq ft items, plain quantity otherwise
+const lineUnits = (li: LineItem) => li.unit === "sqft" ? (li.width || 0) * (li.height || 0) * li.qty : li.qty;
 
-  const pending = store.enquiries.filter(e => e.status === "Pending");
-  const inprog = store.enquiries.filter(e => e.status === "In Progress");
-  const completed = store.enquiries.filter(e => e.status === "Completed");
+function lineAmounts(li: LineItem) {
+  const gross = lineUnits(li) * li.rate;
+  const discount = gross * (li.discount || 0) / 100;
+  const tax = (gross - discount) * (li.tax || 0) / 100;
+  return { gross, discount, tax, total: gross - discount + tax };
+}
 
-  return (
-    <div className="grid gap-4">
-      <Card className="p-4">
-        <div className="flex gap-2 text-sm">
-          <TabButton label="Dashboard" active={tab==="dashboard"} onClick={()=>setTab("dashboard")} />
-          <TabButton label="Enquiries" active={tab==="enquiries"} onClick={()=>setTab("enquiries")} />
-          <TabButton label="Settings" active={tab==="settings"} onClick={()=>setTab("settings")} />
-        </div>
-      </Card>
+function quoteTotals(items: LineItem[] = []) {
+  return items.reduce((t, li) => {
+    const a = lineAmounts(li);
+    return { subtotal: t.subtotal + a.gross, discount: t.discount + a.discount, tax: t.tax + a.tax, total: t.total + a.total };
+  }, { subtotal: 0, discount: 0, tax: 0, total: 0 });
+}
 
-      {tab === "dashboard" && (
-        <div className="grid sm:grid-cols-3 gap-4">
+const paidTotal = (e: Enquiry) => (e.payments || []).reduce((n, p) => n + p.amount, 0);
+// Amount still owed against the quote; cancelled jobs owe nothing
+const balanceDue = (e: Enquiry, statuses: StatusDef[]) => statusDef(statuses, e.status).kind === "cancelled" ? 0 : Math.round((quoteTotals(e.items).total - paidTotal(e)) * 100) / 100;
+
+// Asks before a job with money still owed is moved to a completed status
+function confirmCompletion(prev: Enquiry | undefined, next: Enquiry, statuses: StatusDef[]) {
+  const done = (e?: Enquiry) => !!e && statusDef(statuses, e.status).kind === "completed";
+  if (!done(next) || done(prev)) return true;
+  const due = balanceDue(next, statuses);
+  return due <= 0 || confirm(tr("{name} still owes {amount}. Mark as {status} anyway?", { name: next.customerName, amount: fmtMoney(due), status: statusLabel(statusDef(statuses, next.status)) }));
+}
+
+const fmtMoney = (n: number) => locale.money.format(Math.round(n * 100) / 100);
+
+function lineFromPrice(p: PriceItem): LineItem {
+  return { id: crypto.randomUUID(), description: p.name, priceId: p.id, unit: p.unit, qty: 1, width: p.unit === "sqft" ? 1 : undefined, height: p.unit === "sqft" ? 1 : undefined, rate: rateFor(p, 1), discount: 0, tax: 0 };
+}
+
+// Each device counts its own invoices, so devices that sync add a prefix to keep numbers unique
+const devicePrefix = (sync: SyncSettings) => sync.invoicePrefix || sync.deviceId.replace(/[^a-z0-9]/gi, "").slice(0, 4).toUpperCase();
+const invoicePrefix = (s: Store) => s.sync.endpoint ? devicePrefix(s.sync) : "";
+const invoiceNumber = (n: number, prefix = "") => `INV-${prefix ? prefix + "-" : ""}${String(n).padStart(5, "0")}`;
+const quoteNumber = (e: Enquiry) => `QUO-${e.id.slice(0, 6).toUpperCase()}`;
+
+// "10:300, 50:250" -> [{minQty:10, rate:300}, {minQty:50, rate:250}]
+function parseBreaks(text: string): PriceBreak[] {
+  return text.split(",").map(t => t.split(":").map(x => Number(x.trim())))
+    .filter(([q, r]) => q > 0 && r >= 0 && !isNaN(r))
+    .map(([minQty, rate]) => ({ minQty, rate }));
+}
+
+// ----------------------- Audit -----------------------
+const AUDIT_FIELDS = ["title", "category", "customerName", "phone", "channel", "status", "dueAt", "notes", "assignedTo", "items", "payments", "invoiceNo", "messages", "reminders", "attachments", "details"] as const;
+
+// Flattens a field value to a short string so history entries stay small
+function auditValue(field: string, v: any): string | undefined {
+  if (v === undefined || v === null || v === "") return undefined;
+  if (field === "items") return v.length ? `${v.length} line(s), ${fmtMoney(quoteTotals(v).total)}` : undefined;
+  if (field === "reminders") return v.some((r: Reminder) => !r.doneAt) ? v.filter((r: Reminder) => !r.doneAt).map((r: Reminder) => fmtDate(r.at)).join(", ") : undefined;
+  if (field === "details") return Object.values(v).map((x: any) => isObj(x) ? Object.entries(x).map(([k, n]) => `${k} ${n}`).join(" ") : String(x)).join(", ") || undefined;
+  if (field === "attachments") return v.length ? `${v.length} file(s)` : undefined;
+  if (field === "messages") return v.length ? v[v.length - 1].templateName : undefined;
+  if (field === "payments") return v.length ? `${v.length} payment(s), ${fmtMoney(v.reduce((n: number, p: Payment) => n + p.amount, 0))}` : undefined;
+  return String(v);
+}
+
+// Returns `next` with a history entry describing what changed since `prev`.
+// The action is inferred from the diff unless given; no-op saves add nothing.
+// Also stamps changed fields for sync and queues the enquiry for the next push.
+function recordChange(prev: Enquiry | undefined, next: Enquiry, userId?: string, action?: HistoryAction): Enquiry {
+  const changes = AUDIT_FIELDS.map(f => ({ field: f, from: prev ? auditValue(f, prev[f]) : undefined, to: auditValue(f, next[f]) }))
+    .filter(c => c.from !== c.to);
+  if (!prev && !next.trackingCode) next = { ...next, trackingCode: newTrackingCode() };
+  const now = Date.now();
+  const fieldTimes = { ...prev?.fieldTimes };
+  const touched = syncFields(prev, next).filter(k => JSON.stringify((prev as any)?.[k]) !== JSON.stringify((next as any)[k]));
+  touched.forEach(k => { fieldTimes[k] = now; });
+  if (!action) {
+    if (!prev) action = "created";
+    else if (touched.length === 0) return next;
+    else if (changes.length === 0) action = "edited";
+    else if (changes.every(c => c.field === "status")) action = "status";
+    else if (changes.every(c => c.field === "assignedTo")) action = "assigned";
+    else action = "edited";
+  }
+  const entry: HistoryEntry = { id: crypto.randomUUID(), at: todayISO(), userId, action, changes: changes.length ? changes : undefined };
+  // Sync bookkeeping comes from the stored copy; `next` may be an older copy that was being edited
+  return { ...next, history: [...(prev?.history || []), entry], fieldTimes, rev: prev?.rev, syncedAt: prev?.syncedAt, syncPending: true };
+}
+
+// ----------------------- Sync -----------------------
+// Enquiries are merged field by field: the side that changed a field last (by
+// its fieldTimes stamp) wins, and history entries are unioned. The server hands
+// out revisions; a field changed here since our last sync *and* on the server
+// since our last pulled revision is reported back as a conflict.
+// Keep mergeEnquiry in step with the copy in sync-server.js. customerId is
+// device-local (customers aren't synced) and is relinked by ensureCustomers.
+//
+// Users (without PINs), categories and statuses are shared as whole lists: the
+// list changed last wins. A device that hasn't shared a list with this server
+// yet merges it with the server's instead, so joining doesn't drop its own entries.
+const SYNC_META_FIELDS = ["history", "fieldTimes", "rev", "syncedAt", "syncPending", "customerId"];
+const syncFields = (a?: Enquiry, b?: Enquiry) => Object.keys({ ...a, ...b }).filter(k => !SYNC_META_FIELDS.includes(k));
+
+function mergeEnquiry(local: Enquiry, remote: Enquiry): Enquiry {
+  const out: any = { ...local };
+  const lt = local.fieldTimes || {}, rt = remote.fieldTimes || {};
+  const fieldTimes: Record<string, number> = { ...lt };
+  syncFields(local, remote).forEach(k => {
+    if ((rt[k] || 0) >= (lt[k] || 0)) { out[k] = (remote as any)[k]; fieldTimes[k] = rt[k] || 0; }
+  });
+  const history = new Map<string, HistoryEntry>();
+  [...(local.history || []), ...(remote.history || [])].forEach(h => history.set(h.id, h));
+  out.history = Array.from(history.values()).sort((a, b) => a.at.localeCompare(b.at));
+  out.fieldTimes = fieldTimes;
+  return out;
+}
+
+type SharedKey = "users" | "categories" | "statuses";
+const SHARED_KEYS: SharedKey[] = ["users", "categories", "statuses"];
+type SharedList = { at: number; value: any[] };
+
+const sharedValue = (s: Store, k: SharedKey): any[] => k === "users" ? s.users.map(({ pinHash, pinSalt, ...u }) => u) : s[k];
+
+// Stamps shared lists changed locally; updates that set the stamps themselves (sync) pass through
+function stampShared(prev: Store, next: Store): Store {
+  if (next.sync.sharedTimes !== prev.sync.sharedTimes) return next;
+  const changed = SHARED_KEYS.filter(k => next[k] !== prev[k] && JSON.stringify(sharedValue(next, k)) !== JSON.stringify(sharedValue(prev, k)));
+  if (!changed.length) return next;
+  const now = Date.now();
+  return { ...next, sync: { ...next.sync, sharedTimes: { ...next.sync.sharedTimes, ...Object.fromEntries(changed.map(k => [k, now])) } } };
+}
+
+// A shared list from the server, or undefined to keep ours. `joined` merges in our own entries.
+function sharedFromServer(s: Store, k: SharedKey, remote: any[], joined: boolean): any[] | undefined {
+  const same = (a: any, b: any) => k === "categories" ? a.name.toLowerCase() === b.name.toLowerCase() : a.id === b.id;
+  const list = joined ? [...remote, ...(s[k] as any[]).filter(x => !remote.some(r => same(r, x)))] : remote;
+  if (k !== "users") return list;
+  if (!list.some((u: User) => u.role === "admin")) return;
+  // PINs stay on each device
+  return list.map((u: User) => { const l = s.users.find(x => x.id === u.id); return l?.pinHash ? { ...u, pinHash: l.pinHash, pinSalt: l.pinSalt } : u; });
+}
+
+// Queued edits, plus anything this server has never seen (e.g. data from before sync was set up)
+const needsPush = (e: Enquiry) => !!e.syncPending || e.rev === undefined;
+
+// The wire format leaves out device-only bookkeeping
+const toWire = ({ syncPending, ...e }: Enquiry) => e;
+
+type SyncStatus = { busy: boolean; error?: string };
+
+type SyncResponse = { cursor: number; changes: Enquiry[]; conflicts: Omit<SyncConflict, "id">[]; shared?: Partial<Record<SharedKey, SharedList>>; pushKey?: string };
+
+// `tracking` publishes customer status pages, see "Tracking"; `push` hands the
+// server this device's reminders to push, or null to stop, see "Reminders"
+async function postSync(cfg: SyncSettings, changes: Enquiry[], tracking: TrackingUpdate[] = [], shared: Partial<Record<SharedKey, SharedList>> = {}, push: PushRegistration | null = null): Promise<SyncResponse> {
+  const res = await fetch(`${cfg.endpoint.replace(/\/+$/, "")}/sync`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}) },
+    body: JSON.stringify({ deviceId: cfg.deviceId, since: cfg.cursor, changes: changes.map(toWire), tracking, shared, push }),
+  });
+  if (!res.ok) throw new Error(`Server replied ${res.status}`);
+  return res.json();
+}
+
+// Folds a server response into the store. `pushed` are the exact objects sent:
+// an enquiry that is no longer that object was edited meanwhile and stays queued.
+function applySync(s: Store, pushed: Enquiry[], res: SyncResponse, startedAt: number): Store {
+  const sent = new Map(pushed.map(e => [e.id, e]));
+  const byId = new Map(s.enquiries.map(e => [e.id, e]));
+  res.changes.forEach(r => {
+    const local = byId.get(r.id);
+    const merged = local ? mergeEnquiry(local, r) : r;
+    const pending = !!local?.syncPending && (sent.get(r.id) !== local);
+    byId.set(r.id, { ...merged, rev: r.rev, syncedAt: startedAt, syncPending: pending || undefined });
+  });
+  pushed.forEach(p => {
+    const cur = byId.get(p.id);
+    if (cur === p) byId.set(p.id, { ...p, syncPending: undefined });
+  });
+  const conflicts = res.conflicts.map(c => ({ ...c, id: crypto.randomUUID() }));
+  const lists: Partial<Store> = {}, sharedTimes = { ...s.sync.sharedTimes };
+  SHARED_KEYS.forEach(k => {
+    const r = res.shared?.[k];
+    const local = s.sync.sharedTimes[k];
+    if (!r || !Array.isArray(r.value) || (local !== undefined && r.at <= local)) return;
+    const value = sharedFromServer(s, k, r.value, local === undefined);
+    if (!value) return;
+    (lists as any)[k] = value;
+    // Our own entries merged in still have to reach the server
+    sharedTimes[k] = value.length > r.value.length ? Date.now() : r.at;
+  });
+  return {
+    ...s,
+    ...lists,
+    enquiries: s.enquiries.map(e => byId.get(e.id)!).concat(res.changes.filter(r => !s.enquiries.some(e => e.id === r.id)).map(r => byId.get(r.id)!)),
+    sync: { ...s.sync, cursor: Math.max(s.sync.cursor, res.cursor), lastSyncedAt: todayISO(), conflicts: [...s.sync.conflicts, ...conflicts].slice(-50), sharedTimes, pushKey: res.pushKey || s.sync.pushKey },
+  };
+}
+
+// ----------------------- Backup Import -----------------------
+type ImportMode = "replace" | "merge";
+type ImportCounts = { added: number; updated: number; removed: number; duplicates: number };
+
+const isObj = (v: any) => !!v && typeof v === "object" && !Array.isArray(v);
+const isDate = (v: any) => typeof v === "string" && !isNaN(new Date(v).getTime());
+
+// Checks a parsed backup file; returns readable problems, or the migrated store
+function validateBackup(data: any): { errors: string[]; store?: Store } {
+  const errors: string[] = [];
+  if (!isObj(data)) return { errors: ["The file is not a PRINTMAX backup (expected a JSON object)."] };
+  const version = data.schemaVersion ?? 1;
+  if (typeof version !== "number" || version > SCHEMA_VERSION) return { errors: [`The backup was made by a newer version of the app (schema v${version}). Update the app first.`] };
+  ["users", "categories", "enquiries"].forEach(k => { if (!Array.isArray(data[k])) errors.push(`"${k}" is missing or not a list.`); });
+  if (errors.length) return { errors };
+
+  data.users.forEach((u: any, i: number) => {
+    if (!isObj(u) || typeof u.id !== "string" || typeof u.name !== "string") errors.push(`users[${i}]: needs an id and a name.`);
+    else if (u.role !== "admin" && u.role !== "staff") errors.push(`users[${i}] (${u.name}): role must be "admin" or "staff".`);
+  });
+  if (!data.users.some((u: any) => u?.role === "admin")) errors.push("The backup has no admin user.");
+  data.categories.forEach((c: any, i: number) => {
+    if (version < 5 ? typeof c !== "string" : !isObj(c) || typeof c.id !== "string" || typeof c.name !== "string" || !Array.isArray(c.fields)) errors.push(`categories[${i}]: ${version < 5 ? "must be text" : "needs an id, a name and a list of fields"}.`);
+  });
+  if (data.statuses !== undefined && (!Array.isArray(data.statuses) || data.statuses.some((st: any) => !isObj(st) || typeof st.id !== "string" || typeof st.name !== "string"))) errors.push(`"statuses" must be a list of statuses with an id and a name.`);
+  if (data.shop !== undefined && (!isObj(data.shop) || typeof data.shop.name !== "string" || (data.shop.logo !== undefined && !/^data:image\//.test(String(data.shop.logo))))) errors.push(`"shop" must be a shop profile with a name.`);
+  const ids = new Set<string>();
+  data.enquiries.forEach((e: any, i: number) => {
+    const at = `enquiries[${i}]${isObj(e) && typeof e.title === "string" ? ` (${e.title})` : ""}`;
+    if (!isObj(e)) return errors.push(`${at}: not an object.`);
+    if (typeof e.id !== "string" || !e.id) errors.push(`${at}: missing id.`);
+    else if (ids.has(e.id)) errors.push(`${at}: id ${e.id} is used twice.`);
+    else ids.add(e.id);
+    ["title", "category", "customerName", "channel", "status"].forEach(f => { if (typeof e[f] !== "string") errors.push(`${at}: "${f}" must be text.`); });
+    if (!isDate(e.createdAt)) errors.push(`${at}: "createdAt" is not a valid date.`);
+    if (e.dueAt !== undefined && e.dueAt !== null && !isDate(e.dueAt)) errors.push(`${at}: "dueAt" is not a valid date.`);
+    if (e.items !== undefined && (!Array.isArray(e.items) || e.items.some((li: any) => !isObj(li) || typeof li.qty !== "number" || typeof li.rate !== "number"))) errors.push(`${at}: quotation lines need a numeric qty and rate.`);
+    if (e.payments !== undefined && (!Array.isArray(e.payments) || e.payments.some((p: any) => !isObj(p) || typeof p.amount !== "number"))) errors.push(`${at}: payments need a numeric amount.`);
+    if (e.attachments !== undefined && (!Array.isArray(e.attachments) || e.attachments.some((a: any) => !isObj(a) || typeof a.id !== "string" || typeof a.name !== "string"))) errors.push(`${at}: attachments need an id and a name.`);
+  });
+  if (errors.length) return { errors };
+  try { return { errors, store: migrate(data, version) }; }
+  catch (e) { return { errors: [`Could not upgrade the backup: ${(e as Error).message}`] }; }
+}
+
+// Same job logged twice under different ids (e.g. entered on two devices before sync)
+const dupKey = (e: Enquiry) => [e.title, e.customerName, (e.phone || "").replace(/\D/g, ""), e.createdAt.slice(0, 16)].join("|").toLowerCase();
+
+function countById<T extends { id: string }>(cur: T[], inc: T[], replace: boolean): ImportCounts {
+  const byId = new Map(cur.map(x => [x.id, x]));
+  const incIds = new Set(inc.map(x => x.id));
+  const added = inc.filter(x => !byId.has(x.id)).length;
+  const updated = inc.filter(x => byId.has(x.id) && JSON.stringify(byId.get(x.id)) !== JSON.stringify(x)).length;
+  return { added, updated, removed: replace ? cur.filter(x => !incIds.has(x.id)).length : 0, duplicates: 0 };
+}
+
+// Makes `next` the enquiry list as new edits on this device: records that differ
+// go through recordChange and ones missing from `next` are deleted, so the
+// result is pushed on the next sync instead of losing to the server's newer copies.
+function replaceEnquiries(cur: Enquiry[], next: Enquiry[], userId?: string): Enquiry[] {
+  const byId = new Map(cur.map(e => [e.id, e]));
+  const nextIds = new Set(next.map(e => e.id));
+  const now = Date.now();
+  const same = (a: Enquiry, b: Enquiry) => syncFields(a, b).every(k => JSON.stringify((a as any)[k]) === JSON.stringify((b as any)[k]));
+  return [
+    ...next.map(e => {
+      const prev = byId.get(e.id);
+      if (!prev) return { ...e, fieldTimes: Object.fromEntries(syncFields(e).map(k => [k, now])), rev: undefined, syncedAt: undefined, syncPending: true };
+      return same(prev, e) ? prev : recordChange(prev, { ...e, history: prev.history }, userId);
+    }),
+    ...cur.filter(e => !nextIds.has(e.id)).map(e => e.deletedAt ? e : recordChange(e, { ...e, deletedAt: todayISO(), deletedBy: userId }, userId, "deleted")),
+  ];
+}
+
+// Works out the resulting store and what changes. Device-only state (session,
+// sync and backup settings, login attempts, PINs) always stays as it is on this device.
+function planImport(cur: Store, inc: Store, mode: ImportMode, keepDuplicates: boolean) {
+  // Exports leave PINs out (see backupData); users known here keep the PIN set on this device
+  inc = { ...inc, users: inc.users.map(u => { const c = cur.users.find(x => x.id === u.id); return c?.pinHash ? { ...u, pinHash: c.pinHash, pinSalt: c.pinSalt } : u; }) };
+  const device = { sync: cur.sync, backup: cur.backup, loginAttempts: cur.loginAttempts, setupDone: cur.setupDone, currentUserId: inc.users.some(u => u.id === cur.currentUserId) || mode === "merge" ? cur.currentUserId : undefined };
+  const curKeys = new Set(cur.enquiries.filter(e => !inc.enquiries.some(i => i.id === e.id)).map(dupKey));
+  const dups = mode === "merge" ? inc.enquiries.filter(e => !cur.enquiries.some(c => c.id === e.id) && curKeys.has(dupKey(e))) : [];
+  const incoming = keepDuplicates ? inc.enquiries : inc.enquiries.filter(e => !dups.includes(e));
+  const cats = (a: string[], b: string[]) => ({ added: b.filter(c => !a.includes(c)).length, updated: 0, removed: mode === "replace" ? a.filter(c => !b.includes(c)).length : 0, duplicates: 0 });
+  const counts = {
+    enquiries: { ...countById(cur.enquiries, incoming, mode === "replace"), duplicates: dups.length },
+    users: countById(cur.users, inc.users, mode === "replace"),
+    categories: cats(categoryNames(cur.categories), categoryNames(inc.categories)),
+  };
+  let result: Store;
+  if (mode === "replace") {
+    result = { ...inc, ...device, enquiries: replaceEnquiries(cur.enquiries, incoming, cur.currentUserId) };
+  } else {
+    const byId = new Map(cur.enquiries.map(e => [e.id, e]));
+    // Imported records come in as not yet synced so they reach other devices
+    incoming.forEach(e => byId.set(e.id, { ...(byId.has(e.id) ? mergeEnquiry(byId.get(e.id)!, e) : e), syncPending: true }));
+    const keep = <T extends { id: string }>(a: T[], b: T[]) => [...a.filter(x => !b.some(y => y.id === x.id)), ...b];
+    result = {
+      ...cur,
+      enquiries: Array.from(byId.values()),
+      users: keep(cur.users, inc.users),
+      categories: [...cur.categories, ...inc.categories.filter(c => !findCategory(cur.categories, c.name))],
+      priceList: keep(cur.priceList, inc.priceList),
+      nextInvoiceNo: Math.max(cur.nextInvoiceNo, inc.nextInvoiceNo),
+    };
+  }
+  return { counts, result };
+}
+
+// ----------------------- Spreadsheets -----------------------
+// Readable, sortable date for spreadsheets: "2024-05-01 14:30" in local time
+const fmtDateCell = (iso?: string) => iso ? toLocalDT(iso).replace("T", " ") : "";
+
+const SHEET_HEADERS = ["Title", "Category", "Customer", "Phone", "Channel", "Status", "Created", "Due", "Assigned To", "Notes", "Total", "Paid", "Balance"];
+
+function enquiryRows(list: Enquiry[], users: User[], statuses: StatusDef[]): (string | number)[][] {
+  return list.map(e => [
+    e.title, e.category, e.customerName, e.phone || "", e.channel, statusDef(statuses, e.status).name,
+    fmtDateCell(e.createdAt), fmtDateCell(e.dueAt), userName(users, e.assignedTo) || "", e.notes || "",
+    quoteTotals(e.items).total, paidTotal(e), Math.max(balanceDue(e, statuses), 0),
+  ]);
+}
+
+// Text typed by customers could start like a formula ("=HYPERLINK(…)"); spreadsheets
+// must show it as text, so such cells get a leading apostrophe (dropped again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const safeCell = (v: string | number) => typeof v === "string" && FORMULA_START.test(v) ? `'${v}` : v;
+const unsafeCell = (v: string) => /^'[=+\-@\t\r]/.test(v) ? v.slice(1) : v;
+
+function toCSV(rows: (string | number)[][]) {
+  const cell = (v: string | number) => { const t = String(safeCell(v)); return /[",\n\r]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t; };
+  return rows.map(r => r.map(cell).join(",")).join("\r\n");
+}
+
+// RFC 4180-ish: quoted fields may contain commas, quotes ("") and newlines
+function parseCSV(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click(); URL.revokeObjectURL(url);
+}
+
+// Minimal single-sheet .xlsx; strings are written inline so no shared-strings part is needed
+function toXLSX(rows: (string | number)[][]): Blob {
+  const x = (v: string) => v.replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]!)).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  const col = (i: number) => { let n = ""; for (i++; i > 0; i = Math.floor((i - 1) / 26)) n = String.fromCharCode(65 + (i - 1) % 26) + n; return n; };
+  const sheet = rows.map((r, ri) => `<row r="${ri + 1}">${r.map((v, ci) => typeof v === "number"
+    ? `<c r="${col(ci)}${ri + 1}"><v>${v}</v></c>`
+    : `<c r="${col(ci)}${ri + 1}" t="inlineStr"><is><t xml:space="preserve">${x(String(safeCell(v)))}</t></is></c>`).join("")}</row>`).join("");
+  const files: Record<string, string> = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Enquiries" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheet}</sheetData></worksheet>`,
+  };
+  const enc = new TextEncoder();
+  return zipFiles(Object.entries(files).map(([name, text]) => ({ name, data: enc.encode(text) })), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+}
+
+// Fields a CSV column can be mapped to, with header words used to guess the mapping
+const CSV_FIELDS = [
+  { key: "title", label: "Title", guess: /title|job|enquiry|item|work/i },
+  { key: "customerName", label: "Customer", guess: /customer|client|name/i },
+  { key: "phone", label: "Phone", guess: /phone|mobile|whatsapp|contact/i },
+  { key: "category", label: "Category", guess: /categ|type/i },
+  { key: "channel", label: "Channel", guess: /channel|source|via/i },
+  { key: "status", label: "Status", guess: /status|stage/i },
+  { key: "dueAt", label: "Due", guess: /due|deliver|deadline/i }, // before "Created" so "Due Date" isn't taken as a plain date
+  { key: "createdAt", label: "Created", guess: /creat|date|received/i },
+  { key: "assignedTo", label: "Assigned To", guess: /assign|staff|owner/i },
+  { key: "notes", label: "Notes", guess: /note|spec|remark|detail/i },
+] as const;
+type CsvField = typeof CSV_FIELDS[number]["key"];
+
+// Accepts ISO dates as well as the DD/MM/YYYY (optionally with HH:mm) used in Indian spreadsheets.
+// Dates without a zone, like the ones exports write, are the shop's time.
+function parseLooseDate(v: string): string | undefined {
+  const t = v.trim();
+  if (!t) return undefined;
+  const pad = (n?: string) => (n || "0").padStart(2, "0");
+  const m = t.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2}))?/);
+  const ymd = t.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+  const local = m ? `${m[3].length === 2 ? "20" + m[3] : m[3]}-${pad(m[2])}-${pad(m[1])}T${pad(m[4])}:${pad(m[5])}`
+    : ymd ? `${ymd[1]}-${ymd[2]}-${ymd[3]}T${pad(ymd[4])}:${pad(ymd[5])}` : undefined;
+  const d = new Date(local ? fromLocalDT(local)! : t);
+  return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+const pickOption = <T extends string>(options: readonly T[], v: string, fallback: T) => options.find(o => o.toLowerCase() === v.trim().toLowerCase()) || fallback;
+
+// Builds enquiries from mapped CSV rows; rows without a title or customer are skipped
+function csvToEnquiries(rows: string[][], mapping: Partial<Record<CsvField, number>>, users: User[], categories: string[], statuses: StatusDef[]) {
+  const get = (r: string[], f: CsvField) => mapping[f] === undefined ? "" : unsafeCell((r[mapping[f]!] || "").trim());
+  const enquiries: Enquiry[] = [];
+  let skipped = 0;
+  rows.forEach(r => {
+    const title = get(r, "title"), customerName = get(r, "customerName");
+    if (!title || !customerName) { skipped++; return; }
+    const category = get(r, "category");
+    const assignee = get(r, "assignedTo").toLowerCase();
+    const status = get(r, "status").toLowerCase();
+    enquiries.push({
+      id: crypto.randomUUID(),
+      title,
+      category: categories.find(c => c.toLowerCase() === category.toLowerCase()) || (category ? titleCase(category) : categories[0] || "General"),
+      customerName: titleCase(customerName),
+      phone: get(r, "phone"),
+      channel: pickOption(CHANNELS, get(r, "channel"), "In-shop"),
+      status: statuses.find(s => s.name.toLowerCase() === status || s.id.toLowerCase() === status)?.id || statuses[0]?.id || "Pending",
+      createdAt: parseLooseDate(get(r, "createdAt")) || todayISO(),
+      dueAt: parseLooseDate(get(r, "dueAt")),
+      notes: get(r, "notes"),
+      assignedTo: users.find(u => u.name.toLowerCase() === assignee)?.id,
+    });
+  });
+  return { enquiries, skipped, newCategories: uniq(enquiries.map(e => e.category).filter(c => !categories.includes(c))) };
+}
+
+// ----------------------- Calendar -----------------------
+type CalendarView = "day" | "week" | "month";
+// Calendar days are Dates at this device's midnight, so day arithmetic works on
+// them; due dates and other moments go on the day it was at the shop.
+const dayKey = (d: Date) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`; // YYYY-MM-DD
+const dayDate = (key: string) => { const [y, m, d] = key.split("-").map(Number); return new Date(y, m - 1, d); };
+const shopDay = (iso: string) => toLocalDT(iso).slice(0, 10);
+const shopToday = () => dayDate(shopDay(todayISO()));
+const addDays = (d: Date, n: number) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+const startOfWeek = (d: Date) => addDays(dateOnly(d), -((d.getDay() + 6) % 7)); // weeks start on Monday
+
+// Days shown for a view; month views are padded to whole weeks
+function calendarDays(view: CalendarView, cursor: Date): Date[] {
+  if (view === "day") return [dateOnly(cursor)];
+  if (view === "week") return Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(cursor), i));
+  const first = startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1));
+  const last = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+  const days = Math.round((last.getTime() - first.getTime()) / 86400000) + 1;
+  return Array.from({ length: Math.ceil(days / 7) * 7 }, (_, i) => addDays(first, i));
+}
+
+// Moves a due date to another day, keeping the shop's time of day
+function moveToDay(iso: string, day: string) {
+  return fromLocalDT(day + toLocalDT(iso).slice(10))!;
+}
+
+// iCalendar (RFC 5545): escaped text, UTC times, lines folded at 75 octets
+const icsText = (v: string) => v.replace(/[\\;,]/g, c => "\\" + c).replace(/\r?\n/g, "\\n");
+const icsTime = (iso: string) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+function icsFold(line: string) {
+  const enc = new TextEncoder();
+  const out: string[] = [];
+  let cur = "", bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; bytes = 0; }
+    cur += ch; bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function toICS(list: Enquiry[], users: User[], statuses: StatusDef[]) {
+  const now = icsTime(todayISO());
+  const events = list.filter(e => e.dueAt).flatMap(e => [
+    "BEGIN:VEVENT",
+    `UID:${e.id}@printmax`,
+    `DTSTAMP:${now}`,
+    `DTSTART:${icsTime(e.dueAt!)}`,
+    `DTEND:${icsTime(new Date(new Date(e.dueAt!).getTime() + 30*60000).toISOString())}`,
+    `SUMMARY:${icsText(`${e.title} – ${e.customerName}`)}`,
+    `DESCRIPTION:${icsText([statusDef(statuses, e.status).name, e.phone, userName(users, e.assignedTo), e.notes].filter(Boolean).join("\n"))}`,
+    "END:VEVENT",
+  ]);
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:-//${currentShop().name}//Enquiries//EN`, "CALSCALE:GREGORIAN", ...events, "END:VCALENDAR"].map(icsFold).join("\r\n") + "\r\n";
+}
+
+// ----------------------- Search -----------------------
+type SortKey = "newest" | "oldest" | "due" | "status" | "customer";
+const SORT_LABELS: Record<SortKey, string> = { newest: "Newest first", oldest: "Oldest first", due: "Due date", status: "Status", customer: "Customer" };
+
+type EnquiryFilters = {
+  q: string;
+  status: string;
+  cat: string;
+  channel: string;
+  assignee: string;
+  createdFrom: string; // local YYYY-MM-DD, inclusive
+  createdTo: string;
+  dueFrom: string;
+  dueTo: string;
+  overdue: boolean;
+  mine: boolean; // assigned to the logged-in user
+  sort: SortKey;
+};
+
+type SavedView = { id: string; name: string; filters: EnquiryFilters };
+
+const DEFAULT_FILTERS: EnquiryFilters = { q: "", status: "", cat: "", channel: "", assignee: "", createdFrom: "", createdTo: "", dueFrom: "", dueTo: "", overdue: false, mine: false, sort: "newest" };
+
+// Only non-default filters go in the URL, e.g. ?q=banner&overdue=1&sort=due
+function filtersToParams(f: EnquiryFilters): URLSearchParams {
+  const p = new URLSearchParams();
+  (Object.keys(DEFAULT_FILTERS) as (keyof EnquiryFilters)[]).forEach(k => {
+    if (f[k] !== DEFAULT_FILTERS[k]) p.set(k, typeof f[k] === "boolean" ? "1" : String(f[k]));
+  });
+  return p;
+}
+
+function filtersFromParams(p: URLSearchParams): EnquiryFilters {
+  const f: any = { ...DEFAULT_FILTERS };
+  (Object.keys(DEFAULT_FILTERS) as (keyof EnquiryFilters)[]).forEach(k => {
+    const v = p.get(k);
+    if (v !== null) f[k] = typeof DEFAULT_FILTERS[k] === "boolean" ? v === "1" : v;
+  });
+  if (!(f.sort in SORT_LABELS)) f.sort = DEFAULT_FILTERS.sort;
+  return f;
+}
+
+// Lowercase without accents, so "cafe" finds "Café"
+const fold = (s: string) => s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// Everything a search can hit, including names shown for ids (status, assignee)
+function searchText(e: Enquiry, users: User[], statuses: StatusDef[]): string {
+  return fold([
+    e.title, e.customerName, e.phone, phoneDigits(e.phone), e.notes, e.category, e.channel, statusDef(statuses, e.status).name,
+    userName(users, e.assignedTo), e.invoiceNo, ...(e.items || []).map(li => li.description), ...(e.attachments || []).map(a => a.name),
+    ...Object.values(e.details || {}).map(v => isObj(v) ? Object.keys(v).join(" ") : String(v)),
+  ].filter(Boolean).join(" "));
+}
+
+function withinOneEdit(a: string, b: string) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// Every search word must appear somewhere. Words of 4+ letters also match a
+// word (or the start of one) with a single typo: "baner" finds "Banner".
+function matchesSearch(text: string, query: string) {
+  const words = text.split(/\s+/);
+  return fold(query).split(/\s+/).filter(Boolean).every(t =>
+    text.includes(t) || (t.length >= 4 && words.some(w => withinOneEdit(t, w) || withinOneEdit(t, w.slice(0, t.length)))));
+}
+
+function filterEnquiries(list: Enquiry[], f: EnquiryFilters, users: User[], statuses: StatusDef[], currentUserId?: string): Enquiry[] {
+  const day = (iso?: string) => iso ? shopDay(iso) : "";
+  const time = (iso?: string) => iso ? new Date(iso).getTime() : Infinity;
+  const order = new Map(statuses.map((st, i) => [st.id, i]));
+  const out = list.filter(e => {
+    if (f.status && e.status !== f.status) return false;
+    if (f.cat && e.category !== f.cat) return false;
+    if (f.channel && e.channel !== f.channel) return false;
+    if (f.assignee && e.assignedTo !== f.assignee) return false;
+    if (f.mine && e.assignedTo !== currentUserId) return false;
+    if (f.overdue && (!isOverdue(e.dueAt) || isTerminal(statuses, e.status))) return false;
+    if (f.createdFrom && day(e.createdAt) < f.createdFrom) return false;
+    if (f.createdTo && day(e.createdAt) > f.createdTo) return false;
+    if ((f.dueFrom || f.dueTo) && !e.dueAt) return false;
+    if (f.dueFrom && day(e.dueAt) < f.dueFrom) return false;
+    if (f.dueTo && day(e.dueAt) > f.dueTo) return false;
+    if (f.q.trim() && !matchesSearch(searchText(e, users, statuses), f.q)) return false;
+    return true;
+  });
+  const newest = (a: Enquiry, b: Enquiry) => time(b.createdAt) - time(a.createdAt);
+  const byDue = (a: Enquiry, b: Enquiry) => time(a.dueAt) - time(b.dueAt) || newest(a, b); // no due date last
+  const sorters: Record<SortKey, (a: Enquiry, b: Enquiry) => number> = {
+    newest,
+    oldest: (a, b) => newest(b, a),
+    due: byDue,
+    status: (a, b) => (order.get(a.status) ?? statuses.length) - (order.get(b.status) ?? statuses.length) || byDue(a, b),
+    customer: (a, b) => a.customerName.localeCompare(b.customerName, undefined, { sensitivity: "base" }) || newest(a, b),
+  };
+  return out.sort(sorters[f.sort]);
+}
+
+// ----------------------- Batch Actions -----------------------
+type BatchAction =
+  | { kind: "status"; status: string }
+  | { kind: "assign"; userId: string }
+  | { kind: "shiftDue"; days: number }
+  | { kind: "category"; category: string }
+  | { kind: "delete" };
+
+type BatchPlan = {
+  action: BatchAction;
+  label: string; // e.g. "Status → Ready"
+  changed: Enquiry[]; // new versions, before recordChange
+  skipped: { e: Enquiry; reason: string }[];
+  warnings: string[];
+};
+
+// Works out a batch edit without applying it; enquiries it can't apply to are skipped with a reason
+function planBatch(list: Enquiry[], action: BatchAction, statuses: StatusDef[], categories: Category[], users: User[], userId?: string): BatchPlan {
+  const changed: Enquiry[] = [], skipped: BatchPlan["skipped"] = [], warnings: string[] = [];
+  const skip = (e: Enquiry, reason: string) => { skipped.push({ e, reason }); };
+  let label = "";
+  if (action.kind === "status") {
+    const st = statusDef(statuses, action.status);
+    label = tr("Status → {status}", { status: statusLabel(st) });
+    list.forEach(e => {
+      if (e.status === action.status) skip(e, tr("already {name}", { name: statusLabel(st) }));
+      else if (!nextStatuses(statuses, e).some(x => x.id === action.status)) skip(e, tr("can't move from {status}", { status: statusLabel(statusDef(statuses, e.status)) }));
+      else changed.push({ ...e, status: action.status });
+    });
+    const owing = st.kind === "completed" ? changed.filter(e => statusDef(statuses, e.status).kind === "completed" && balanceDue(e, statuses) > 0) : [];
+    if (owing.length) warnings.push(tr("{n} still owe {amount} in total.", { n: owing.length, amount: fmtMoney(owing.reduce((n, e) => n + balanceDue(e, statuses), 0)) }));
+  } else if (action.kind === "assign") {
+    label = tr("Assigned to {name}", { name: userName(users, action.userId) || tr("nobody") });
+    list.forEach(e => (e.assignedTo || "") === action.userId ? skip(e, tr("already assigned")) : changed.push({ ...e, assignedTo: action.userId || undefined }));
+  } else if (action.kind === "shiftDue") {
+    label = tr("Due date {n} day(s)", { n: `${action.days > 0 ? "+" : "−"}${Math.abs(action.days)}` });
+    list.forEach(e => {
+      if (!e.dueAt) return skip(e, tr("no due date"));
+      changed.push({ ...e, dueAt: moveToDay(e.dueAt, dayKey(addDays(dayDate(shopDay(e.dueAt)), action.days))) });
+    });
+  } else if (action.kind === "category") {
+    const target = findCategory(categories, action.category);
+    label = tr("Category → {name}", { name: action.category });
+    list.forEach(e => !target ? skip(e, tr("unknown category")) : e.category === target.name ? skip(e, tr("already {name}", { name: target.name })) : changed.push(moveToCategory(e, findCategory(categories, e.category), target)));
+  } else {
+    label = tr("Deleted");
+    list.forEach(e => changed.push({ ...e, deletedAt: todayISO(), deletedBy: userId }));
+  }
+  return { action, label, changed, skipped, warnings };
+}
+
+// The one confirmation shown before a batch is applied
+function batchSummary(p: BatchPlan): string {
+  const reasons = Object.entries(p.skipped.reduce((acc, { reason }) => ({ ...acc, [reason]: (acc[reason] || 0) + 1 }), {} as Record<string, number>));
+  return [
+    tr("{label}: {n} enquiries will change.", { label: p.label, n: p.changed.length }),
+    ...reasons.map(([reason, n]) => tr("{n} skipped ({reason}).", { n, reason })),
+    ...p.warnings,
+    tr(p.changed.length ? "You can undo this right after." : "Nothing to change."),
+  ].join("\n");
+}
+
+// ----------------------- Reports -----------------------
+// Reports cover enquiries created in the chosen range; "Collected" counts payments
+// received in it. Each report is a table that is drawn as a chart and exported as-is.
+type ReportTable = { headers: string[]; rows: (string | number)[][] };
+type Reports = Record<"category" | "channel" | "conversion" | "turnaround" | "overdue" | "revenue" | "weekdays" | "hours", ReportTable>;
+
+const round1 = (n: number) => Math.round(n * 10) / 10;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// When the job last moved into a completed status, from its history
+function completedAt(e: Enquiry, statuses: StatusDef[]) {
+  if (statusDef(statuses, e.status).kind !== "completed") return undefined;
+  return (e.history || []).filter(h => h.changes?.some(c => c.field === "status" && c.to && statusDef(statuses, c.to).kind === "completed")).pop()?.at;
+}
+
+type BucketUnit = "day" | "week" | "month";
+const BUCKET_HEADERS: Record<BucketUnit, string> = { day: "Date", week: "Week of", month: "Month" };
+
+// Days for short ranges, weeks up to about six months, months beyond that
+function timeBuckets(from: Date, to: Date) {
+  const span = (to.getTime() - from.getTime()) / 86400000;
+  const unit: BucketUnit = span <= 31 ? "day" : span <= 190 ? "week" : "month";
+  const key = (d: Date) => unit === "day" ? dayKey(d) : unit === "week" ? dayKey(startOfWeek(d)) : dayKey(d).slice(0, 7);
+  const keys: string[] = [];
+  let d = unit === "week" ? startOfWeek(from) : unit === "month" ? new Date(from.getFullYear(), from.getMonth(), 1) : dateOnly(from);
+  for (; d <= to; d = unit === "month" ? new Date(d.getFullYear(), d.getMonth() + 1, 1) : addDays(d, unit === "week" ? 7 : 1)) keys.push(key(d));
+  return { unit, keys, key };
+}
+
+// from and to are calendar days, both included
+function buildReports(all: Enquiry[], users: User[], statuses: StatusDef[], from: Date, to: Date): Reports {
+  const inRange = (iso?: string) => !!iso && shopDay(iso) >= dayKey(from) && shopDay(iso) <= dayKey(to);
+  const list = all.filter(e => !e.deletedAt && inRange(e.createdAt));
+  const kind = (e: Enquiry) => statusDef(statuses, e.status).kind;
+  const now = Date.now();
+
+  const buckets = timeBuckets(from, to);
+  const overTime = (field: "category" | "channel"): ReportTable => {
+    const series = uniq(list.map(e => e[field])).sort();
+    return {
+      headers: [tr(BUCKET_HEADERS[buckets.unit]), ...series],
+      rows: buckets.keys.map(k => [k, ...series.map(v => list.filter(e => e[field] === v && buckets.key(dayDate(shopDay(e.createdAt))) === k).length)]),
+    };
+  };
+
+  const done = list.filter(e => kind(e) === "completed").length, cancelled = list.filter(e => kind(e) === "cancelled").length;
+  const pct = (n: number, of: number) => of ? round1(n / of * 100) : 0;
+
+  const finished = list.map(e => ({ e, at: completedAt(e, statuses) })).filter(x => x.at);
+  const avgDays = (xs: typeof finished) => xs.length ? round1(xs.reduce((n, x) => n + (new Date(x.at!).getTime() - new Date(x.e.createdAt).getTime()), 0) / xs.length / 86400000) : 0;
+
+  // Late: finished after its due date, or still open past it. Cancelled jobs don't count.
+  const dueJobs = list.filter(e => e.dueAt && kind(e) !== "cancelled" && (kind(e) === "completed" || new Date(e.dueAt).getTime() < now));
+  const late = (e: Enquiry) => {
+    if (kind(e) !== "completed") return true;
+    const end = completedAt(e, statuses);
+    return !!end && new Date(end) > new Date(e.dueAt!);
+  };
+  const owner = (e: Enquiry) => e.assignedTo || undefined;
+  const unknown = uniq(list.map(e => e.assignedTo || "")).filter(id => id && !users.some(u => u.id === id));
+  const staff = [...users.map(u => ({ id: u.id as string | undefined, name: u.name })), ...unknown.map(id => ({ id: id as string | undefined, name: userName(users, id)! })), { id: undefined, name: tr("Unassigned") }];
+
+  const categories = uniq(list.map(e => e.category)).sort();
+  const payments = all.filter(e => !e.deletedAt).flatMap(e => (e.payments || []).filter(p => inRange(p.at)).map(p => ({ category: e.category, amount: p.amount })));
+
+  return {
+    category: overTime("category"),
+    channel: overTime("channel"),
+    conversion: {
+      headers: [tr("Outcome"), tr("Enquiries"), tr("% of closed")],
+      rows: [[tr("Completed"), done, pct(done, done + cancelled)], [tr("Cancelled"), cancelled, pct(cancelled, done + cancelled)], [tr("Still open"), list.length - done - cancelled, ""]],
+    },
+    turnaround: {
+      headers: [tr("Category"), tr("Completed jobs"), tr("Avg days")],
+      rows: [[tr("All"), finished.length, avgDays(finished)], ...uniq(finished.map(x => x.e.category)).sort().map(c => {
+        const xs = finished.filter(x => x.e.category === c);
+        return [c, xs.length, avgDays(xs)];
+      })],
+    },
+    overdue: {
+      headers: [tr("Staff"), tr("Jobs due"), tr("Late"), tr("% late")],
+      rows: staff.map(u => {
+        const xs = dueJobs.filter(e => owner(e) === u.id);
+        const n = xs.filter(late).length;
+        return [u.name, xs.length, n, pct(n, xs.length)];
+      }).filter(r => r[1]),
+    },
+    revenue: {
+      headers: [tr("Category"), tr("Quoted"), tr("Collected")],
+      rows: uniq([...categories, ...payments.map(p => p.category)]).sort().map(c => [
+        c,
+        round1(list.filter(e => e.category === c && kind(e) !== "cancelled").reduce((n, e) => n + quoteTotals(e.items).total, 0)),
+        round1(payments.filter(p => p.category === c).reduce((n, p) => n + p.amount, 0)),
+      ]).filter(r => r[1] || r[2]),
+    },
+    weekdays: { headers: [tr("Day"), tr("Enquiries")], rows: WEEKDAYS.map((d, i) => [tr(d), list.filter(e => (dayDate(shopDay(e.createdAt)).getDay() + 6) % 7 === i).length]) },
+    hours: { headers: [tr("Hour"), tr("Enquiries")], rows: Array.from({ length: 24 }, (_, h) => [`${String(h).padStart(2, "0")}:00`, list.filter(e => Number(dateParts(e.createdAt).hour) === h).length]) },
+  };
+}
+
+// ----------------------- Message Templates -----------------------
+// "followup" and "update" are the defaults behind the WhatsApp links on the
+// dashboard and enquiry rows; the rest are offered in the template picker.
+const DEFAULT_TEMPLATES: MessageTemplate[] = [
+  { id: "followup", name: "Follow-up", body: "Hello {name}, following up on: {title}" },
+  { id: "update", name: "Update", body: "Hi {name}, update on: {title}" },
+  { id: "quote", name: "Quote sent", body: "Hi {name}, here is our quotation for {title}: {total}. Reply to confirm and we'll get started. – {shop}" },
+  { id: "artwork", name: "Artwork approval", body: "Hi {name}, the artwork for {title} is ready for your approval. Please check and reply OK or send changes. – {shop}" },
+  { id: "ready", name: "Ready for pickup", body: "Hi {name}, your order {title} is ready for pickup. Balance due: {balance}. – {shop}" },
+  { id: "payment", name: "Payment reminder", body: "Hi {name}, a gentle reminder that {balance} is pending for {title}. Thank you! – {shop}" },
+];
+
+const TEMPLATE_PLACEHOLDERS: Record<string, (e: Enquiry, statuses: StatusDef[]) => string> = {
+  name: e => e.customerName,
+  title: e => e.title,
+  category: e => e.category,
+  status: (e, st) => statusDef(st, e.status).name,
+  due: e => e.dueAt ? fmtDate(e.dueAt) : "—",
+  total: e => fmtMoney(quoteTotals(e.items).total),
+  balance: (e, st) => fmtMoney(Math.max(balanceDue(e, st), 0)),
+  shop: () => currentShop().name,
+  shopPhone: () => currentShop().phone,
+};
+
+// Unknown {placeholders} are left as typed so mistakes are visible in the preview
+const fillTemplate = (body: string, e: Enquiry, statuses: StatusDef[]) => body.replace(/\{(\w+)\}/g, (m, k) => TEMPLATE_PLACEHOLDERS[k] ? TEMPLATE_PLACEHOLDERS[k](e, statuses) : m);
+
+// ----------------------- PWA -----------------------
+// sw.js precaches the app shell and caches what the page loads, so the app opens
+// offline. A new deploy (sw.js changed) installs in the background and waits
+// until the user taps Reload in the update banner.
+let swRegistration: Promise<ServiceWorkerRegistration | undefined> | undefined;
+function registerServiceWorker() {
+  if (!swRegistration) swRegistration = "serviceWorker" in navigator ? navigator.serviceWorker.register("sw.js").catch(() => undefined) : Promise.resolve(undefined);
+  return swRegistration;
+}
+
+// The host page may not link the manifest; browsers pick it up when added later
+function linkManifest() {
+  if (document.querySelector('link[rel="manifest"]')) return;
+  const link = Object.assign(document.createElement("link"), { rel: "manifest", href: "manifest.webmanifest" });
+  const theme = Object.assign(document.createElement("meta"), { name: "theme-color", content: "#111827" });
+  document.head.append(link, theme);
+}
+
+// The first visit isn't controlled by the worker yet, so hand it what the page
+// loaded (bundle, styles) to cache for the next offline launch.
+function cacheLoadedResources(reg: ServiceWorkerRegistration) {
+  const urls = (performance.getEntriesByType("resource") as PerformanceResourceTiming[]).filter(r => ["script", "link", "css"].includes(r.initiatorType)).map(r => r.name);
+  (reg.active || reg.waiting || reg.installing)?.postMessage({ type: "cache", urls: [location.href.split(/[?#]/)[0], ...urls] });
+}
+
+// beforeinstallprompt can fire before React mounts, so it's captured here
+let installPrompt: any;
+const installListeners = new Set<() => void>();
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeinstallprompt", (e) => { e.preventDefault(); installPrompt = e; installListeners.forEach(f => f()); });
+  window.addEventListener("appinstalled", () => { installPrompt = undefined; installListeners.forEach(f => f()); });
+}
+
+// Home-screen shortcuts open the app with ?shortcut=new or ?shortcut=due (see manifest)
+const launchShortcut = () => new URLSearchParams(location.search).get("shortcut");
+
+// ----------------------- Reminders -----------------------
+// Each user picks which reminders they get on this device: a due reminder some
+// time before dueAt, and follow-ups added on the enquiry. Keys include the time,
+// so moving a due date or follow-up makes it fire again. Shown/snoozed/dismissed
+// state is kept per device in store.reminderState.
+type ReminderState = { shownAt?: number; snoozedUntil?: number; dismissed?: boolean };
+type ReminderAction = "open" | "snooze" | "dismiss";
+type DueReminder = { key: string; enquiryId: string; at: number; title: string; body: string };
+
+const DEFAULT_NOTIFY: NotifySettings = { enabled: false, scope: "mine", dueLeadMinutes: 60, followUps: true };
+const DUE_LEAD_OPTIONS: [number, string][] = [[-1, "Off"], [0, "At due time"], [15, "15 min before"], [60, "1 hour before"], [180, "3 hours before"], [1440, "1 day before"]];
+const SNOOZE_MINUTES = 15;
+const STALE_REMINDER_MS = 24*60*60*1000; // don't pop up reminders older than this, the dashboard lists them
+
+const notifySettings = (u?: User): NotifySettings => ({ ...DEFAULT_NOTIFY, ...u?.notify });
+
+function remindersFor(s: Store, userId: string): DueReminder[] {
+  const u = s.users.find(x => x.id === userId);
+  const cfg = notifySettings(u);
+  if (!u || !cfg.enabled) return [];
+  const out: DueReminder[] = [];
+  s.enquiries.forEach(e => {
+    if (e.deletedAt) return;
+    if (cfg.scope === "mine" && e.assignedTo !== userId) return;
+    if (cfg.scope === "mineAndUnassigned" && e.assignedTo && e.assignedTo !== userId) return;
+    if (e.dueAt && cfg.dueLeadMinutes >= 0 && !isTerminal(s.statuses, e.status)) {
+      out.push({ key: `${e.id}|due|${e.dueAt}`, enquiryId: e.id, at: new Date(e.dueAt).getTime() - cfg.dueLeadMinutes*60000,
+        title: `Due ${fmtDate(e.dueAt)}: ${e.title}`, body: `${e.customerName} • ${statusDef(s.statuses, e.status).name}` });
+    }
+    if (cfg.followUps) (e.reminders || []).filter(r => !r.doneAt).forEach(r => {
+      out.push({ key: `${e.id}|${r.id}|${r.at}`, enquiryId: e.id, at: new Date(r.at).getTime(),
+        title: `Follow up: ${e.customerName}`, body: r.note || e.title });
+    });
+  });
+  return out;
+}
+
+function pendingReminders(list: DueReminder[], state: Record<string, ReminderState>, now: number) {
+  return list.filter(r => {
+    const st = state[r.key];
+    if (st?.dismissed) return false;
+    if (st?.snoozedUntil) return st.snoozedUntil <= now && (st.shownAt || 0) < st.snoozedUntil;
+    return !st?.shownAt && r.at <= now && now - r.at < STALE_REMINDER_MS;
+  });
+}
+
+const reminderOptions = (r: DueReminder): any => ({ body: r.body, tag: r.key, data: { key: r.key }, actions: [{ action: "snooze", title: `Snooze ${SNOOZE_MINUTES} min` }, { action: "dismiss", title: "Dismiss" }] });
+
+// Goes through the service worker when there is one so the notification gets
+// Snooze/Dismiss buttons; sw.js posts the tapped action back to the app.
+async function showReminder(r: DueReminder) {
+  const opts = reminderOptions(r);
+  const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : undefined;
+  if (reg) return reg.showNotification(r.title, opts);
+  const { actions, ...plain } = opts;
+  new Notification(r.title, plain);
+}
+
+// Reminders are checked by the open app, so on their own they only fire while a
+// PRINTMAX page is open (a background tab is enough). To reach a closed app, the
+// coming week's reminders are also handed to the sync server, which pushes them
+// when they are due (Web Push, see sync-server.js), and to the service worker in
+// browsers with scheduled notifications (Notification Triggers).
+const SCHEDULED_REMINDERS = typeof Notification !== "undefined" && "showTrigger" in Notification.prototype;
+const PUSH_REMINDERS = typeof PushManager !== "undefined" && typeof navigator !== "undefined" && "serviceWorker" in navigator;
+const SCHEDULE_AHEAD_MS = 7*24*60*60*1000;
+const PUSHED_CACHE = "reminders-pushed"; // sw.js notes each pushed reminder it showed here
+
+// Not yet shown or dismissed, at their snoozed time if snoozed
+function upcomingReminders(list: DueReminder[], state: Record<string, ReminderState>, now: number) {
+  return list.map(r => ({ ...r, at: state[r.key]?.snoozedUntil || r.at }))
+    .filter(r => !state[r.key]?.dismissed && (state[r.key]?.shownAt || 0) < r.at && r.at - now < SCHEDULE_AHEAD_MS);
+}
+
+async function scheduleReminders(list: DueReminder[], state: Record<string, ReminderState>, now: number) {
+  const reg = SCHEDULED_REMINDERS ? await navigator.serviceWorker?.getRegistration() : undefined;
+  if (!reg) return;
+  const upcoming = upcomingReminders(list, state, now).filter(r => r.at > now);
+  const scheduled = (await reg.getNotifications({ includeTriggered: true } as any)).filter((n: any) => n.showTrigger);
+  scheduled.filter((n: any) => !upcoming.some(r => r.key === n.tag && r.at === n.showTrigger.timestamp)).forEach(n => n.close());
+  const TimestampTrigger = (window as any).TimestampTrigger;
+  for (const r of upcoming) {
+    if (!scheduled.some((n: any) => n.tag === r.key && n.showTrigger.timestamp === r.at)) await reg.showNotification(r.title, { ...reminderOptions(r), showTrigger: new TimestampTrigger(r.at) } as any);
+  }
+}
+
+type PushReminder = { key: string; at: number; title: string; options: any };
+type PushRegistration = { subscription: PushSubscriptionJSON; reminders: PushReminder[] };
+
+const base64UrlBytes = (s: string) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+
+// What the sync server needs to push this device's reminders, or null when it
+// shouldn't (reminders off, no permission, or no push in this browser)
+async function pushRegistration(s: Store): Promise<PushRegistration | null> {
+  const userId = s.currentUserId || localStorage.getItem(LAST_USER_KEY);
+  const user = s.users.find(u => u.id === userId);
+  if (!PUSH_REMINDERS || !s.sync.pushKey || !user || !notifySettings(user).enabled || Notification.permission !== "granted") return null;
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg) return null;
+  const key = base64UrlBytes(s.sync.pushKey);
+  let sub = await reg.pushManager.getSubscription();
+  // A subscription made for another server's key can't be pushed to by this one
+  const subKey = sub?.options.applicationServerKey;
+  if (sub && (!subKey || new Uint8Array(subKey).join() !== key.join())) { await sub.unsubscribe(); sub = null; }
+  sub = sub || await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: key });
+  const now = Date.now();
+  const reminders = upcomingReminders(remindersFor(s, user.id), s.reminderState, now)
+    .filter(r => now - r.at < STALE_REMINDER_MS)
+    .map(r => ({ key: r.key, at: r.at, title: r.title, options: reminderOptions(r) }));
+  return { subscription: sub.toJSON(), reminders };
+}
+
+// Reminders sw.js showed from a push since the last check, as key → the time they were due
+async function takePushedReminders(): Promise<Record<string, number>> {
+  if (typeof caches === "undefined" || !(await caches.has(PUSHED_CACHE))) return {};
+  const cache = await caches.open(PUSHED_CACHE);
+  const out: Record<string, number> = {};
+  for (const req of await cache.keys()) {
+    const key = new URL(req.url).searchParams.get("key");
+    const at = Number(await (await cache.match(req))?.text());
+    if (key && at) out[key] = at;
+    await cache.delete(req);
+  }
+  return out;
+}
+
+// ----------------------- Customers -----------------------
+// Links every enquiry to a customer: by an existing customerId, else by phone
+// (or by name when there is no phone), creating the customer if needed.
+// Returns the same store object when nothing had to change.
+function ensureCustomers(s: Store): Store {
+  const byId = new Map(s.customers.map(c => [c.id, c]));
+  const byPhone = new Map<string, Customer>(), byName = new Map<string, Customer>();
+  s.customers.forEach(c => {
+    const k = phoneKey(c.phone);
+    if (k) { if (!byPhone.has(k)) byPhone.set(k, c); }
+    else if (!byName.has(c.name.toLowerCase())) byName.set(c.name.toLowerCase(), c);
+  });
+  const added: Customer[] = [];
+  let changed = false;
+  const enquiries = s.enquiries.map(e => {
+    if (e.customerId && byId.has(e.customerId)) return e;
+    const k = phoneKey(e.phone);
+    let c = k ? byPhone.get(k) : byName.get(e.customerName.toLowerCase());
+    if (!c) {
+      c = { id: crypto.randomUUID(), name: e.customerName, phone: e.phone || undefined, createdAt: e.createdAt };
+      added.push(c); byId.set(c.id, c);
+      if (k) byPhone.set(k, c); else byName.set(c.name.toLowerCase(), c);
+    }
+    changed = true;
+    return { ...e, customerId: c.id };
+  });
+  return changed ? { ...s, enquiries, customers: [...s.customers, ...added] } : s;
+}
+
+function customerStats(c: Customer, enquiries: Enquiry[]) {
+  const list = enquiries.filter(e => e.customerId === c.id && !e.deletedAt).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const touches = list.flatMap(e => [e.createdAt, ...(e.history || []).map(h => h.at), ...(e.payments || []).map(p => p.at)]);
+  return {
+    enquiries: list,
+    spend: list.reduce((n, e) => n + paidTotal(e), 0),
+    lastContact: touches.sort().pop(),
+  };
+}
+
+// Groups of customers that share a phone number (their own or one on their enquiries)
+function duplicateCustomers(customers: Customer[], enquiries: Enquiry[]): Customer[][] {
+  const groups = new Map<string, Set<Customer>>();
+  const add = (k: string, c?: Customer) => { if (!k || !c) return; if (!groups.has(k)) groups.set(k, new Set()); groups.get(k)!.add(c); };
+  const byId = new Map(customers.map(c => [c.id, c]));
+  customers.forEach(c => add(phoneKey(c.phone), c));
+  enquiries.forEach(e => { if (!e.deletedAt) add(phoneKey(e.phone), byId.get(e.customerId || "")); });
+  const seen = new Set<string>();
+  return Array.from(groups.values()).map(g => Array.from(g)).filter(g => {
+    if (g.length < 2) return false;
+    const key = g.map(c => c.id).sort().join();
+    if (seen.has(key)) return false;
+    seen.add(key); return true;
+  });
+}
+
+// ----------------------- Documents -----------------------
+const DOC_TERMS = [
+  "50% advance required to start the job; balance payable on delivery.",
+  "Artwork must be approved by the customer before printing.",
+  "Quotation valid for 15 days. Goods once delivered will not be taken back.",
+];
+
+const esc = (s?: string) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]!));
+
+// Self-contained A4 HTML page for a quote or invoice
+function buildDocHTML(kind: "quote" | "invoice", e: Enquiry) {
+  const items = e.items || [];
+  const t = quoteTotals(items);
+  const title = kind === "invoice" ? "INVOICE" : "QUOTATION";
+  const number = kind === "invoice" ? e.invoiceNo : quoteNumber(e);
+  const date = kind === "invoice" && e.invoicedAt ? e.invoicedAt : todayISO();
+  const shop = currentShop();
+  const contact = [shop.address, shop.phone, shop.taxId && `Tax ID: ${shop.taxId}`].filter(Boolean);
+  const rows = items.map((li, i) => {
+    const a = lineAmounts(li);
+    const size = li.unit === "sqft" ? ` (${li.width} × ${li.height} ft)` : "";
+    return `<tr><td>${i + 1}</td><td>${esc(li.description)}${esc(size)}</td><td class="r">${li.qty}</td><td class="r">${esc(fmtMoney(li.rate))}/${li.unit}</td><td class="r">${li.discount || 0}%</td><td class="r">${li.tax || 0}%</td><td class="r">${esc(fmtMoney(a.total))}</td></tr>`;
+  }).join("");
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${title} ${esc(number)}</title>
+<style>
+@page { size: A4; margin: 16mm; }
+body { font: 12px/1.45 system-ui, sans-serif; color: #111; margin: 0; }
+h1 { font-size: 22px; margin: 0; } h2 { font-size: 16px; margin: 0; letter-spacing: .1em; }
+.head { display: flex; justify-content: space-between; border-bottom: 2px solid #111; padding-bottom: 8px; margin-bottom: 12px; }
+.shop { display: flex; gap: 10px; align-items: flex-start; white-space: pre-line; } .shop img { max-width: 64px; max-height: 64px; }
+table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+th, td { border-bottom: 1px solid #ddd; padding: 6px 4px; text-align: left; }
+.r { text-align: right; } .tot td { border: 0; padding: 2px 4px; } .grand td { font-weight: 700; font-size: 14px; border-top: 2px solid #111; }
+.terms { margin-top: 24px; font-size: 11px; color: #444; }
+</style></head><body>
+<div class="head"><div class="shop">${shop.logo ? `<img src="${esc(shop.logo)}" alt="">` : ""}<div><h1>${esc(shop.name)}</h1>${contact.map(x => `<div>${esc(x)}</div>`).join("")}</div></div><div class="r"><h2>${title}</h2><div>No. ${esc(number)}</div><div>Date ${esc(fmtDay(date))}</div></div></div>
+<div><strong>Bill to:</strong> ${esc(e.customerName)}${e.phone ? ` • ${esc(e.phone)}` : ""}</div>
+<div><strong>Job:</strong> ${esc(e.title)} (${esc(e.category)})${e.dueAt ? ` • Due ${esc(fmtDate(e.dueAt))}` : ""}</div>
+<table><thead><tr><th>#</th><th>Item</th><th class="r">Qty</th><th class="r">Rate</th><th class="r">Disc</th><th class="r">Tax</th><th class="r">Amount</th></tr></thead><tbody>${rows}</tbody></table>
+<table class="tot">
+<tr><td class="r">Subtotal</td><td class="r" style="width:120px">${esc(fmtMoney(t.subtotal))}</td></tr>
+<tr><td class="r">Discount</td><td class="r">−${esc(fmtMoney(t.discount))}</td></tr>
+<tr><td class="r">Tax</td><td class="r">${esc(fmtMoney(t.tax))}</td></tr>
+<tr class="grand"><td class="r">Total</td><td class="r">${esc(fmtMoney(t.total))}</td></tr>
+</table>
+<div class="terms"><strong>Terms</strong><ol>${DOC_TERMS.map(x => `<li>${esc(x)}</li>`).join("")}</ol></div>
+</body></html>`;
+}
+
+// Opens the document and the print dialog; downloads it instead if pop-ups are blocked
+function printDocument(html: string, filename: string, w = window.open("", "_blank")) {
+  if (w) {
+    w.document.open(); w.document.write(html); w.document.close();
+    w.focus(); setTimeout(() => w.print(), 250);
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click(); URL.revokeObjectURL(url);
+}
+
+// ----------------------- Tracking -----------------------
+// Each enquiry has a short tracking code and a read-only status page at
+// <base><code>.html, published through the sync server or exported as static
+// files. The code is random, stored on the enquiry and synced with it, and can be
+// replaced if a link reaches the wrong person. Enquiries from before codes were
+// stored keep the code derived from their id, so links already sent still work.
+// Pages carry only a TrackingSummary: no notes, history, phone numbers or other
+// enquiries.
+const TRACKING_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ"; // no 0/O or 1/I to misread
+
+type TrackingSummary = {
+  code: string;
+  shop: string;
+  title: string;
+  status: string; // status name as shown in the app
+  stage: StatusKind;
+  due?: string; // preformatted on the device, the server has no locale or currency
+  total?: string;
+  balance?: string;
+  contact: string;
+  updated: string;
+};
+type TrackingUpdate = TrackingSummary | { code: string; removed: true };
+
+function newTrackingCode() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(10)), b => TRACKING_ALPHABET[b & 31]).join("");
+}
+
+function legacyTrackingCode(id: string) {
+  const bytes = new TextEncoder().encode(id);
+  const chars = (n: number) => Array.from({ length: 5 }, (_, i) => TRACKING_ALPHABET[(n >>> (i * 5)) & 31]).join("");
+  return chars(crc32(bytes)) + chars(crc32(bytes.slice().reverse()));
+}
+
+const trackingCode = (e: Enquiry) => e.trackingCode || legacyTrackingCode(e.id);
+
+function trackingBase(s: Pick<Store, "tracking" | "sync">) {
+  const base = s.tracking.baseUrl.trim() || (s.sync.endpoint && `${s.sync.endpoint.replace(/\/+$/, "")}/t/`);
+  return base && !base.endsWith("/") ? base + "/" : base;
+}
+
+// Undefined while tracking is off or there's nowhere to link to
+function trackingUrl(s: Pick<Store, "tracking" | "sync">, e: Enquiry) {
+  const base = trackingBase(s);
+  if (!s.tracking.enabled || !base || e.deletedAt) return undefined;
+  return `${base}${trackingCode(e)}.html`;
+}
+
+function trackingSummary(e: Enquiry, statuses: StatusDef[], contact: string): TrackingUpdate {
+  const code = trackingCode(e);
+  if (e.deletedAt) return { code, removed: true };
+  const st = statusDef(statuses, e.status);
+  const priced = !!e.items?.length && st.kind !== "cancelled";
+  const shop = currentShop();
+  return {
+    code, shop: shop.name, title: e.title, status: st.name, stage: st.kind,
+    due: e.dueAt && st.kind === "open" ? fmtDate(e.dueAt) : undefined,
+    total: priced ? fmtMoney(quoteTotals(e.items).total) : undefined,
+    balance: priced ? fmtMoney(Math.max(0, balanceDue(e, statuses))) : undefined,
+    contact: contact || [shop.phone, shop.address].filter(Boolean).join(", "), updated: fmtDate((e.history || []).slice(-1)[0]?.at || e.createdAt),
+  };
+}
+
+// The customer's page; no summary = unknown code. Keep in step with sync-server.js.
+function trackingPageHTML(t?: TrackingSummary) {
+  const head = (title: string) => `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${esc(title)}</title>
+<style>
+body { font: 15px/1.5 system-ui, sans-serif; color: #111; background: #f3f4f6; margin: 0; padding: 16px; }
+main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 16px; padding: 20px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+h1 { font-size: 14px; letter-spacing: .1em; margin: 0 0 12px; } h2 { font-size: 18px; margin: 0 0 8px; }
+.status { display: inline-block; border-radius: 999px; padding: 4px 12px; font-weight: 600; background: #fef3c7; }
+.completed { background: #dcfce7; } .cancelled { background: #e5e7eb; }
+dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 16px 0; } dt { color: #6b7280; } dd { margin: 0; }
+.muted { color: #6b7280; font-size: 13px; }
+</style></head><body><main>`;
+  if (!t) return `${head("Order not found")}<h2>No order found</h2><p class="muted">Please check the link, or contact the shop.</p></main></body></html>`;
+  const row = (label: string, v?: string) => v ? `<dt>${label}</dt><dd>${esc(v)}</dd>` : "";
+  return `${head(`${t.shop} – Order ${t.code}`)}<h1>${esc(t.shop)}</h1>
+<h2>${esc(t.title)}</h2>
+<div class="status ${esc(t.stage)}">${esc(t.status)}</div>
+<dl>${row("Order", t.code)}${row("Due", t.due)}${row("Total", t.total)}${row("Balance", t.balance)}</dl>
+${t.contact ? `<p>Questions? ${esc(t.contact)}</p>` : ""}
+<p class="muted">Updated ${esc(t.updated)}</p>
+</main></body></html>`;
+}
+
+// One <code>.html per live enquiry, for hosting the pages without the sync server
+function buildTrackingZip(s: Store) {
+  const enc = new TextEncoder();
+  return zipFiles(s.enquiries.filter(e => !e.deletedAt).map(e => {
+    const t = trackingSummary(e, s.statuses, s.tracking.contact) as TrackingSummary;
+    return { name: `${t.code}.html`, data: enc.encode(trackingPageHTML(t)) };
+  }));
+}
+
+// ----------------------- Attachments -----------------------
+// Logos, reference photos and measurements sent by customers. Photos are scaled
+// down and re-encoded before storing, and images get a small JPEG thumbnail for
+// the gallery. The list syncs with the enquiry but the files stay on the device
+// that added them (and in its backups).
+const ATTACH_ACCEPT = "image/*,application/pdf";
+const MAX_ATTACHMENT_MB = 20;
+const PHOTO_MAX_SIDE = 1600; // px, long side
+const PHOTO_QUALITY = 0.8;
+const THUMB_SIDE = 240;
+const BACKUP_JSON = "backup.json";
+
+// JPEG has no transparency, so it's drawn over white
+function encodeImage(img: ImageBitmap, maxSide: number, type: string, quality: number): Promise<Blob> {
+  const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  const ctx = canvas.getContext("2d")!;
+  if (type === "image/jpeg") { ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, canvas.width, canvas.height); }
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error("the image couldn't be encoded")), type, quality));
+}
+
+// Only photos are recompressed; PNG/GIF/SVG artwork is kept exactly as sent.
+// Images the browser can't decode (e.g. HEIC on some phones) are stored without a thumbnail.
+async function prepareAttachment(file: File, userId?: string): Promise<{ meta: Attachment; record: FileRecord }> {
+  const image = file.type.startsWith("image/");
+  if (!image && file.type !== "application/pdf") throw new Error("only images and PDFs can be attached");
+  let blob: Blob = file, thumb: Blob | undefined;
+  const bitmap = image ? await createImageBitmap(file).catch(() => undefined) : undefined;
+  if (bitmap) {
+    if (["image/jpeg", "image/webp", "image/heic", "image/heif"].includes(file.type)) {
+      const photo = await encodeImage(bitmap, PHOTO_MAX_SIDE, "image/jpeg", PHOTO_QUALITY);
+      if (photo.size < file.size) blob = photo;
+    }
+    thumb = await encodeImage(bitmap, THUMB_SIDE, "image/jpeg", 0.7);
+    bitmap.close();
+  }
+  if (blob.size > MAX_ATTACHMENT_MB * 1024 * 1024) throw new Error(`files over ${MAX_ATTACHMENT_MB} MB can't be attached`);
+  const id = crypto.randomUUID();
+  const name = blob === file ? file.name : file.name.replace(/\.\w+$/, "") + ".jpg";
+  return { meta: { id, name, type: blob.type || file.type, size: blob.size, addedAt: todayISO(), addedBy: userId }, record: { id, blob, thumb } };
+}
+
+const fmtSize = (bytes: number) => bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const attachmentPath = (a: Attachment) => `attachments/${a.id}/${a.name.replace(/[\\/:*?"<>|]/g, "_")}`;
+const thumbPath = (a: Attachment) => `thumbs/${a.id}.jpg`;
+
+// What goes into backup.json. Secrets stay on the device: the sync token, PIN hashes
+// (short PINs are quick to brute-force offline) and login attempts.
+function backupData(store: Store) {
+  const { sync, loginAttempts, currentUserId, setupDone, ...rest } = store;
+  return { ...rest, users: store.users.map(({ pinHash, pinSalt, ...u }) => u), schemaVersion: SCHEMA_VERSION };
+}
+
+// Backup zip: the store as backup.json plus the attachment files kept on this device
+async function buildBackupZip(store: Store): Promise<Blob> {
+  const enc = new TextEncoder();
+  const bytes = async (b: Blob) => new Uint8Array(await b.arrayBuffer());
+  const files = [{ name: BACKUP_JSON, data: enc.encode(JSON.stringify(backupData(store), null, 2)) }];
+  for (const a of store.enquiries.flatMap(e => e.attachments || [])) {
+    const f = await getFile(a.id);
+    if (!f) continue;
+    files.push({ name: attachmentPath(a), data: await bytes(f.blob) });
+    if (f.thumb) files.push({ name: thumbPath(a), data: await bytes(f.thumb) });
+  }
+  return zipFiles(files);
+}
+
+// The parsed backup.json, still to be validated, and the files found for its attachments
+async function readBackupZip(buf: ArrayBuffer): Promise<{ data: any; files: FileRecord[] }> {
+  const entries = await unzipFiles(buf);
+  const json = entries.get(BACKUP_JSON);
+  if (!json) throw new Error(`${BACKUP_JSON} is missing`);
+  const data = JSON.parse(new TextDecoder().decode(json));
+  const files: FileRecord[] = [];
+  (Array.isArray(data?.enquiries) ? data.enquiries : []).forEach((e: any) => (Array.isArray(e?.attachments) ? e.attachments : []).forEach((a: Attachment) => {
+    const file = entries.get(attachmentPath(a)), thumb = entries.get(thumbPath(a));
+    if (file) files.push({ id: a.id, blob: new Blob([file as BlobPart], { type: a.type }), thumb: thumb && new Blob([thumb as BlobPart], { type: "image/jpeg" }) });
+  }));
+  return { data, files };
+}
+
+// ----------------------- Backups -----------------------
+// Daily restore points are full snapshots taken the first time the app is open on
+// a day. Older ones are thinned out: one per day for keepDays, then one per week
+// for keepWeeks. Manual and pre-import restore points are never pruned.
+//
+// Encrypted exports: "PMXENC1", a 16-byte salt, a 12-byte IV, then the backup zip
+// sealed with AES-GCM under a key derived from the password (PBKDF2-SHA256).
+const BACKUP_MAGIC = "PMXENC1";
+const BACKUP_ITERATIONS = 310000;
+const MIN_BACKUP_PASSWORD = 8;
+const ENCRYPTED_EXT = ".pmxenc";
+
+async function backupKey(password: string, salt: BufferSource) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", salt, iterations: BACKUP_ITERATIONS, hash: "SHA-256" }, key, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+async function encryptBackup(blob: Blob, password: string): Promise<Blob> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await backupKey(password, salt), await blob.arrayBuffer());
+  return new Blob([new TextEncoder().encode(BACKUP_MAGIC), salt, iv, data], { type: "application/octet-stream" });
+}
+
+const isEncryptedBackup = (buf: ArrayBuffer) => new TextDecoder().decode(buf.slice(0, BACKUP_MAGIC.length)) === BACKUP_MAGIC;
+
+// The backup zip inside an encrypted export; AES-GCM can't tell a wrong password from a damaged file
+async function decryptBackup(buf: ArrayBuffer, password: string): Promise<ArrayBuffer> {
+  const at = BACKUP_MAGIC.length;
+  const salt = buf.slice(at, at + 16), iv = buf.slice(at + 16, at + 28);
+  try { return await crypto.subtle.decrypt({ name: "AES-GCM", iv }, await backupKey(password, salt), buf.slice(at + 28)); }
+  catch { throw new Error("Wrong password, or the file is damaged."); }
+}
+
+// Daily restore points the retention policy no longer keeps (newest first wins each day/week)
+function prunableSnapshots(snaps: Snapshot[], policy: BackupSettings, now = new Date()): Snapshot[] {
+  const day = (iso: string) => dayDate(shopDay(iso)).getTime();
+  const today = day(now.toISOString());
+  const kept = new Set<string>();
+  return snaps.filter(sn => sn.auto).sort((a, b) => b.at.localeCompare(a.at)).filter(sn => {
+    const age = Math.round((today - day(sn.at)) / 86400000);
+    const bucket = age < policy.keepDays ? `d${age}` : age < policy.keepDays + policy.keepWeeks * 7 ? `w${Math.floor((age - policy.keepDays) / 7)}` : "";
+    if (!bucket || kept.has(bucket)) return true;
+    kept.add(bucket);
+    return false;
+  });
+}
+
+// Takes today's restore point unless there is one already, then applies the retention policy
+async function autoSnapshot(s: Store, now = new Date()) {
+  if (!s.backup.daily) return;
+  const snaps = await listSnapshots();
+  if (!snaps.some(sn => sn.auto && shopDay(sn.at) === shopDay(now.toISOString()))) snaps.push(await saveSnapshot(s, "Daily backup", true));
+  const old = prunableSnapshots(snaps, s.backup, now);
+  if (old.length) await deleteSnapshots(old.map(sn => sn.id));
+}
+
+// ----------------------- UI Primitives -----------------------
+function Pill({ children, className = "" }: { children: React.ReactNode; className?: string }) {
+  return <span className={`px-2 py-1 rounded-full text-xs font-medium ${className}`}>{children}</span>;
+}
+
+function Card({ children, className = "" }: { children: React.ReactNode; className?: string }) {
+  return (
+    <div className={`bg-white rounded-2xl shadow-sm border border-gray-200 ${className}`}>{children}</div>
+  );
+}
+
+function Button({ children, onClick, type = "button", className = "", disabled = false }:{ children: React.ReactNode; onClick?: () => void; type?: "button" | "submit"; className?: string; disabled?: boolean }) {
+  return (
+    <button
+      type={type}
+      onClick={onClick}
+      disabled={disabled}
+      className={`px-4 py-2 rounded-2xl border text-sm shadow-sm active:scale-[.99] disabled:opacity-50 ${className}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function Input({ value, onChange, placeholder = "", type = "text", className = "", required=false, list }:{ value?: any; onChange?: any; placeholder?: string; type?: string; className?: string; required?: boolean; list?: string }){
+  return (
+    <input value={value} onChange={onChange} placeholder={placeholder} type={type}
+      required={required} list={list}
+      className={`w-full border rounded-xl px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`} />
+  );
+}
+
+function TextArea({ value, onChange, placeholder = "", className = "" }:{ value?: any; onChange?: any; placeholder?: string; className?: string }){
+  return (
+    <textarea value={value} onChange={onChange} placeholder={placeholder}
+      className={`w-full border rounded-xl px-3 py-2 text-sm min-h-[90px] focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`} />
+  );
+}
+
+function Select({ value, onChange, children, className = "" }:{ value: any; onChange: any; children: React.ReactNode; className?: string }){
+  return (
+    <select value={value} onChange={onChange}
+      className={`w-full border rounded-xl px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-black/5 ${className}`}>
+      {children}
+    </select>
+  );
+}
+
+// ----------------------- Root App -----------------------
+export default function PrintmaxApp(){
+  const [initial, setInitial] = useState<Store>();
+  const [error, setError] = useState<StorageError>();
+  const load = () => {
+    setError(undefined);
+    loadStore().then(setInitial, (e) => setError(e instanceof StorageError ? e : new StorageError(String(e?.message || e))));
+  };
+  useEffect(load, []);
+
+  if (error) return <StorageErrorScreen error={error} onRetry={load} />;
+  if (!initial) return <div className="min-h-screen grid place-items-center text-sm text-gray-500">Loading…</div>;
+  return <AppShell initial={initial} />;
+}
+
+function AppShell({ initial }:{ initial: Store }){
+  const [store, setStoreRaw] = useState<Store>(initial);
+  // Every update keeps enquiries linked to customers, whichever path (form, import, sync) added them,
+  // and stamps the shared lists (users, categories, statuses) it changed for the next sync
+  const setStore = (next: Store | ((s: Store) => Store)) => setStoreRaw(s => stampShared(s, ensureCustomers(typeof next === "function" ? next(s) : next)));
+  const currentUser = useMemo(() => store.users.find(u => u.id === store.currentUserId), [store]);
+  configureLocale(store.shop, currentUser?.language || store.shop.language);
+  const [saveError, setSaveError] = useState("");
+  const saved = useRef(initial);
+  // After a failed write the diff base can't be trusted, so the next save rewrites everything
+  const rewrite = useRef(false);
+  useEffect(() => {
+    const prev = saved.current;
+    saved.current = store;
+    const write = rewrite.current ? writeAllDB(store) : persistStore(prev, store);
+    rewrite.current = false;
+    write.then(() => setSaveError(""), (e) => { rewrite.current = true; setSaveError(String(e?.message || e)); });
+  }, [store]);
+
+  const allowed = (perm: Permission) => can(currentUser, perm, store.staffPermissions);
+  // Actions re-check permissions here as well; hidden buttons are not a guarantee
+  const requires = <A extends any[], R>(perm: Permission, fn: (...a: A) => R) => (...a: A): R | undefined => {
+    if (allowed(perm)) return fn(...a);
+    alert(tr("You don't have permission to do that."));
+  };
+
+  const [lockedIdle, setLockedIdle] = useState(false);
+  const startSession = (userId: string, patch: Partial<Store> = {}) => {
+    localStorage.setItem(LAST_ACTIVE_KEY, String(Date.now()));
+    localStorage.setItem(LAST_USER_KEY, userId);
+    setLockedIdle(false);
+    setStore(s => ({...s, ...patch, currentUserId: userId, loginAttempts: {...s.loginAttempts, [userId]: { count: 0 }} }));
+  };
+  const logout = () => setStore(s => ({...s, currentUserId: undefined }));
+
+  // Returns an error message, or nothing when the user is now logged in
+  const attemptLogin = async (userId: string, pin: string): Promise<string | undefined> => {
+    const u = store.users.find(x => x.id === userId);
+    if (!u) return "Unknown user.";
+    const { maxAttempts, lockoutMinutes } = store.security;
+    const att = store.loginAttempts[userId];
+    if (att?.lockedUntil && new Date(att.lockedUntil).getTime() > Date.now()) return `Too many wrong PINs. Try again after ${fmtDate(att.lockedUntil)}.`;
+    if (await verifyPin(u, pin)) { startSession(userId); return; }
+    const count = (att?.lockedUntil ? 0 : att?.count || 0) + 1;
+    const locked = count >= maxAttempts;
+    const next = locked ? { count: 0, lockedUntil: new Date(Date.now() + lockoutMinutes * 60000).toISOString() } : { count };
+    setStore(s => ({...s, loginAttempts: {...s.loginAttempts, [userId]: next}}));
+    return locked ? `Too many wrong PINs. Locked for ${lockoutMinutes} minutes.` : `Wrong PIN. ${maxAttempts - count} attempt(s) left.`;
+  };
+
+  // First setup only: an admin without a PIN chooses one on their first login (see canChoosePin)
+  const createPinAndLogin = async (userId: string, pin: string) => {
+    const u = store.users.find(x => x.id === userId);
+    if (!u || !canChoosePin(store, u) || !validPin(pin)) return;
+    const creds = await makePinCredentials(pin);
+    startSession(userId, { users: store.users.map(x => x.id === userId ? {...x, ...creds} : x), setupDone: true });
+  };
+
+  const setUserPin = async (userId: string, pin: string) => {
+    if (currentUser?.role !== "admin" || !validPin(pin)) return;
+    const creds = await makePinCredentials(pin);
+    setStore(s => ({...s, users: s.users.map(x => x.id === userId ? {...x, ...creds} : x), loginAttempts: {...s.loginAttempts, [userId]: { count: 0 }}}));
+  };
+
+  const updateSecurity = (patch: Partial<SecuritySettings>) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => ({...s, security: {...s.security, ...patch}}));
+  };
+
+  const updateShop = (patch: Partial<ShopProfile>) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => ({...s, shop: {...s.shop, ...patch}}));
+  };
+  const updateLanguage = (language?: Language) => setStore(s => ({...s, users: s.users.map(u => u.id === s.currentUserId ? {...u, language} : u)}));
+
+  const updateTracking = (patch: Partial<TrackingSettings>) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => ({...s, tracking: {...s.tracking, ...patch}}));
+  };
+
+  const updateSync = (patch: Partial<SyncSettings>) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => {
+      if (patch.endpoint === undefined || patch.endpoint === s.sync.endpoint) return {...s, sync: {...s.sync, ...patch}};
+      // A different server knows none of our revisions: start over and push everything
+      return {...s, sync: {...s.sync, ...patch, cursor: 0, lastSyncedAt: undefined, sharedTimes: {}}, enquiries: s.enquiries.map(e => ({...e, rev: undefined, syncedAt: undefined}))};
+    });
+  };
+  const dismissConflict = (id?: string) => setStore(s => ({...s, sync: {...s.sync, conflicts: id ? s.sync.conflicts.filter(c => c.id !== id) : []}}));
+
+  // Sync: pushes queued enquiries and pulls newer ones in one request. Failures
+  // leave the queue untouched, so offline edits go out on the next attempt.
+  const [syncStatus, setSyncStatus] = useState<SyncStatus>({ busy: false });
+  const latest = useRef(store);
+  latest.current = store;
+  // Daily restore point: on launch, and hourly for a device left open past midnight
+  useEffect(() => {
+    const run = () => autoSnapshot(latest.current).catch(() => undefined);
+    run();
+    const timer = setInterval(run, 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  const syncing = useRef(false);
+  // Tracking pages go out with the enquiries pushed, and for enquiries pulled from
+  // other devices on the following sync. All of them are sent once per session and
+  // again when their content may change (server, tracking settings, statuses, shop
+  // profile). Turning tracking off withdraws them, and replaced codes are withdrawn
+  // too; both are kept in the store until the server has them.
+  const trackingSent = useRef<string>();
+  const trackingDue = useRef(new Set<string>());
+  const syncNow = async () => {
+    const s = latest.current;
+    if (!s.sync.endpoint || syncing.current) return;
+    syncing.current = true;
+    setSyncStatus({ busy: true });
+    const pushed = s.enquiries.filter(needsPush);
+    const trackingKey = JSON.stringify([s.sync.endpoint, s.tracking, s.statuses, s.shop]);
+    const resend = trackingSent.current !== trackingKey;
+    const withdraw = s.sync.trackingWithdraw || [];
+    const tracking: TrackingUpdate[] = [
+      ...s.tracking.enabled
+        ? s.enquiries.filter(e => resend || needsPush(e) || trackingDue.current.has(e.id)).map(e => trackingSummary(e, s.statuses, s.tracking.contact))
+        : s.sync.trackingPublished ? s.enquiries.map(e => ({ code: trackingCode(e), removed: true as const })) : [],
+      ...withdraw.map(code => ({ code, removed: true as const })),
+    ];
+    const startedAt = Date.now();
+    try {
+      const shared = Object.fromEntries(SHARED_KEYS.map(k => [k, { at: s.sync.sharedTimes[k] || 0, value: sharedValue(s, k) }]));
+      const push = await pushRegistration(s).catch(() => null);
+      const res = await postSync(s.sync, pushed, tracking, shared, push);
+      trackingSent.current = trackingKey;
+      trackingDue.current = new Set(res.changes.map(r => r.id));
+      setStore(cur => {
+        const next = applySync(cur, pushed, res, startedAt);
+        const left = (next.sync.trackingWithdraw || []).filter(c => !withdraw.includes(c));
+        return {...next, sync: {...next.sync, trackingPublished: s.tracking.enabled, trackingWithdraw: left.length ? left : undefined}};
+      });
+      setSyncStatus({ busy: false });
+      // Lists merged on joining go straight back, before another device's edit can replace them
+      if (SHARED_KEYS.some(k => s.sync.sharedTimes[k] === undefined && res.shared?.[k])) setTimeout(syncNow, 1000);
+      // So is the push subscription, once the server's key is known
+      else if (res.pushKey && res.pushKey !== s.sync.pushKey && PUSH_REMINDERS) setTimeout(syncNow, 1000);
+    } catch (e: any) {
+      setSyncStatus({ busy: false, error: navigator.onLine ? String(e?.message || e) : "Offline" });
+    } finally {
+      syncing.current = false;
+    }
+  };
+  const pendingSync = store.enquiries.filter(needsPush).length;
+  useEffect(() => {
+    if (!store.sync.enabled || !store.sync.endpoint) return;
+    const timer = setInterval(syncNow, 60000);
+    window.addEventListener("online", syncNow);
+    return () => { clearInterval(timer); window.removeEventListener("online", syncNow); };
+  }, [store.sync.enabled, store.sync.endpoint]);
+  // Push shortly after local changes settle
+  useEffect(() => {
+    if (!store.sync.enabled || !store.sync.endpoint || pendingSync === 0) return;
+    const t = setTimeout(syncNow, 3000);
+    return () => clearTimeout(t);
+  }, [store.sync.enabled, store.sync.endpoint, pendingSync, store.enquiries]);
+
+  // PWA: install button while the browser offers it, banner when a new version is waiting
+  const [canInstall, setCanInstall] = useState(!!installPrompt);
+  const [updateReady, setUpdateReady] = useState<ServiceWorker>();
+  useEffect(() => {
+    linkManifest();
+    const onInstallable = () => setCanInstall(!!installPrompt);
+    installListeners.add(onInstallable);
+    let timer: any;
+    registerServiceWorker().then(reg => {
+      if (!reg) return;
+      const offer = (w?: ServiceWorker | null) => { if (w && navigator.serviceWorker.controller) setUpdateReady(w); };
+      offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const w = reg.installing;
+        w?.addEventListener("statechange", () => { if (w.state === "installed") offer(w); });
+      });
+      navigator.serviceWorker.ready.then(cacheLoadedResources);
+      timer = setInterval(() => reg.update().catch(() => undefined), 60*60000);
+    });
+    let reloading = false;
+    const onControllerChange = () => { if (!reloading) { reloading = true; location.reload(); } };
+    navigator.serviceWorker?.addEventListener("controllerchange", onControllerChange);
+    return () => {
+      installListeners.delete(onInstallable);
+      clearInterval(timer);
+      navigator.serviceWorker?.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+  const install = async () => {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    await installPrompt.userChoice.catch(() => undefined);
+    installPrompt = undefined;
+    setCanInstall(false);
+  };
+  const applyUpdate = () => updateReady?.postMessage({ type: "skipWaiting" });
+
+  // Reminders: checked every minute while the app is open, including in a background
+  // tab, and shown through the service worker. They go to the last user who logged
+  // in on this device, so an idle lock doesn't silence them. The sync server pushes
+  // them while the app is closed; those count as shown here.
+  const reminderAction = (key: string, action: ReminderAction) => {
+    const patch: ReminderState = action === "snooze" ? { snoozedUntil: Date.now() + SNOOZE_MINUTES*60000 } : action === "dismiss" ? { dismissed: true } : { shownAt: Date.now() };
+    setStore(s => ({...s, reminderState: {...s.reminderState, [key]: {...s.reminderState[key], ...patch}}}));
+  };
+  useEffect(() => {
+    const check = async () => {
+      if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+      const pushedAt = await takePushedReminders().catch(() => ({} as Record<string, number>));
+      const s = latest.current;
+      const userId = s.currentUserId || localStorage.getItem(LAST_USER_KEY);
+      if (!userId) return;
+      const now = Date.now();
+      const all = remindersFor(s, userId);
+      const state = { ...s.reminderState };
+      Object.entries(pushedAt).forEach(([k, at]) => { state[k] = { ...state[k], shownAt: Math.max(state[k]?.shownAt || 0, at) }; });
+      const due = pendingReminders(all, state, now);
+      scheduleReminders(all, state, now).catch(() => undefined);
+      const stale = Object.keys(state).filter(k => !all.some(r => r.key === k));
+      if (!due.length && !stale.length && !Object.keys(pushedAt).length) return;
+      due.forEach(r => { showReminder(r).catch(() => undefined); });
+      setStore(cur => {
+        const next = { ...cur.reminderState };
+        Object.entries(pushedAt).forEach(([k, at]) => { next[k] = { ...next[k], shownAt: Math.max(next[k]?.shownAt || 0, at) }; });
+        stale.forEach(k => { delete next[k]; });
+        due.forEach(r => { next[r.key] = { ...next[r.key], shownAt: now }; });
+        return {...cur, reminderState: next};
+      });
+    };
+    const onMessage = (ev: MessageEvent) => { if (ev.data?.type === "reminder") reminderAction(ev.data.key, ev.data.action); };
+    registerServiceWorker().then(check);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    // Actions tapped while no window was open arrive in the URL, see sw.js
+    const q = new URLSearchParams(location.search);
+    const key = q.get("reminder");
+    if (key) {
+      reminderAction(key, (q.get("action") || "open") as ReminderAction);
+      history.replaceState(null, "", location.pathname);
+    }
+    const timer = setInterval(check, 60000);
+    return () => { clearInterval(timer); navigator.serviceWorker?.removeEventListener("message", onMessage); };
+  }, []);
+  const updateViews = (views: SavedView[]) => setStore(s => ({...s, users: s.users.map(u => u.id === s.currentUserId ? {...u, views} : u)}));
+  const updateNotify = (patch: Partial<NotifySettings>) => setStore(s => ({...s, users: s.users.map(u => u.id === s.currentUserId ? {...u, notify: {...notifySettings(u), ...patch}} : u)}));
+
+  // Idle lock: any interaction refreshes the last-active time; a stale one (also after reload) logs out
+  useEffect(() => {
+    const idleMs = store.security.idleMinutes * 60000;
+    if (!store.currentUserId || !idleMs) return;
+    let last = Number(localStorage.getItem(LAST_ACTIVE_KEY)) || Date.now();
+    const touch = () => {
+      const now = Date.now();
+      if (now - last > 5000) { last = now; localStorage.setItem(LAST_ACTIVE_KEY, String(now)); }
+    };
+    const check = () => {
+      if (Date.now() - last > idleMs) { setLockedIdle(true); logout(); }
+    };
+    check();
+    const events = ["pointerdown", "keydown", "scroll"];
+    events.forEach(ev => window.addEventListener(ev, touch, { passive: true }));
+    document.addEventListener("visibilitychange", check);
+    const timer = setInterval(check, 15000);
+    return () => {
+      events.forEach(ev => window.removeEventListener(ev, touch));
+      document.removeEventListener("visibilitychange", check);
+      clearInterval(timer);
+    };
+  }, [store.currentUserId, store.security.idleMinutes]);
+
+  // All enquiry writes go through recordChange so the history shows who did what
+  const upsertEnquiry = (e: Enquiry) => setStore(s => ({...s, enquiries: upsertById(s.enquiries, recordChange(s.enquiries.find(x => x.id === e.id), e, s.currentUserId))}));
+  const updateEnquiry = (id: string, fn: (e: Enquiry) => Enquiry, action?: HistoryAction) => setStore(s => ({...s, enquiries: s.enquiries.map(e => e.id === id ? recordChange(e, fn(e), s.currentUserId, action) : e)}));
+  const deleteEnquiry = requires("deleteEnquiry", (id: string) => updateEnquiry(id, e => ({...e, deletedAt: todayISO(), deletedBy: store.currentUserId}), "deleted"));
+  const restoreEnquiry = requires("restoreEnquiry", (id: string) => updateEnquiry(id, e => ({...e, deletedAt: undefined, deletedBy: undefined}), "restored"));
+  // The old page is withdrawn from the sync server on the next sync
+  const newTrackingLink = (id: string) => setStore(s => {
+    const e = s.enquiries.find(x => x.id === id);
+    if (!e) return s;
+    const sync = s.sync.endpoint ? {...s.sync, trackingWithdraw: [...(s.sync.trackingWithdraw || []), trackingCode(e)]} : s.sync;
+    return {...s, sync, enquiries: s.enquiries.map(x => x === e ? recordChange(e, {...e, trackingCode: newTrackingCode()}, s.currentUserId) : x)};
+  });
+
+  // Batch edits from the enquiry list. The confirmed plan names the enquiries; the
+  // action is applied again to their latest versions, so edits or syncs since the
+  // plan was made aren't overwritten. Undo writes back only the fields the batch
+  // changed, as a new change, so it also reaches devices that already synced it.
+  const [lastBatch, setLastBatch] = useState<{ plan: BatchPlan; before: Enquiry[] }>();
+  const replan = (s: Store, plan: BatchPlan) => {
+    const ids = new Set(plan.changed.map(e => e.id));
+    return planBatch(s.enquiries.filter(e => ids.has(e.id)), plan.action, s.statuses, s.categories, s.users, s.currentUserId);
+  };
+  const applyBatch = (plan: BatchPlan) => {
+    if (plan.action.kind === "delete" && !allowed("deleteEnquiry")) return;
+    setStore(s => {
+      const next = new Map(replan(s, plan).changed.map(e => [e.id, e]));
+      return {...s, enquiries: s.enquiries.map(e => next.has(e.id) ? recordChange(e, next.get(e.id)!, s.currentUserId, plan.action.kind === "delete" ? "deleted" : undefined) : e)};
+    });
+    const fresh = replan(latest.current, plan);
+    setLastBatch({ plan: fresh, before: latest.current.enquiries.filter(e => fresh.changed.some(c => c.id === e.id)) });
+  };
+  const canUndoBatch = (plan: BatchPlan) => plan.action.kind !== "delete" || allowed("restoreEnquiry");
+  const undoBatch = () => {
+    if (!lastBatch || !canUndoBatch(lastBatch.plan)) return;
+    const before = new Map(lastBatch.before.map(e => [e.id, e]));
+    const after = new Map(lastBatch.plan.changed.map(e => [e.id, e]));
+    const restore = lastBatch.plan.action.kind === "delete";
+    setStore(s => ({...s, enquiries: s.enquiries.map(e => {
+      const b: any = before.get(e.id), a: any = after.get(e.id);
+      if (!b || !a) return e;
+      const reverted: any = {...e};
+      syncFields(b, a).forEach(k => { if (JSON.stringify(b[k]) !== JSON.stringify(a[k])) reverted[k] = b[k]; });
+      return recordChange(e, reverted, s.currentUserId, restore ? "restored" : undefined);
+    })}));
+    setLastBatch(undefined);
+  };
+  useEffect(() => {
+    if (!lastBatch) return;
+    const t = setTimeout(() => setLastBatch(undefined), 20000);
+    return () => clearTimeout(t);
+  }, [lastBatch]);
+
+  // Categories new to the list are only added for users who may edit categories;
+  // otherwise the enquiries keep the name, as with any unlisted category
+  const importEnquiries = requires("importEnquiries", (list: Enquiry[], newCategories: string[]) => setStore(s => ({
+    ...s,
+    categories: allowed("manageCategories") ? [...s.categories, ...newCategories.filter(n => !findCategory(s.categories, n)).map(newCategory)] : s.categories,
+    enquiries: [...list.map(e => recordChange(undefined, e, s.currentUserId)), ...s.enquiries],
+  })));
+
+  // Name/phone fixes on a customer are copied onto their enquiries (with history)
+  const updateCustomer = (c: Customer) => setStore(s => ({
+    ...s,
+    customers: upsertById(s.customers, c),
+    enquiries: s.enquiries.map(e => e.customerId === c.id && (e.customerName !== c.name || (e.phone || "") !== (c.phone || "")) ? recordChange(e, {...e, customerName: c.name, phone: c.phone}, s.currentUserId) : e),
+  }));
+  const mergeCustomers = requires("mergeCustomers", (keepId: string, ids: string[]) => setStore(s => {
+    const keep = s.customers.find(c => c.id === keepId);
+    if (!keep) return s;
+    const gone = ids.filter(id => id !== keepId);
+    return {
+      ...s,
+      customers: s.customers.filter(c => !gone.includes(c.id)),
+      enquiries: s.enquiries.map(e => gone.includes(e.customerId || "")
+        ? recordChange(e, {...e, customerId: keepId, customerName: keep.name, phone: keep.phone || e.phone}, s.currentUserId)
+        : e),
+    };
+  }));
+
+  const logMessage = (enquiryId: string, t: MessageTemplate) => updateEnquiry(enquiryId, e => ({...e, messages: [...(e.messages || []), { id: crypto.randomUUID(), at: todayISO(), templateId: t.id, templateName: t.name, userId: store.currentUserId }]}), "messaged");
+
+  const upsertTemplate = requires("manageTemplates", (t: MessageTemplate) => setStore(s => ({...s, templates: upsertById(s.templates, t)})));
+  const removeTemplate = requires("manageTemplates", (id: string) => setStore(s => ({...s, templates: s.templates.filter(t => t.id !== id)})));
+
+  const addCategory = requires("manageCategories", (name: string) => setStore(s => findCategory(s.categories, name) ? s : ({...s, categories: [...s.categories, newCategory(titleCase(name))]})));
+  const updateCategory = requires("manageCategories", (c: Category) => setStore(s => ({...s, categories: s.categories.map(x => x.id === c.id ? c : x)})));
+  // Only unused categories go; a category in use is merged into another instead
+  const removeCategory = requires("manageCategories", (id: string) => setStore(s => {
+    const c = s.categories.find(x => x.id === id);
+    if (!c || s.enquiries.some(e => e.category === c.name)) return s;
+    return {...s, categories: s.categories.filter(x => x.id !== id)};
+  }));
+  const renameCategory = requires("manageCategories", (id: string, name: string) => setStore(s => {
+    const c = s.categories.find(x => x.id === id);
+    if (!c || !name.trim() || findCategory(s.categories.filter(x => x.id !== id), name.trim())) return s;
+    const renamed = {...c, name: name.trim()};
+    return {...recategorize(s, [c], renamed), categories: s.categories.map(x => x.id === id ? renamed : x)};
+  }));
+  const mergeCategories = requires("manageCategories", (fromId: string, intoId: string) => setStore(s => {
+    const from = s.categories.find(x => x.id === fromId), into = s.categories.find(x => x.id === intoId);
+    if (!from || !into || from === into) return s;
+    return {...recategorize(s, [from], into), categories: s.categories.filter(x => x.id !== fromId)};
+  }));
+  const updateStatuses = requires("manageWorkflow", (statuses: StatusDef[]) => setStore(s => ({...s, statuses})));
+
+  const createUser = async (name: string, role: User["role"], pin?: string) => {
+    const creds = pin ? await makePinCredentials(pin) : {};
+    setStore(s => ({...s, users: [...s.users, { id: crypto.randomUUID(), name: titleCase(name), role, ...creds }]}));
+  };
+  // Users added in Settings get their first PIN from whoever adds them
+  // manageUsers covers staff accounts; only admins create or remove admins
+  const addUser = requires("manageUsers", (name: string, role: User["role"], pin: string) => {
+    if (role === "admin" && currentUser?.role !== "admin") { alert(tr("Only an admin can add admins.")); return; }
+    if (!validPin(pin)) { alert(tr("PIN must be 4–8 digits.")); return; }
+    createUser(name, role, pin);
+  });
+  // Without any admin nobody could grant permissions, so the login screen may create users until one exists
+  const addFirstUser = (name: string, role: User["role"]) => { if (adminCount(store.users) === 0) createUser(name, role); };
+  const removeUser = requires("manageUsers", (id: string) => {
+    const u = store.users.find(x => x.id === id);
+    if (u?.role === "admin" && currentUser?.role !== "admin") { alert(tr("Only an admin can remove admins.")); return; }
+    if (u?.role === "admin" && adminCount(store.users) <= 1) { alert(tr("Can't remove the last admin.")); return; }
+    setStore(s => ({...s, users: s.users.filter(u => u.id !== id)}));
+  });
+  const toggleStaffPermission = (perm: Permission) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => ({...s, staffPermissions: s.staffPermissions.includes(perm) ? s.staffPermissions.filter(p => p !== perm) : [...s.staffPermissions, perm]}));
+  };
+
+  // Invoice numbers are assigned once per enquiry from the store counter, so reprints keep their number.
+  // A new number is taken inside the update, from the latest counter, and the invoice is printed once
+  // it's in the store; the print window is opened now, while the click still allows pop-ups.
+  const [invoicing, setInvoicing] = useState<{ id: string; win: Window | null }>();
+  const generateDocument = (kind: "quote" | "invoice", e: Enquiry) => {
+    if (kind === "quote" || e.invoiceNo) {
+      printDocument(buildDocHTML(kind, e), `${kind === "invoice" ? e.invoiceNo : quoteNumber(e)}.html`);
+      return;
+    }
+    setStore(s => {
+      const cur = s.enquiries.find(x => x.id === e.id);
+      if (!cur || cur.invoiceNo) return s;
+      const doc = { ...cur, invoiceNo: invoiceNumber(s.nextInvoiceNo, invoicePrefix(s)), invoicedAt: todayISO() };
+      return {...s, nextInvoiceNo: s.nextInvoiceNo + 1, enquiries: upsertById(s.enquiries, recordChange(cur, doc, s.currentUserId))};
+    });
+    setInvoicing({ id: e.id, win: window.open("", "_blank") });
+  };
+  useEffect(() => {
+    if (!invoicing) return;
+    setInvoicing(undefined);
+    const e = store.enquiries.find(x => x.id === invoicing.id);
+    if (e?.invoiceNo) printDocument(buildDocHTML("invoice", e), `${e.invoiceNo}.html`, invoicing.win);
+    else invoicing.win?.close();
+  }, [invoicing]);
+
+  const addPayment = (enquiryId: string, p: Omit<Payment, "id" | "receivedBy">) => updateEnquiry(enquiryId, e => ({...e, payments: [...(e.payments || []), { ...p, id: crypto.randomUUID(), receivedBy: store.currentUserId }]}));
+  const removePayment = (enquiryId: string, paymentId: string) => updateEnquiry(enquiryId, e => ({...e, payments: (e.payments || []).filter(p => p.id !== paymentId)}));
+  const saveReminder = (enquiryId: string, r: Reminder) => updateEnquiry(enquiryId, e => ({...e, reminders: upsertById(e.reminders || [], r)}));
+  const removeReminder = (enquiryId: string, reminderId: string) => updateEnquiry(enquiryId, e => ({...e, reminders: (e.reminders || []).filter(r => r.id !== reminderId)}));
+
+  const upsertPriceItem = requires("managePrices", (p: PriceItem) => setStore(s => ({...s, priceList: upsertById(s.priceList, p)})));
+  const removePriceItem = requires("managePrices", (id: string) => setStore(s => ({...s, priceList: s.priceList.filter(p => p.id !== id)})));
+
+  // Files are read one at a time and stored before the enquiry lists them
+  const addAttachments = async (enquiryId: string, files: File[]) => {
+    const added: Attachment[] = [];
+    for (const file of files) {
+      try {
+        const { meta, record } = await prepareAttachment(file, store.currentUserId);
+        await putFiles([record]);
+        added.push(meta);
+      } catch (e: any) {
+        alert(tr("Couldn't attach {name}: {error}.", { name: file.name, error: e?.message || e }));
+      }
+    }
+    if (added.length) updateEnquiry(enquiryId, e => ({...e, attachments: [...(e.attachments || []), ...added]}));
+  };
+  const removeAttachment = (enquiryId: string, attachmentId: string) => {
+    updateEnquiry(enquiryId, e => ({...e, attachments: (e.attachments || []).filter(a => a.id !== attachmentId)}));
+    deleteFile(attachmentId).catch(() => undefined);
+  };
+
+  // Password prompt for encrypted backups. `use` runs with the password; its error
+  // is shown in the dialog so the user can try again. Resolves false if cancelled.
+  const [passwordAsk, setPasswordAsk] = useState<{ title: string; confirm: boolean; onSubmit: (pw: string) => Promise<string | undefined>; onCancel: () => void }>();
+  const askPassword = (title: string, confirm: boolean, use: (pw: string) => Promise<void>) => new Promise<boolean>(resolve => setPasswordAsk({
+    title, confirm,
+    onCancel: () => { setPasswordAsk(undefined); resolve(false); },
+    onSubmit: async pw => {
+      try { await use(pw); } catch (e: any) { return String(e?.message || e); }
+      setPasswordAsk(undefined);
+      resolve(true);
+    },
+  }));
+
+  // Backups are a zip of the store (backup.json) and the attachment files,
+  // optionally encrypted with a password (see "Backups")
+  const exportData = async () => {
+    const name = `printmax_backup_${new Date().toISOString().slice(0,10)}`;
+    if (store.backup.encrypt) {
+      await askPassword("Encrypt backup", true, async pw => downloadBlob(await encryptBackup(await buildBackupZip(store), pw), name + ENCRYPTED_EXT));
+      return;
+    }
+    try { downloadBlob(await buildBackupZip(store), `${name}.zip`); }
+    catch (e: any) { alert(tr("Export failed: {error}", { error: e?.message || e })); }
+  };
+
+  // Import: parse and validate, then preview; nothing changes until the user applies it.
+  // Plain .json backups from before attachments still import; encrypted ones ask for the password.
+  const [pendingImport, setPendingImport] = useState<{ fileName: string; errors: string[]; data?: Store; files?: FileRecord[] }>();
+  const [lastImport, setLastImport] = useState<Snapshot>();
+  const importData = requires("importBackup", async (file: File) => {
+    let buf = await file.arrayBuffer();
+    const encrypted = isEncryptedBackup(buf);
+    if (encrypted && !(await askPassword(`Decrypt ${file.name}`, false, async pw => { buf = await decryptBackup(buf, pw); }))) return;
+    const zip = encrypted || /\.zip$/i.test(file.name) || file.type.includes("zip");
+    let parsed: any, files: FileRecord[] = [];
+    try {
+      if (zip) ({ data: parsed, files } = await readBackupZip(buf));
+      else parsed = JSON.parse(new TextDecoder().decode(buf));
+    } catch (e) {
+      setPendingImport({ fileName: file.name, errors: [zip ? `Not a readable backup zip: ${(e as Error).message}` : `Not valid JSON: ${(e as Error).message}`] });
+      return;
+    }
+    const { errors, store: data } = validateBackup(parsed);
+    setPendingImport({ fileName: file.name, errors, data, files });
+  });
+
+  const applyImport = requires("importBackup", async (result: Store) => {
+    try {
+      const snap = await saveSnapshot(store, `Before importing ${pendingImport?.fileName}`);
+      if (pendingImport?.files?.length) await putFiles(pendingImport.files);
+      setStore(result);
+      setLastImport(snap);
+      setPendingImport(undefined);
+    } catch (e: any) {
+      alert(tr("Import cancelled: couldn't save a restore point ({error}).", { error: e?.message || e }));
+    }
+  });
+
+  // Rolling back saves the current data as a restore point first, so it can be undone too
+  const restoreSnapshot = requires("importBackup", async (snap: Snapshot) => {
+    if (!confirm(tr("Roll back to the restore point from {date}? Changes made since then will be replaced.", { date: fmtDate(snap.at) }))) return;
+    try {
+      await saveSnapshot(store, `Before rolling back to ${fmtDate(snap.at)}`);
+    } catch (e: any) {
+      return alert(tr("Roll back cancelled: couldn't save a restore point ({error}).", { error: e?.message || e }));
+    }
+    const data = migrate(snap.data, snap.schemaVersion);
+    // PINs stay as they are now; users who come back need an admin to set theirs again
+    setStore(s => {
+      const users = data.users.map(({ pinHash, pinSalt, ...u }) => { const c = s.users.find(x => x.id === u.id); return c?.pinHash ? { ...u, pinHash: c.pinHash, pinSalt: c.pinSalt } : u; });
+      return { ...data, users, enquiries: replaceEnquiries(s.enquiries, data.enquiries, s.currentUserId), sync: s.sync, backup: s.backup, loginAttempts: s.loginAttempts, setupDone: s.setupDone, currentUserId: s.currentUserId };
+    });
+    setLastImport(undefined);
+  });
+  const saveRestorePoint = requires("importBackup", async () => {
+    try { await saveSnapshot(store, "Saved manually"); }
+    catch (e: any) { alert(tr("Couldn't save a restore point: {error}.", { error: e?.message || e })); }
+  });
+  const removeSnapshot = requires("importBackup", async (snap: Snapshot) => {
+    if (confirm(tr("Delete the restore point from {date}?", { date: fmtDate(snap.at) }))) await deleteSnapshots([snap.id]);
+  });
+  const updateBackup = (patch: Partial<BackupSettings>) => {
+    if (currentUser?.role !== "admin") return;
+    setStore(s => ({...s, backup: {...s.backup, ...patch}}));
+  };
+
+  const clearData = requires("clearData", () => {
+    if (confirm(tr("Clear all local data?"))) clearAllData().then(() => location.reload());
+  });
+
+  // Reminders: due today or overdue & not completed/cancelled
+  const dueSoon = useMemo(() => {
+    const today = shopDay(todayISO());
+    return store.enquiries.filter(e => !e.deletedAt && e.dueAt && !isTerminal(store.statuses, e.status) && shopDay(e.dueAt) <= today);
+  }, [store.enquiries, store.statuses]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900">
+      <TopBar shop={store.shop} currentUser={currentUser} onLanguage={updateLanguage} onLogout={logout} exportData={exportData} importData={importData} canImport={allowed("importBackup")} onInstall={canInstall ? install : undefined}
+        sync={store.sync.enabled ? { ...syncStatus, pending: pendingSync, conflicts: store.sync.conflicts.length, lastSyncedAt: store.sync.lastSyncedAt, onSync: syncNow } : undefined} />
+      {updateReady && (
+        <div className="bg-blue-50 border-b border-blue-200 text-sm">
+          <div className="mx-auto max-w-4xl px-4 py-2 flex items-center gap-2">
+            <div className="flex-1">A new version of the app is available.</div>
+            <button className="underline" onClick={applyUpdate}>Reload</button>
+            <button className="text-gray-500" onClick={()=>setUpdateReady(undefined)}>×</button>
+          </div>
+        </div>
+      )}
+      {saveError && (
+        <div className="bg-red-50 border-b border-red-200 text-red-700 text-sm">
+          <div className="mx-auto max-w-4xl px-4 py-2">Couldn't save changes on this device: {saveError}. Export a backup before closing the app.</div>
+        </div>
+      )}
+      {lastImport && (
+        <div className="bg-green-50 border-b border-green-200 text-sm">
+          <div className="mx-auto max-w-4xl px-4 py-2 flex items-center gap-2">
+            <div className="flex-1">Backup imported. A restore point was saved first.</div>
+            <button className="underline" onClick={()=>restoreSnapshot(lastImport)}>Roll back</button>
+            <button className="text-gray-500" onClick={()=>setLastImport(undefined)}>×</button>
+          </div>
+        </div>
+      )}
+      {lastBatch && (
+        <div className="fixed bottom-14 inset-x-0 z-40 px-4 flex justify-center">
+          <div className="bg-gray-900 text-white text-sm rounded-2xl shadow-lg px-4 py-2 flex items-center gap-3">
+            <span>{tr("{label}: {n} enquiries updated.", { label: lastBatch.plan.label, n: lastBatch.plan.changed.length })}</span>
+            {canUndoBatch(lastBatch.plan) && <button className="underline font-medium" onClick={undoBatch}>{tr("Undo")}</button>}
+            <button className="text-gray-400" onClick={()=>setLastBatch(undefined)}>×</button>
+          </div>
+        </div>
+      )}
+      {passwordAsk && <PasswordDialog {...passwordAsk} />}
+      {pendingImport && <ImportPreview current={store} {...pendingImport} onApply={applyImport} onCancel={()=>setPendingImport(undefined)} />}
+      <div className="mx-auto max-w-4xl p-4 pb-24">
+        {!currentUser ? (
+          <Login users={store.users} setupDone={store.setupDone} lockedIdle={lockedIdle} onLogin={attemptLogin} onCreatePin={createPinAndLogin} onAddUser={adminCount(store.users) === 0 ? addFirstUser : undefined} />
+        ) : (
+          <Main
+            store={store}
+            setStore={setStore}
+            upsertEnquiry={upsertEnquiry}
+            deleteEnquiry={deleteEnquiry}
+            restoreEnquiry={restoreEnquiry}
+            newTrackingLink={newTrackingLink}
+            importEnquiries={importEnquiries}
+            applyBatch={applyBatch}
+            updateCustomer={updateCustomer}
+            mergeCustomers={mergeCustomers}
+            generateDocument={generateDocument}
+            logMessage={logMessage}
+            upsertTemplate={upsertTemplate}
+            removeTemplate={removeTemplate}
+            addPayment={addPayment}
+            removePayment={removePayment}
+            saveReminder={saveReminder}
+            removeReminder={removeReminder}
+            addAttachments={addAttachments}
+            removeAttachment={removeAttachment}
+            updateNotify={updateNotify}
+            updateViews={updateViews}
+            addCategory={addCategory}
+            updateCategory={updateCategory}
+            renameCategory={renameCategory}
+            mergeCategories={mergeCategories}
+            removeCategory={removeCategory}
+            updateStatuses={updateStatuses}
+            addUser={addUser}
+            removeUser={removeUser}
+            upsertPriceItem={upsertPriceItem}
+            removePriceItem={removePriceItem}
+            toggleStaffPermission={toggleStaffPermission}
+            setUserPin={setUserPin}
+            updateSecurity={updateSecurity}
+            updateSync={updateSync}
+            updateTracking={updateTracking}
+            updateShop={updateShop}
+            syncNow={syncNow}
+            syncStatus={syncStatus}
+            dismissConflict={dismissConflict}
+            updateBackup={updateBackup}
+            restoreSnapshot={restoreSnapshot}
+            saveRestorePoint={saveRestorePoint}
+            removeSnapshot={removeSnapshot}
+            clearData={clearData}
+            can={allowed}
+            dueSoon={dueSoon}
+          />
+        )}
+      </div>
+      <BottomNav />
+    </div>
+  );
+}
+
+// ----------------------- Components -----------------------
+function StorageErrorScreen({ error, onRetry }:{ error: StorageError; onRetry: () => void; }){
+  const downloadRaw = () => {
+    const url = URL.createObjectURL(new Blob([error.raw || ""], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url; a.download = `printmax_unreadable_${new Date().toISOString().slice(0,10)}.json`;
+    a.click(); URL.revokeObjectURL(url);
+  };
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900 p-4 grid place-items-center">
+      <Card className="p-4 max-w-md grid gap-3">
+        <div className="text-lg font-semibold">Couldn't open saved data</div>
+        <div className="text-sm text-red-700">{error.message}</div>
+        <div className="text-xs text-gray-500">Nothing has been deleted. Download the raw data before starting fresh if you need to recover it.</div>
+        <div className="flex flex-wrap gap-2">
+          <Button className="border-gray-300" onClick={onRetry}>Retry</Button>
+          {error.raw && <Button className="border-gray-300" onClick={downloadRaw}>Download raw data</Button>}
+          <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm('Erase the saved data on this device and start fresh?')) clearAllData().then(() => location.reload()); }}>Start fresh</Button>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+function ImportPreview({ current, fileName, errors, data, files, onApply, onCancel }:{ current: Store; fileName: string; errors: string[]; data?: Store; files?: FileRecord[]; onApply: (s: Store)=>void; onCancel: ()=>void; }){
+  const [mode, setMode] = useState<ImportMode>("merge");
+  const [keepDuplicates, setKeepDuplicates] = useState(false);
+  const plan = useMemo(() => data && planImport(current, data, mode, keepDuplicates), [current, data, mode, keepDuplicates]);
+  const row = (label: string, c: ImportCounts) => (
+    <tr key={label} className="border-t">
+      <td className="py-1">{label}</td><td className="text-right">{c.added}</td><td className="text-right">{c.updated}</td><td className="text-right">{c.removed}</td>
+    </tr>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 grid place-items-center p-4">
+      <Card className="p-4 w-full max-w-lg grid gap-3 max-h-[90vh] overflow-auto">
+        <div className="text-lg font-semibold">Import {fileName}</div>
+        {!plan ? (
+          <>
+            <div className="text-sm text-red-700">This file can't be imported. Nothing was changed.</div>
+            <ul className="text-xs text-red-700 list-disc pl-5 grid gap-1">
+              {errors.slice(0, 20).map((er, i) => <li key={i}>{er}</li>)}
+              {errors.length > 20 && <li>…and {errors.length - 20} more.</li>}
+            </ul>
+            <div className="flex justify-end"><Button className="border-gray-300" onClick={onCancel}>Close</Button></div>
+          </>
+        ) : (
+          <>
+            <div className="flex gap-4 text-sm">
+              <label className="flex items-center gap-2"><input type="radio" checked={mode==="merge"} onChange={()=>setMode("merge")} /> Merge by id</label>
+              <label className="flex items-center gap-2"><input type="radio" checked={mode==="replace"} onChange={()=>setMode("replace")} /> Replace everything</label>
+            </div>
+            <table className="text-sm w-full">
+              <thead><tr className="text-xs text-gray-500"><th className="text-left font-normal"></th><th className="text-right font-normal">Added</th><th className="text-right font-normal">Updated</th><th className="text-right font-normal">Removed</th></tr></thead>
+              <tbody>
+                {row("Enquiries", plan.counts.enquiries)}
+                {row("Users", plan.counts.users)}
+                {row("Categories", plan.counts.categories)}
+              </tbody>
+            </table>
+            {mode === "merge" && plan.counts.enquiries.duplicates > 0 && (
+              <label className="flex items-center gap-2 text-sm bg-yellow-50 rounded-xl p-2">
+                <input type="checkbox" checked={keepDuplicates} onChange={(e)=>setKeepDuplicates(e.target.checked)} />
+                {plan.counts.enquiries.duplicates} enquiries look like duplicates of existing ones (same title, customer, phone and time). Import them anyway.
+              </label>
+            )}
+            {files?.length ? <div className="text-xs text-gray-500">Includes {files.length} attachment file(s).</div> : null}
+            <div className="text-xs text-gray-500">A restore point of the current data is saved before importing.</div>
+            <div className="flex justify-end gap-2">
+              <Button className="border-gray-300" onClick={onCancel}>Cancel</Button>
+              <Button className="border-gray-900 bg-gray-900 text-white" onClick={()=>onApply(plan.result)}>{mode === "replace" ? "Replace" : "Merge"}</Button>
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+function PasswordDialog({ title, confirm, onSubmit, onCancel }:{ title: string; confirm: boolean; onSubmit: (pw: string)=>Promise<string | undefined>; onCancel: ()=>void; }){
+  const [password, setPassword] = useState("");
+  const [again, setAgain] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const submit = async (ev: any) => {
+    ev.preventDefault();
+    if (busy) return;
+    if (confirm && password.length < MIN_BACKUP_PASSWORD) return setError(`Use at least ${MIN_BACKUP_PASSWORD} characters.`);
+    if (confirm && password !== again) return setError("Passwords don't match.");
+    setBusy(true);
+    setError((await onSubmit(password)) || "");
+    setBusy(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 grid place-items-center p-4">
+      <Card className="p-4 w-full max-w-sm">
+        <form className="grid gap-3" onSubmit={submit}>
+          <div className="text-lg font-semibold">{title}</div>
+          <Input type="password" placeholder="Password" value={password} onChange={(e:any)=>setPassword(e.target.value)} required />
+          {confirm && <Input type="password" placeholder="Repeat password" value={again} onChange={(e:any)=>setAgain(e.target.value)} required />}
+          {confirm && <div className="text-xs text-gray-500">Keep the password safe: without it the backup can't be restored.</div>}
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="flex justify-end gap-2">
+            <Button className="border-gray-300" onClick={onCancel}>Cancel</Button>
+            <Button type="submit" className="border-gray-900 bg-gray-900 text-white" disabled={busy}>{busy ? "Working…" : confirm ? "Export" : "Decrypt"}</Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+function TopBar({ shop, currentUser, onLanguage, onLogout, exportData, importData, canImport, onInstall, sync }:{ shop: ShopProfile; currentUser?: User; onLanguage: (l?: Language) => void; onLogout: () => void; exportData: () => void; importData: (f: File) => void; canImport: boolean; onInstall?: () => void; sync?: SyncStatus & { pending: number; conflicts: number; lastSyncedAt?: string; onSync: () => void }; }){
+  return (
+    <div className="sticky top-0 z-40 bg-white/80 backdrop-blur border-b">
+      <div className="mx-auto max-w-4xl px-4 py-3 flex items-center gap-3">
+        <div className="flex items-center gap-2">
+          {shop.logo ? <img src={shop.logo} alt="" className="h-7 w-7 object-contain" /> : <span className="text-xl">🖨️</span>}
+          <div className="font-bold uppercase">{shop.name} {tr("Enquiries")}</div>
+        </div>
+        <div className="ml-auto flex items-center gap-2">
+          {sync && currentUser && (
+            <button onClick={sync.onSync} disabled={sync.busy} title={sync.error || (sync.lastSyncedAt ? `Last synced ${fmtDate(sync.lastSyncedAt)}` : "Not synced yet")}
+              className={`px-2 py-1 rounded-full text-xs font-medium ${sync.error ? "bg-red-100" : sync.conflicts ? "bg-yellow-100" : "bg-gray-100"}`}>
+              {sync.busy ? tr("Syncing…") : sync.error ? `Sync: ${sync.error}` : sync.lastSyncedAt ? `Synced ${fmtTime(sync.lastSyncedAt)}` : tr("Sync")}
+              {sync.pending > 0 && ` • ${tr("{n} pending", { n: sync.pending })}`}
+              {sync.conflicts > 0 && ` • ${sync.conflicts} conflict${sync.conflicts > 1 ? "s" : ""}`}
+            </button>
+          )}
+          {onInstall && <Button className="border-gray-300" onClick={onInstall}>{tr("Install App")}</Button>}
+          <label className="text-xs hidden sm:block">{tr("Backup")}</label>
+          <Button className="border-gray-300" onClick={exportData}>{tr("Export")}</Button>
+          {canImport && (
+            <label className="border px-4 py-2 rounded-2xl text-sm shadow-sm cursor-pointer">
+              {tr("Import")}<input type="file" accept={`.zip,.json,${ENCRYPTED_EXT},application/zip,application/json`} className="hidden" onChange={(e)=>{ if(e.target.files?.[0]) importData(e.target.files[0]); }}/>
+            </label>
+          )}
+          {currentUser && (
+            <div className="flex items-center gap-2">
+              <Pill className="bg-gray-100">{currentUser.name} ({tr(currentUser.role)})</Pill>
+              <Select value={currentUser.language || ""} onChange={(e:any)=>onLanguage(e.target.value || undefined)} className="w-auto text-xs px-2">
+                <option value="">{LANGUAGES[shop.language]}</option>
+                {(Object.keys(LANGUAGES) as Language[]).filter(l => l !== shop.language).map(l => <option key={l} value={l}>{LANGUAGES[l]}</option>)}
+              </Select>
+              <Button className="border-gray-300" onClick={onLogout}>{tr("Logout")}</Button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function BottomNav(){
+  return (
+    <div className="fixed bottom-0 left-0 right-0 bg-white border-t shadow-sm">
+      <div className="mx-auto max-w-4xl grid grid-cols-3 text-center text-xs">
+        <div className="p-2">{tr("Mobile-first • Works offline")}</div>
+        <div className="p-2">{tr("WhatsApp Quick Reply")}</div>
+        <div className="p-2">{tr("Import/Export Backup")}</div>
+      </div>
+    </div>
+  );
+}
+
+function Login({ users, setupDone, lockedIdle, onLogin, onCreatePin, onAddUser }:{ users: User[]; setupDone: boolean; lockedIdle: boolean; onLogin: (id: string, pin: string)=>Promise<string | undefined>; onCreatePin: (id: string, pin: string)=>Promise<void>; onAddUser?: (name: string, role: User["role"])=>void; }){
+  const [name, setName] = useState("");
+  const [role, setRole] = useState<User["role"]>("staff");
+  const [selected, setSelected] = useState<string>("");
+  const [pin, setPin] = useState("");
+  const [pin2, setPin2] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const user = users.find(u => u.id === selected);
+
+  const pick = (id: string) => { setSelected(id); setPin(""); setPin2(""); setError(""); };
+  const submit = async (ev: any) => {
+    ev.preventDefault();
+    if (!user || busy) return;
+    setBusy(true);
+    if (user.pinHash) {
+      const err = await onLogin(user.id, pin);
+      if (err) { setError(err); setPin(""); }
+    } else if (!validPin(pin)) {
+      setError("PIN must be 4–8 digits.");
+    } else if (pin !== pin2) {
+      setError("PINs don't match.");
+    } else {
+      await onCreatePin(user.id, pin);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="grid gap-4">
+      {lockedIdle && <Card className="p-3 text-sm bg-yellow-50">{tr("Locked after inactivity. Enter your PIN to continue.")}</Card>}
+      <Card className="p-4">
+        <div className="text-lg font-semibold mb-2">{tr("Select User")}</div>
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {users.map(u => (
+            <button key={u.id} onClick={()=>pick(u.id)} className={`border rounded-xl p-3 text-left hover:bg-gray-50 ${u.id===selected ? "border-gray-900" : ""}`}>
+              <div className="font-medium">{u.name}</div>
+              <div className="text-xs text-gray-500">{tr(u.role)}</div>
+            </button>
+          ))}
+        </div>
+        {user && !user.pinHash && !canChoosePin({ setupDone }, user) && (
+          <div className="mt-3 text-sm text-gray-600">{tr("{name} has no PIN yet. Ask an admin to set your PIN.", { name: user.name })}</div>
+        )}
+        {user && (user.pinHash || canChoosePin({ setupDone }, user)) && (
+          <form className="mt-3 grid sm:grid-cols-3 gap-2 items-center" onSubmit={submit}>
+            <Input type="password" placeholder={user.pinHash ? tr("PIN for {name}", { name: user.name }) : tr("Choose a PIN (4–8 digits)")} value={pin} onChange={(e:any)=>setPin(e.target.value)} required />
+            {!user.pinHash && <Input type="password" placeholder={tr("Repeat PIN")} value={pin2} onChange={(e:any)=>setPin2(e.target.value)} required />}
+            <Button type="submit" className="border-gray-900 bg-gray-900 text-white" disabled={busy}>{user.pinHash ? tr("Unlock") : tr("Set PIN & Login")}</Button>
+            {error && <div className="sm:col-span-3 text-sm text-red-600">{error}</div>}
+          </form>
+        )}
+      </Card>
+      {onAddUser && <Card className="p-4">
+        <div className="text-lg font-semibold mb-2">{tr("Add New User")}</div>
+        <div className="grid sm:grid-cols-3 gap-2">
+          <Input placeholder={tr("Name")} value={name} onChange={(e:any)=>setName(e.target.value)} />
+          <Select value={role} onChange={(e:any)=>setRole(e.target.value)}>
+            <option value="staff">{tr("Staff")}</option>
+            <option value="admin">{tr("Admin")}</option>
+          </Select>
+          <Button className="border-gray-300" onClick={()=>{ if(!name.trim()) return; onAddUser(name.trim(), role); setName(""); }}>{tr("Add User")}</Button>
+        </div>
+      </Card>}
+    </div>
+  );
+}
+
+function Main({ store, setStore, upsertEnquiry, deleteEnquiry, restoreEnquiry, newTrackingLink, importEnquiries, applyBatch, updateCustomer, mergeCustomers, generateDocument, logMessage, upsertTemplate, removeTemplate, addPayment, removePayment, saveReminder, removeReminder, addAttachments, removeAttachment, updateNotify, updateViews, addCategory, updateCategory, renameCategory, mergeCategories, removeCategory, updateStatuses, addUser, removeUser, upsertPriceItem, removePriceItem, toggleStaffPermission, setUserPin, updateSecurity, updateSync, updateTracking, updateShop, syncNow, syncStatus, dismissConflict, updateBackup, restoreSnapshot, saveRestorePoint, removeSnapshot, clearData, can, dueSoon }:{ store: Store; setStore: (s: any)=>void; upsertEnquiry: (e: Enquiry)=>void; deleteEnquiry: (id: string)=>void; restoreEnquiry: (id: string)=>void; newTrackingLink: (id: string)=>void; importEnquiries: (list: Enquiry[], newCategories: string[])=>void; applyBatch: (plan: BatchPlan)=>void; updateCustomer: (c: Customer)=>void; mergeCustomers: (keepId: string, ids: string[])=>void; generateDocument: (k: "quote" | "invoice", e: Enquiry)=>void; logMessage: (id: string, t: MessageTemplate)=>void; upsertTemplate: (t: MessageTemplate)=>void; removeTemplate: (id: string)=>void; addPayment: (id: string, p: Omit<Payment, "id" | "receivedBy">)=>void; removePayment: (id: string, paymentId: string)=>void; saveReminder: (id: string, r: Reminder)=>void; removeReminder: (id: string, reminderId: string)=>void; addAttachments: (id: string, files: File[])=>Promise<void>; removeAttachment: (id: string, attachmentId: string)=>void; updateNotify: (p: Partial<NotifySettings>)=>void; updateViews: (views: SavedView[])=>void; addCategory: (n: string)=>void; updateCategory: (c: Category)=>void; renameCategory: (id: string, name: string)=>void; mergeCategories: (fromId: string, intoId: string)=>void; removeCategory: (id: string)=>void; updateStatuses: (list: StatusDef[])=>void; addUser: (n: string, r: User["role"], pin: string)=>void; removeUser: (id: string)=>void; upsertPriceItem: (p: PriceItem)=>void; removePriceItem: (id: string)=>void; toggleStaffPermission: (p: Permission)=>void; setUserPin: (id: string, pin: string)=>Promise<void>; updateSecurity: (p: Partial<SecuritySettings>)=>void; updateSync: (p: Partial<SyncSettings>)=>void; updateTracking: (p: Partial<TrackingSettings>)=>void; updateShop: (p: Partial<ShopProfile>)=>void; syncNow: ()=>void; syncStatus: SyncStatus; dismissConflict: (id?: string)=>void; updateBackup: (p: Partial<BackupSettings>)=>void; restoreSnapshot: (s: Snapshot)=>Promise<void> | undefined; saveRestorePoint: ()=>Promise<void> | undefined; removeSnapshot: (s: Snapshot)=>Promise<void> | undefined; clearData: ()=>void; can: (p: Permission)=>boolean; dueSoon: Enquiry[]; }){
+  const [shortcut] = useState(launchShortcut);
+  // Filters live in the URL, so a reload or a bookmarked link opens the same list
+  const [filters, setFilters] = useState(() => filtersFromParams(new URLSearchParams(location.search)));
+  const setFilter = (patch: Partial<EnquiryFilters>) => setFilters(f => ({...f, ...patch}));
+  const filterQuery = filtersToParams(filters).toString();
+  const [tab, setTab] = useState<"dashboard" | "enquiries" | "calendar" | "reports" | "customers" | "settings">(shortcut === "new" || filterQuery ? "enquiries" : "dashboard");
+  // Also drops a launch ?shortcut= once it's been read
+  useEffect(() => { history.replaceState(null, "", filterQuery ? `${location.pathname}?${filterQuery}` : location.pathname); }, [filterQuery]);
+  const statuses = store.statuses;
+  const views = store.users.find(u => u.id === store.currentUserId)?.views || [];
+  const activeView = views.find(v => filtersToParams({...DEFAULT_FILTERS, ...v.filters}).toString() === filterQuery);
+  const [viewName, setViewName] = useState("");
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [view, setView] = useState<"list" | "board">("list");
+  const [csvImport, setCsvImport] = useState<{ fileName: string; rows: string[][] }>();
+  const [selected, setSelected] = useState<string[]>([]);
+  const [whatsAppQueue, setWhatsAppQueue] = useState<{ list: Enquiry[]; noPhone: number }>();
+
+  const live = useMemo(() => store.enquiries.filter(e => !e.deletedAt), [store.enquiries]);
+  const deleted = useMemo(() => store.enquiries.filter(e => e.deletedAt), [store.enquiries]);
+
+  const filtered = useMemo(() => filterEnquiries(showDeleted ? deleted : live, filters, store.users, statuses, store.currentUserId),
+    [live, deleted, showDeleted, filters, store.users, statuses, store.currentUserId]);
+
+  // Saving under an existing name replaces that view
+  const saveView = () => {
+    const name = viewName.trim();
+    if (!name) return;
+    const existing = views.find(v => v.name.toLowerCase() === name.toLowerCase());
+    updateViews(upsertById(views, { id: existing?.id || crypto.randomUUID(), name, filters }));
+    setViewName("");
+  };
+
+  // Selection only counts what's currently listed, so a filter change never acts on hidden rows
+  const picked = filtered.filter(e => selected.includes(e.id));
+  const selectable = view === "list" && !showDeleted;
+  const runBatch = (action: BatchAction) => {
+    const plan = planBatch(picked, action, statuses, store.categories, store.users, store.currentUserId);
+    if (!plan.changed.length) return alert(batchSummary(plan));
+    if (!confirm(batchSummary(plan))) return;
+    applyBatch(plan);
+    setSelected([]);
+  };
+
+  const exportSheet = (kind: "csv" | "xlsx", list = filtered) => {
+    const rows = [SHEET_HEADERS, ...enquiryRows(list, store.users, statuses)];
+    const name = `printmax_enquiries_${new Date().toISOString().slice(0,10)}`;
+    // The BOM makes Excel read the CSV as UTF-8 (₹, Malayalam/Hindi names)
+    if (kind === "csv") downloadBlob(new Blob(["\uFEFF" + toCSV(rows)], { type: "text/csv" }), `${name}.csv`);
+    else downloadBlob(toXLSX(rows), `${name}.xlsx`);
+  };
+
+  const readCsv = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => setCsvImport({ fileName: file.name, rows: parseCSV(String(reader.result).replace(/^\uFEFF/, "")) });
+    reader.readAsText(file);
+  };
+
+  const open = live.filter(e => !isTerminal(statuses, e.status));
+  const completed = live.filter(e => statusDef(statuses, e.status).kind === "completed");
+  const unpaid = live.filter(e => balanceDue(e, statuses) > 0).sort((a,b)=> balanceDue(b, statuses) - balanceDue(a, statuses));
+  const openQuoted = open.filter(e => e.items?.length);
+
+  return (
+    <div className="grid gap-4">
+      <Card className="p-4">
+        <div className="flex gap-2 text-sm overflow-x-auto">
+          <TabButton label={tr("Dashboard")} active={tab==="dashboard"} onClick={()=>setTab("dashboard")} />
+          <TabButton label={tr("Enquiries")} active={tab==="enquiries"} onClick={()=>setTab("enquiries")} />
+          <TabButton label={tr("Calendar")} active={tab==="calendar"} onClick={()=>setTab("calendar")} />
+          <TabButton label={tr("Reports")} active={tab==="reports"} onClick={()=>setTab("reports")} />
+          <TabButton label={tr("Customers")} active={tab==="customers"} onClick={()=>setTab("customers")} />
+          <TabButton label={tr("Settings")} active={tab==="settings"} onClick={()=>setTab("settings")} />
+        </div>
+      </Card>
+
+      {tab === "dashboard" && (
+        <div className="grid sm:grid-cols-3 gap-4">
           <Card className="p-4">
-            <div className="text-sm text-gray-500">Due Today / Overdue</div>
+            <div className="text-sm text-gray-500">{tr("Due Today / Overdue")}</div>
             <div className="text-3xl font-bold">{dueSoon.length}</div>
             <div className="mt-2 grid gap-2 max-h-64 overflow-auto pr-1">
               {dueSoon.slice(0,6).map(e => (
-                <DashRow key={e.id} e={e} onQuick={(status: Status)=>upsertEnquiry({...e, status})} />
+                <DashRow key={e.id} e={e} statuses={statuses} templates={store.templates} trackUrl={trackingUrl(store, e)} onMessage={(t)=>logMessage(e.id, t)} onQuick={(status: Status)=>{ if(confirmCompletion(e, {...e, status}, statuses)) upsertEnquiry({...e, status}); }} />
+              ))}
+              {dueSoon.length===0 && <div className="text-sm text-gray-500">{tr("All clear 🎉")}</div>}
+            </div>
+          </Card>
+          <Card className="p-4">
+            <div className="text-sm text-gray-500">{tr("Open Jobs")}</div>
+            <div className="text-3xl font-bold">{open.length}</div>
+            <div className="mt-2 flex flex-wrap gap-1">
+              {statuses.filter(st => st.kind === "open").map(st => [st, open.filter(e => e.status === st.id).length] as const).filter(([, n]) => n > 0).map(([st, n]) => (
+                <Pill key={st.id} className={STATUS_COLORS[st.color]}>{statusLabel(st)} {n}</Pill>
               ))}
-              {dueSoon.length===0 && <div className="text-sm text-gray-500">All clear 🎉</div>}
+              {open.length===0 && <div className="text-xs text-gray-500">{tr("Keep up with callbacks and WhatsApp replies.")}</div>}
             </div>
           </Card>
           <Card className="p-4">
-            <div className="text-sm text-gray-500">Pending</div>
-            <div className="text-3xl font-bold">{pending.length}</div>
-            <div className="mt-2 text-xs text-gray-500">Keep up with callbacks and WhatsApp replies.</div>
+            <div className="text-sm text-gray-500">{tr("Outstanding")}</div>
+            <div className="text-3xl font-bold">{fmtMoney(unpaid.reduce((n, e) => n + balanceDue(e, statuses), 0))}</div>
+            <div className="mt-2 grid gap-1 max-h-64 overflow-auto pr-1 text-sm">
+              {unpaid.slice(0,6).map(e => (
+                <div key={e.id} className="flex gap-2">
+                  <span className="flex-1 truncate">{e.customerName} <span className="text-gray-400">• {e.title}</span></span>
+                  <span className="font-medium">{fmtMoney(balanceDue(e, statuses))}</span>
+                </div>
+              ))}
+              {unpaid.length===0 && <div className="text-sm text-gray-500">{tr("No balances due.")}</div>}
+            </div>
           </Card>
           <Card className="p-4">
-            <div className="text-sm text-gray-500">Completed</div>
+            <div className="text-sm text-gray-500">{tr("Completed")}</div>
             <div className="text-3xl font-bold">{completed.length}</div>
-            <div className="mt-2 text-xs text-gray-500">Great job 👏</div>
+            <div className="mt-2 text-xs text-gray-500">{tr("Great job 👏")}</div>
+          </Card>
+          <Card className="p-4">
+            <div className="text-sm text-gray-500">{tr("Open Quotes")}</div>
+            <div className="text-3xl font-bold">{fmtMoney(openQuoted.reduce((n, e) => n + quoteTotals(e.items).total, 0))}</div>
+            <div className="mt-2 text-xs text-gray-500">{tr("{n} priced enquiries not yet completed.", { n: openQuoted.length })}</div>
           </Card>
         </div>
       )}
@@ -341,39 +3438,516 @@ function Main({ store, setStore, upsertEnquiry, deleteEnquiry, addCategory, remo
       {tab === "enquiries" && (
         <Card className="p-4">
           <div className="grid gap-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <Select value={activeView?.id || ""} className="w-auto" onChange={(e:any)=>{ const v = views.find(v => v.id === e.target.value); setFilters(v ? {...DEFAULT_FILTERS, ...v.filters} : DEFAULT_FILTERS); }}>
+                <option value="">{views.length ? tr("Saved views") : tr("No saved views")}</option>
+                {views.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+              </Select>
+              {activeView && <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm(`Delete the view "${activeView.name}"?`)) updateViews(views.filter(v => v.id !== activeView.id)); }}>{tr("Delete view")}</Button>}
+              {filterQuery && !activeView && (
+                <>
+                  <Input placeholder={tr("Name this view")} className="w-auto" value={viewName} onChange={(e:any)=>setViewName(e.target.value)} />
+                  <Button className="border-gray-300" onClick={saveView} disabled={!viewName.trim()}>{tr("Save view")}</Button>
+                </>
+              )}
+              {filterQuery && <button className="underline text-gray-600" onClick={()=>setFilters(DEFAULT_FILTERS)}>{tr("Clear filters")}</button>}
+            </div>
             <div className="grid sm:grid-cols-6 gap-2">
-              <Input placeholder="Search" value={query} onChange={(e:any)=>setQuery(e.target.value)} className="sm:col-span-2" />
-              <Select value={status} onChange={(e:any)=>setStatus(e.target.value)}>
-                <option value="">All Status</option>
-                {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+              <Input placeholder={tr("Search anything: name, phone, job, staff…")} value={filters.q} onChange={(e:any)=>setFilter({ q: e.target.value })} className="sm:col-span-2" />
+              <Select value={filters.status} onChange={(e:any)=>setFilter({ status: e.target.value })}>
+                <option value="">{tr("All Status")}</option>
+                {statuses.map(s => <option key={s.id} value={s.id}>{statusLabel(s)}</option>)}
               </Select>
-              <Select value={cat} onChange={(e:any)=>setCat(e.target.value)}>
-                <option value="">All Categories</option>
-                {store.categories.map(c => <option key={c} value={c}>{c}</option>)}
+              <Select value={filters.cat} onChange={(e:any)=>setFilter({ cat: e.target.value })}>
+                <option value="">{tr("All Categories")}</option>
+                {store.categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
               </Select>
-              <Select value={channel} onChange={(e:any)=>setChannel(e.target.value)}>
-                <option value="">All Channels</option>
-                {CHANNELS.map(c => <option key={c} value={c}>{c}</option>)}
+              <Select value={filters.channel} onChange={(e:any)=>setFilter({ channel: e.target.value })}>
+                <option value="">{tr("All Channels")}</option>
+                {CHANNELS.map(c => <option key={c} value={c}>{tr(c)}</option>)}
               </Select>
-              <Select value={assignee} onChange={(e:any)=>setAssignee(e.target.value)}>
-                <option value="">All Assignees</option>
+              <Select value={filters.assignee} onChange={(e:any)=>setFilter({ assignee: e.target.value })}>
+                <option value="">{tr("All Assignees")}</option>
                 {store.users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
               </Select>
             </div>
-            <EnquiryForm categories={store.categories} users={store.users} onCreate={(e)=>upsertEnquiry(e)} />
-            <div className="-mx-2">
-              {filtered.length === 0 ? (
-                <div className="text-sm text-gray-500 px-2">No enquiries yet. Add your first above.</div>
-              ) : filtered.map(e => (
-                <EnquiryRow key={e.id} e={e} users={store.users} onChange={upsertEnquiry} onDelete={deleteEnquiry} />
-              ))}
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+              <span>{tr("Created")}</span>
+              <Input type="date" className="w-auto" value={filters.createdFrom} onChange={(e:any)=>setFilter({ createdFrom: e.target.value })} />
+              <span>{tr("to")}</span>
+              <Input type="date" className="w-auto" value={filters.createdTo} onChange={(e:any)=>setFilter({ createdTo: e.target.value })} />
+              <span>{tr("Due")}</span>
+              <Input type="date" className="w-auto" value={filters.dueFrom} onChange={(e:any)=>setFilter({ dueFrom: e.target.value })} />
+              <span>{tr("to")}</span>
+              <Input type="date" className="w-auto" value={filters.dueTo} onChange={(e:any)=>setFilter({ dueTo: e.target.value })} />
+              <label className="flex items-center gap-1"><input type="checkbox" checked={filters.overdue} onChange={(e)=>setFilter({ overdue: e.target.checked })} /> {tr("Overdue only")}</label>
+              <label className="flex items-center gap-1"><input type="checkbox" checked={filters.mine} onChange={(e)=>setFilter({ mine: e.target.checked })} /> {tr("My enquiries")}</label>
+              <Select value={filters.sort} onChange={(e:any)=>setFilter({ sort: e.target.value })} className="w-auto ml-auto">
+                {(Object.keys(SORT_LABELS) as SortKey[]).map(k => <option key={k} value={k}>Sort: {SORT_LABELS[k]}</option>)}
+              </Select>
             </div>
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <TabButton label={tr("List")} active={view==="list"} onClick={()=>setView("list")} />
+              <TabButton label={tr("Board")} active={view==="board"} onClick={()=>setView("board")} />
+              <span className="text-gray-500">{tr("{n} shown", { n: filtered.length })}</span>
+              <Button className="border-gray-300 ml-auto" onClick={()=>exportSheet("csv")} disabled={filtered.length === 0}>{tr("Export CSV")}</Button>
+              <Button className="border-gray-300" onClick={()=>exportSheet("xlsx")} disabled={filtered.length === 0}>{tr("Export Excel")}</Button>
+              {can("importEnquiries") && (
+                <label className="border px-4 py-2 rounded-2xl text-sm shadow-sm cursor-pointer">
+                  {tr("Import CSV")}<input type="file" accept=".csv,text/csv" className="hidden" onChange={(e)=>{ if(e.target.files?.[0]) readCsv(e.target.files[0]); e.target.value = ""; }}/>
+                </label>
+              )}
+            </div>
+            {selectable && filtered.length > 0 && (
+              <div className="grid gap-2 text-xs">
+                <label className="flex items-center gap-2 text-gray-600">
+                  <input type="checkbox" checked={picked.length === filtered.length} onChange={(ev)=>setSelected(ev.target.checked ? filtered.map(e => e.id) : [])} />
+                  {tr("Select all shown")}
+                </label>
+                {picked.length > 0 && (
+                  <BulkBar count={picked.length} statuses={statuses} users={store.users} categories={store.categories} canDelete={can("deleteEnquiry")} onRun={runBatch}
+                    onWhatsApp={()=>setWhatsAppQueue({ list: picked.filter(e => e.phone), noPhone: picked.filter(e => !e.phone).length })}
+                    onExport={(kind)=>exportSheet(kind, picked)} onClear={()=>setSelected([])} />
+                )}
+              </div>
+            )}
+            {whatsAppQueue && (
+              <WhatsAppQueue {...whatsAppQueue} statuses={statuses} templates={store.templates} trackUrl={(e)=>trackingUrl(store, e)} onSend={(e, t)=>logMessage(e.id, t)} onClose={()=>setWhatsAppQueue(undefined)} />
+            )}
+            {csvImport && (
+              <CsvImport {...csvImport} users={store.users} categories={categoryNames(store.categories)} canAddCategories={can("manageCategories")} statuses={statuses}
+                onImport={(list, cats)=>{ importEnquiries(list, cats); setCsvImport(undefined); }} onCancel={()=>setCsvImport(undefined)} />
+            )}
+            {can("restoreEnquiry") && deleted.length > 0 && (
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                <input type="checkbox" checked={showDeleted} onChange={(ev)=>setShowDeleted(ev.target.checked)} />
+                {tr("Show deleted ({n})", { n: deleted.length })}
+              </label>
+            )}
+            <EnquiryForm categories={store.categories} users={store.users} customers={store.customers} priceList={store.priceList} statuses={statuses} onCreate={(e)=>upsertEnquiry(e)} defaultOpen={shortcut === "new"} />
+            {view === "board" && !showDeleted ? (
+              <Board list={filtered} statuses={filters.cat ? statusesFor(statuses, filters.cat) : statuses} allStatuses={statuses} users={store.users}
+                onMove={(e, status)=>{ if(confirmCompletion(e, {...e, status}, statuses)) upsertEnquiry({...e, status}); }} />
+            ) : (
+              <div className="-mx-2">
+                {filtered.length === 0 ? (
+                  <div className="text-sm text-gray-500 px-2">{tr(showDeleted ? "No deleted enquiries match." : live.length ? "No enquiries match these filters." : "No enquiries yet. Add your first above.")}</div>
+                ) : filtered.map(e => e.deletedAt ? (
+                  <DeletedRow key={e.id} e={e} users={store.users} statuses={statuses} onRestore={restoreEnquiry} />
+                ) : (
+                  <EnquiryRow key={e.id} e={e} users={store.users} priceList={store.priceList} statuses={statuses} templates={store.templates} onMessage={(t)=>logMessage(e.id, t)} onChange={upsertEnquiry} onDelete={can("deleteEnquiry") ? deleteEnquiry : undefined} onDocument={generateDocument} onAddPayment={addPayment} onRemovePayment={removePayment} onSaveReminder={saveReminder} onRemoveReminder={removeReminder} onAddAttachments={addAttachments} onRemoveAttachment={removeAttachment} categories={store.categories} trackUrl={trackingUrl(store, e)} onNewTrackingLink={newTrackingLink}
+                    selected={selectable ? selected.includes(e.id) : undefined} onSelect={(on)=>setSelected(ids => on ? [...ids, e.id] : ids.filter(id => id !== e.id))} />
+                ))}
+              </div>
+            )}
           </div>
         </Card>
       )}
 
+      {tab === "calendar" && (
+        <CalendarPanel enquiries={live} users={store.users} statuses={statuses} onReschedule={(e, dueAt)=>upsertEnquiry({...e, dueAt})} />
+      )}
+
+      {tab === "reports" && <ReportsPanel enquiries={live} users={store.users} statuses={statuses} />}
+
+      {tab === "customers" && (
+        <CustomersPanel store={store} onUpdate={updateCustomer} onMerge={can("mergeCustomers") ? mergeCustomers : undefined} />
+      )}
+
       {tab === "settings" && (
-        <SettingsPanel store={store} addCategory={addCategory} removeCategory={removeCategory} addUser={addUser} removeUser={removeUser} setStore={setStore} />
+        <SettingsPanel store={store} addCategory={addCategory} updateCategory={updateCategory} renameCategory={renameCategory} mergeCategories={mergeCategories} removeCategory={removeCategory} updateStatuses={updateStatuses} addUser={addUser} removeUser={removeUser} upsertPriceItem={upsertPriceItem} removePriceItem={removePriceItem} upsertTemplate={upsertTemplate} removeTemplate={removeTemplate} updateNotify={updateNotify} toggleStaffPermission={toggleStaffPermission} setUserPin={setUserPin} updateSecurity={updateSecurity} updateSync={updateSync} updateTracking={updateTracking} updateShop={updateShop} syncNow={syncNow} syncStatus={syncStatus} dismissConflict={dismissConflict} updateBackup={updateBackup} restoreSnapshot={restoreSnapshot} saveRestorePoint={saveRestorePoint} removeSnapshot={removeSnapshot} clearData={clearData} can={can} setStore={setStore} />
+      )}
+    </div>
+  );
+}
+
+// Due dates by day, week or month, with each person's open jobs per day underneath so
+// overload shows before a date is promised. Items are dragged to another day (or a
+// workload cell) to reschedule, with pointer events as on the board.
+const BUSY_DAY = 5; // open jobs for one person on one day that counts as overloaded
+
+function CalendarPanel({ enquiries, users, statuses, onReschedule }:{ enquiries: Enquiry[]; users: User[]; statuses: StatusDef[]; onReschedule: (e: Enquiry, dueAt: string)=>void; }){
+  const [view, setView] = useState<CalendarView>("week");
+  const [cursor, setCursor] = useState(shopToday);
+  const [who, setWho] = useState("");
+  const [drag, setDrag] = useState<{ e: Enquiry; x: number; y: number; over?: string }>();
+
+  const days = calendarDays(view, cursor);
+  const today = shopDay(todayISO());
+  const dated = enquiries.filter(e => e.dueAt);
+  const shown = dated.filter(e => !who || e.assignedTo === who).sort((a, b) => a.dueAt!.localeCompare(b.dueAt!));
+  const onDay = (d: Date) => shown.filter(e => shopDay(e.dueAt!) === dayKey(d));
+  const unknown = uniq(dated.map(e => e.assignedTo || "")).filter(id => id && !users.some(u => u.id === id));
+  const lanes = [...users.filter(u => !who || u.id === who).map(u => ({ id: u.id, name: u.name })), ...(!who ? [...unknown.map(id => ({ id, name: userName(users, id)! })), { id: "", name: tr("Unassigned") }] : [])];
+  const load = (laneId: string, d: Date) => dated.filter(e => (e.assignedTo || "") === laneId && !isTerminal(statuses, e.status) && shopDay(e.dueAt!) === dayKey(d)).length;
+
+  const step = (n: number) => setCursor(view === "month" ? new Date(cursor.getFullYear(), cursor.getMonth() + n, 1) : addDays(cursor, n * (view === "week" ? 7 : 1)));
+  const title = view === "month" ? cursor.toLocaleDateString(langTag(), { month: "long", year: "numeric" })
+    : view === "week" ? `${days[0].toLocaleDateString(langTag(), { day: "numeric", month: "short" })} – ${days[6].toLocaleDateString(langTag(), { day: "numeric", month: "short", year: "numeric" })}`
+    : cursor.toLocaleDateString(langTag(), { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+
+  const start = (ev: React.PointerEvent, e: Enquiry) => {
+    (ev.currentTarget as HTMLElement).setPointerCapture(ev.pointerId);
+    setDrag({ e, x: ev.clientX, y: ev.clientY });
+  };
+  const move = (ev: React.PointerEvent) => {
+    if (!drag) return;
+    const over = (document.elementFromPoint(ev.clientX, ev.clientY)?.closest("[data-day]") as HTMLElement | null)?.dataset.day;
+    setDrag({ ...drag, x: ev.clientX, y: ev.clientY, over });
+  };
+  const drop = () => {
+    if (drag?.over && drag.over !== shopDay(drag.e.dueAt!)) onReschedule(drag.e, moveToDay(drag.e.dueAt!, drag.over));
+    setDrag(undefined);
+  };
+  const exportICS = () => {
+    const upcoming = shown.filter(e => !isTerminal(statuses, e.status) && shopDay(e.dueAt!) >= today);
+    if (!upcoming.length) return alert(tr("No upcoming due jobs to export."));
+    downloadBlob(new Blob([toICS(upcoming, users, statuses)], { type: "text/calendar" }), `printmax_due_${today}.ics`);
+  };
+
+  const chip = (e: Enquiry, ghost = false) => {
+    const st = statusDef(statuses, e.status);
+    const overdue = isOverdue(e.dueAt) && st.kind === "open";
+    return (
+      <div key={e.id} title={`${e.title} • ${e.customerName} • ${statusLabel(st)}`}
+        className={`truncate rounded-lg px-1 text-xs cursor-grab touch-none select-none ${STATUS_COLORS[st.color]} ${overdue ? "ring-1 ring-red-400" : ""} ${!ghost && drag?.e.id === e.id ? "opacity-40" : ""}`}
+        onPointerDown={(ev)=>start(ev, e)} onPointerMove={move} onPointerUp={drop} onPointerCancel={()=>setDrag(undefined)}>
+        {fmtTime(e.dueAt!)} {e.title}
+      </div>
+    );
+  };
+  const dayHead = (d: Date) => (
+    <button className={`text-xs ${dayKey(d) === today ? "font-bold" : "text-gray-500"}`} onClick={()=>{ setCursor(d); setView("day"); }}>
+      {d.toLocaleDateString(langTag(), view === "month" ? { day: "numeric" } : { weekday: "short", day: "numeric" })}
+    </button>
+  );
+  const dropRing = (d: Date) => drag?.over === dayKey(d) ? "ring-2 ring-gray-900" : "";
+
+  return (
+    <Card className="p-4 grid gap-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {(["day", "week", "month"] as CalendarView[]).map(v => <TabButton key={v} label={tr(titleCase(v))} active={view===v} onClick={()=>setView(v)} />)}
+        <Button className="border-gray-300" onClick={()=>step(-1)}>‹</Button>
+        <Button className="border-gray-300" onClick={()=>setCursor(shopToday())}>{tr("Today")}</Button>
+        <Button className="border-gray-300" onClick={()=>step(1)}>›</Button>
+        <div className="font-medium">{title}</div>
+        <Select value={who} onChange={(e:any)=>setWho(e.target.value)} className="w-auto ml-auto">
+          <option value="">{tr("All staff")}</option>
+          {users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+        </Select>
+        <Button className="border-gray-300" onClick={exportICS}>{tr("Export .ics")}</Button>
+      </div>
+
+      {view === "day" ? (
+        <div className="grid gap-2" data-day={dayKey(cursor)}>
+          {onDay(cursor).map(e => (
+            <div key={e.id} className="flex items-center gap-2 border rounded-xl p-2 text-sm">
+              <span className="text-xs text-gray-500 w-12">{fmtTime(e.dueAt!)}</span>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{e.title}</div>
+                <div className="text-xs text-gray-500 truncate">{e.customerName} • {userName(users, e.assignedTo) || tr("Unassigned")}</div>
+              </div>
+              <Pill className={STATUS_COLORS[statusDef(statuses, e.status).color]}>{statusLabel(statusDef(statuses, e.status))}</Pill>
+            </div>
+          ))}
+          {onDay(cursor).length === 0 && <div className="text-sm text-gray-500">{tr("Nothing due.")}</div>}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <div className="grid grid-cols-7 gap-1 min-w-[640px]">
+            {days.map(d => {
+              const items = onDay(d);
+              const outside = view === "month" && d.getMonth() !== cursor.getMonth();
+              return (
+                <div key={dayKey(d)} data-day={dayKey(d)} className={`border rounded-xl p-1 grid content-start gap-1 ${view === "month" ? "min-h-[80px]" : "min-h-[160px]"} ${outside ? "bg-gray-50" : "bg-white"} ${dropRing(d)}`}>
+                  {dayHead(d)}
+                  {(view === "month" ? items.slice(0, 3) : items).map(e => chip(e))}
+                  {view === "month" && items.length > 3 && <button className="text-xs text-gray-500 text-left" onClick={()=>{ setCursor(d); setView("day"); }}>{tr("+{n} more", { n: items.length - 3 })}</button>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <div className="text-sm font-medium mb-1">{tr("Workload")} <span className="text-xs text-gray-500 font-normal">{tr("open jobs due per person per day")}</span></div>
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead>
+              <tr><th></th>{days.map(d => <th key={dayKey(d)} className={`px-1 font-normal ${dayKey(d) === today ? "font-bold" : "text-gray-500"}`}>{d.toLocaleDateString(langTag(), view === "month" ? { day: "numeric" } : { weekday: "short", day: "numeric" })}</th>)}</tr>
+            </thead>
+            <tbody>
+              {lanes.map(l => (
+                <tr key={l.id}>
+                  <td className="pr-2 whitespace-nowrap">{l.name}</td>
+                  {days.map(d => {
+                    const n = load(l.id, d);
+                    return <td key={dayKey(d)} data-day={dayKey(d)} className={`text-center min-w-[28px] rounded ${n >= BUSY_DAY ? "bg-red-100 font-bold" : n >= BUSY_DAY - 1 ? "bg-yellow-100" : n > 0 ? "bg-green-50" : ""} ${dropRing(d)}`}>{n || ""}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      {drag && <div className="fixed z-50 w-48 pointer-events-none shadow-lg rounded-lg" style={{ left: drag.x - 20, top: drag.y - 12 }}>{chip(drag.e, true)}</div>}
+    </Card>
+  );
+}
+
+const REPORT_RANGES: [string, string][] = [["7", "Last 7 days"], ["30", "Last 30 days"], ["90", "Last 90 days"], ["month", "This month"], ["year", "This year"], ["all", "All time"], ["custom", "Custom"]];
+// Tailwind needs whole class names; series cycle through these
+const SERIES_COLORS = ["bg-blue-400", "bg-green-400", "bg-yellow-400", "bg-red-400", "bg-purple-400", "bg-teal-400", "bg-orange-400", "bg-pink-400", "bg-gray-400"];
+
+function ReportsPanel({ enquiries, users, statuses }:{ enquiries: Enquiry[]; users: User[]; statuses: StatusDef[]; }){
+  const [range, setRange] = useState("30");
+  const [custom, setCustom] = useState({ from: dayKey(addDays(shopToday(), -30)), to: dayKey(shopToday()) });
+  const [by, setBy] = useState<"category" | "channel">("category");
+
+  const { from, to } = useMemo(() => {
+    const today = shopToday();
+    if (range === "custom") return { from: dayDate(custom.from), to: dayDate(custom.to) };
+    if (range === "month") return { from: new Date(today.getFullYear(), today.getMonth(), 1), to: today };
+    if (range === "year") return { from: new Date(today.getFullYear(), 0, 1), to: today };
+    if (range === "all") return { from: dayDate(shopDay(enquiries.reduce((m, e) => e.createdAt < m ? e.createdAt : m, todayISO()))), to: today };
+    return { from: addDays(today, 1 - Number(range)), to: today };
+  }, [range, custom, enquiries]);
+  const reports = useMemo(() => buildReports(enquiries, users, statuses, from, to), [enquiries, users, statuses, from, to, langTag()]);
+  const total = reports.weekdays.rows.reduce((n, r) => n + Number(r[1]), 0);
+  const closed = Number(reports.conversion.rows[0][1]) + Number(reports.conversion.rows[1][1]);
+
+  return (
+    <div className="grid gap-4">
+      <Card className="p-4 flex flex-wrap items-center gap-2 text-sm">
+        <Select value={range} onChange={(e:any)=>setRange(e.target.value)} className="w-auto">
+          {REPORT_RANGES.map(([v, label]) => <option key={v} value={v}>{tr(label)}</option>)}
+        </Select>
+        {range === "custom" && (
+          <>
+            <Input type="date" value={custom.from} onChange={(e:any)=>setCustom({...custom, from: e.target.value})} className="w-auto" />
+            <span>{tr("to")}</span>
+            <Input type="date" value={custom.to} onChange={(e:any)=>setCustom({...custom, to: e.target.value})} className="w-auto" />
+          </>
+        )}
+        <span className="text-gray-500">{tr("{n} enquiries created {from} – {to}", { n: total, from: from.toLocaleDateString(langTag()), to: to.toLocaleDateString(langTag()) })}</span>
+      </Card>
+
+      <ReportCard title={tr("Enquiries over time")} name={`enquiries_by_${by}`} table={reports[by]}
+        extra={<Select value={by} onChange={(e:any)=>setBy(e.target.value)} className="w-auto text-xs"><option value="category">{tr("By category")}</option><option value="channel">{tr("By channel")}</option></Select>}>
+        <StackedColumns table={reports[by]} />
+      </ReportCard>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <ReportCard title={tr("Conversion")} name="conversion" table={reports.conversion}>
+          <div className="text-3xl font-bold">{closed ? `${reports.conversion.rows[0][2]}%` : "—"}</div>
+          <div className="text-xs text-gray-500 mb-2">{tr("of closed enquiries were completed")}</div>
+          <Bars rows={reports.conversion.rows.map(r => [r[0], Number(r[1])])} />
+        </ReportCard>
+        <ReportCard title={tr("Average turnaround")} name="turnaround" table={reports.turnaround}>
+          <div className="text-xs text-gray-500 mb-2">{tr("Days from enquiry to completion")}</div>
+          <Bars rows={reports.turnaround.rows.map(r => [r[0], Number(r[2])])} format={(n)=>tr("{n} d", { n })} />
+        </ReportCard>
+        <ReportCard title={tr("Overdue rate by staff")} name="overdue_by_staff" table={reports.overdue}>
+          <div className="text-xs text-gray-500 mb-2">{tr("Jobs finished after their due date, or still open past it")}</div>
+          <Bars rows={reports.overdue.rows.map(r => [r[0], Number(r[3])])} max={100} format={(n)=>`${n}%`} />
+        </ReportCard>
+        <ReportCard title={tr("Revenue by category")} name="revenue_by_category" table={reports.revenue}>
+          <div className="text-xs text-gray-500 mb-2">{tr("Collected (quoted)")}</div>
+          <Bars rows={reports.revenue.rows.map(r => [r[0], Number(r[2])])} format={(n)=>fmtMoney(n)}
+            note={(i)=>`(${fmtMoney(Number(reports.revenue.rows[i][1]))})`} />
+        </ReportCard>
+        <ReportCard title={tr("Busiest days")} name="busiest_days" table={reports.weekdays}>
+          <Bars rows={reports.weekdays.rows.map(r => [r[0], Number(r[1])])} />
+        </ReportCard>
+        <ReportCard title={tr("Busiest hours")} name="busiest_hours" table={reports.hours}>
+          <StackedColumns table={reports.hours} />
+        </ReportCard>
+      </div>
+    </div>
+  );
+}
+
+function ReportCard({ title, name, table, extra, children }:{ title: string; name: string; table: ReportTable; extra?: React.ReactNode; children: React.ReactNode; }){
+  const exportCsv = () => downloadBlob(new Blob(["\uFEFF" + toCSV([table.headers, ...table.rows])], { type: "text/csv" }), `printmax_${name}_${shopDay(todayISO())}.csv`);
+  return (
+    <Card className="p-4">
+      <div className="flex items-center gap-2 mb-2">
+        <div className="font-semibold flex-1">{title}</div>
+        {extra}
+        <Button className="border-gray-300 text-xs" onClick={exportCsv} disabled={!table.rows.length}>CSV</Button>
+      </div>
+      {table.rows.length ? children : <div className="text-sm text-gray-500">{tr("No data in this range.")}</div>}
+    </Card>
+  );
+}
+
+// Horizontal bars, one per [label, value] row
+function Bars({ rows, max, format = String, note }:{ rows: [string | number, number][]; max?: number; format?: (n: number)=>string; note?: (i: number)=>string; }){
+  const top = max || Math.max(1, ...rows.map(r => r[1]));
+  return (
+    <div className="grid gap-1 text-xs">
+      {rows.map(([label, v], i) => (
+        <div key={String(label)} className="flex items-center gap-2">
+          <span className="w-24 truncate">{label}</span>
+          <div className="flex-1 bg-gray-100 rounded h-3"><div className="bg-blue-400 rounded h-3" style={{ width: `${Math.min(100, v / top * 100)}%` }} /></div>
+          <span className="w-28 text-right">{format(v)} {note?.(i)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Vertical columns per row, stacked by the remaining columns of the table
+function StackedColumns({ table }:{ table: ReportTable }){
+  const series = table.headers.slice(1);
+  const totals = table.rows.map(r => r.slice(1).reduce<number>((n, v) => n + Number(v), 0));
+  const top = Math.max(1, ...totals);
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40 overflow-x-auto">
+        {table.rows.map((r, i) => (
+          <div key={String(r[0])} className="flex-1 min-w-[6px] flex flex-col-reverse h-full" title={`${r[0]}: ${totals[i]}`}>
+            {r.slice(1).map((v, j) => Number(v) > 0 && <div key={j} className={SERIES_COLORS[j % SERIES_COLORS.length]} style={{ height: `${Number(v) / top * 100}%` }} />)}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-1"><span>{table.rows[0]?.[0]}</span><span>{table.rows[table.rows.length - 1]?.[0]}</span></div>
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-2 mt-2 text-xs">
+          {series.map((s, j) => <span key={s} className="flex items-center gap-1"><span className={`inline-block w-3 h-3 rounded ${SERIES_COLORS[j % SERIES_COLORS.length]}`} />{s}</span>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function CsvImport({ fileName, rows, users, categories, canAddCategories, statuses, onImport, onCancel }:{ fileName: string; rows: string[][]; users: User[]; categories: string[]; canAddCategories: boolean; statuses: StatusDef[]; onImport: (list: Enquiry[], newCategories: string[])=>void; onCancel: ()=>void; }){
+  const [header, ...body] = rows;
+  const [mapping, setMapping] = useState<Partial<Record<CsvField, number>>>(() => {
+    const m: Partial<Record<CsvField, number>> = {};
+    const used = new Set<number>();
+    CSV_FIELDS.forEach(f => {
+      const i = (header || []).findIndex((h, i) => !used.has(i) && f.guess.test(h));
+      if (i >= 0) { m[f.key] = i; used.add(i); }
+    });
+    return m;
+  });
+  const result = useMemo(() => csvToEnquiries(body, mapping, users, categories, statuses), [rows, mapping, users, categories, statuses]);
+
+  if (!header) return <div className="border rounded-2xl p-3 text-sm text-red-700">{tr("{file} is empty.", { file: fileName })} <button className="underline" onClick={onCancel}>{tr("Close")}</button></div>;
+  return (
+    <div className="border rounded-2xl p-3 grid gap-2 text-sm">
+      <div className="font-medium">{tr("Import {file} • {n} rows", { file: fileName, n: body.length })}</div>
+      <div className="text-xs text-gray-500">{tr("Match your spreadsheet columns to enquiry fields. Title and Customer are required.")}</div>
+      <div className="grid sm:grid-cols-2 gap-2">
+        {CSV_FIELDS.map(f => (
+          <label key={f.key} className="flex items-center gap-2">
+            <span className="w-24 text-xs">{tr(f.label)}</span>
+            <Select value={mapping[f.key] ?? ""} onChange={(e:any)=>setMapping({...mapping, [f.key]: e.target.value === "" ? undefined : Number(e.target.value)})}>
+              <option value="">{tr("— not in file —")}</option>
+              {header.map((h, i) => <option key={i} value={i}>{h || tr("Column {n}", { n: i + 1 })}</option>)}
+            </Select>
+          </label>
+        ))}
+      </div>
+      <div className="overflow-auto">
+        <table className="text-xs w-full">
+          <thead><tr className="text-gray-500">{["Title", "Customer", "Phone", "Category", "Status", "Due"].map(h => <th key={h} className="text-left font-normal pr-2">{tr(h)}</th>)}</tr></thead>
+          <tbody>
+            {result.enquiries.slice(0, 5).map(e => (
+              <tr key={e.id} className="border-t"><td className="pr-2">{e.title}</td><td className="pr-2">{e.customerName}</td><td className="pr-2">{e.phone}</td><td className="pr-2">{e.category}</td><td className="pr-2">{statusLabel(statusDef(statuses, e.status))}</td><td>{fmtDateCell(e.dueAt)}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-600">
+        {result.skipped ? tr("{n} will be imported, {skipped} skipped (no title or customer).", { n: result.enquiries.length, skipped: result.skipped }) : tr("{n} will be imported.", { n: result.enquiries.length })}
+        {result.newCategories.length > 0 && " " + tr(canAddCategories ? "New categories: {list}." : "Not in the category list (an admin can add them): {list}.", { list: result.newCategories.join(", ") })}
+      </div>
+      <div className="flex gap-2">
+        <Button className="border-gray-900 bg-gray-900 text-white" disabled={result.enquiries.length === 0} onClick={()=>onImport(result.enquiries, result.newCategories)}>{tr("Import {n}", { n: result.enquiries.length })}</Button>
+        <Button className="border-gray-300" onClick={onCancel}>{tr("Cancel")}</Button>
+      </div>
+    </div>
+  );
+}
+
+function CustomersPanel({ store, onUpdate, onMerge }:{ store: Store; onUpdate: (c: Customer)=>void; onMerge?: (keepId: string, ids: string[])=>void; }){
+  const [query, setQuery] = useState("");
+  const [openId, setOpenId] = useState<string>();
+  const stats = useMemo(() => new Map(store.customers.map(c => [c.id, customerStats(c, store.enquiries)])), [store.customers, store.enquiries]);
+  const dups = useMemo(() => duplicateCustomers(store.customers, store.enquiries), [store.customers, store.enquiries]);
+  const list = useMemo(() => {
+    const q = query.trim().toLowerCase(), d = phoneDigits(query);
+    return store.customers
+      .filter(c => !q || c.name.toLowerCase().includes(q) || (d.length >= 3 && phoneDigits(c.phone).includes(d)))
+      .filter(c => stats.get(c.id)!.enquiries.length > 0 || q)
+      .sort((a, b) => (stats.get(b.id)!.lastContact || "").localeCompare(stats.get(a.id)!.lastContact || ""));
+  }, [store.customers, stats, query]);
+
+  return (
+    <div className="grid gap-4">
+      {onMerge && dups.length > 0 && (
+        <Card className="p-4 grid gap-2">
+          <div className="font-semibold">{tr("Possible duplicates")}</div>
+          <div className="text-xs text-gray-500">{tr("These customers share a phone number. Merging moves all enquiries to the one you keep and uses its name and phone.")}</div>
+          {dups.map(g => (
+            <div key={g.map(c => c.id).join()} className="border rounded-xl p-2 text-sm flex flex-wrap items-center gap-2">
+              {g.map(c => (
+                <Button key={c.id} className="border-gray-300" onClick={()=>{ if(confirm(tr("Merge {n} customers into {name}?", { n: g.length, name: c.name }))) onMerge(c.id, g.map(x => x.id)); }}>
+                  {tr("Keep {name}", { name: c.name + (c.phone ? ` (${c.phone})` : "") })} • {stats.get(c.id)?.enquiries.length || 0}
+                </Button>
+              ))}
+            </div>
+          ))}
+        </Card>
+      )}
+      <Card className="p-4 grid gap-3">
+        <Input placeholder={tr("Search customers by name or phone")} value={query} onChange={(e:any)=>setQuery(e.target.value)} />
+        {list.length === 0 && <div className="text-sm text-gray-500">{tr("No customers yet. They're added automatically from enquiries.")}</div>}
+        {list.map(c => (
+          <CustomerRow key={c.id} c={c} stats={stats.get(c.id)!} statuses={store.statuses} open={openId === c.id} onToggle={()=>setOpenId(openId === c.id ? undefined : c.id)} onUpdate={onUpdate} />
+        ))}
+      </Card>
+    </div>
+  );
+}
+
+function CustomerRow({ c, stats, statuses, open, onToggle, onUpdate }:{ c: Customer; stats: ReturnType<typeof customerStats>; statuses: StatusDef[]; open: boolean; onToggle: ()=>void; onUpdate: (c: Customer)=>void; }){
+  const [editing, setEditing] = useState(false);
+  const [local, setLocal] = useState(c);
+  return (
+    <div className="border rounded-xl p-3 text-sm">
+      <div className="flex items-center gap-2">
+        <button className="flex-1 min-w-0 text-left" onClick={onToggle}>
+          <div className="font-medium truncate">{c.name}</div>
+          <div className="text-xs text-gray-500 truncate">{c.phone || tr("no phone")} • {tr("{n} enquiries", { n: stats.enquiries.length })} • {tr("Spent {amount}", { amount: fmtMoney(stats.spend) })} • {tr("Last contact {date}", { date: fmtDate(stats.lastContact) })}</div>
+        </button>
+        {c.phone && <a className="underline text-xs" href={waLink(c.phone)} target="_blank" rel="noreferrer">WhatsApp</a>}
+      </div>
+      {open && (
+        <div className="mt-2 grid gap-2">
+          {!editing ? (
+            <div><Button className="border-gray-300" onClick={()=>{ setLocal(c); setEditing(true); }}>{tr("Edit")}</Button></div>
+          ) : (
+            <div className="grid sm:grid-cols-4 gap-2">
+              <Input value={local.name} onChange={(e:any)=>setLocal({...local, name: e.target.value})} />
+              <Input value={local.phone || ""} onChange={(e:any)=>setLocal({...local, phone: e.target.value})} />
+              <Button className="border-gray-900 bg-gray-900 text-white" onClick={()=>{ if(!local.name.trim()) return; onUpdate({...local, name: titleCase(local.name.trim()), phone: local.phone?.trim() || undefined}); setEditing(false); }}>{tr("Save")}</Button>
+              <Button className="border-gray-300" onClick={()=>setEditing(false)}>{tr("Cancel")}</Button>
+            </div>
+          )}
+          {stats.enquiries.map(e => (
+            <div key={e.id} className="flex items-center gap-2 border-t pt-2 text-xs">
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{e.title} <span className="text-gray-400">• {e.category}</span></div>
+                <div className="text-gray-500">{fmtDate(e.createdAt)} • {statusLabel(statusDef(statuses, e.status))}</div>
+              </div>
+              {e.items?.length ? <span>{fmtMoney(quoteTotals(e.items).total)}</span> : null}
+            </div>
+          ))}
+        </div>
       )}
     </div>
   );
@@ -385,40 +3959,141 @@ function TabButton({ label, active, onClick }:{ label: string; active: boolean;
   );
 }
 
-function DashRow({ e, onQuick }:{ e: Enquiry; onQuick: (s: Status)=>void; }){
+function DashRow({ e, statuses, templates, trackUrl, onMessage, onQuick }:{ e: Enquiry; statuses: StatusDef[]; templates: MessageTemplate[]; trackUrl?: string; onMessage: (t: MessageTemplate)=>void; onQuick: (s: Status)=>void; }){
   return (
     <div className="border rounded-xl p-2 text-sm flex items-center gap-2">
       <div className="flex-1 min-w-0">
         <div className="font-medium truncate">{e.title} <span className="text-gray-400">• {e.category}</span></div>
-        <div className="text-xs text-gray-500 truncate">{e.customerName} • Due {fmtDate(e.dueAt)}</div>
+        <div className="text-xs text-gray-500 truncate">{e.customerName} • {tr("Due")} {fmtDate(e.dueAt)}{e.items?.length ? <> • {fmtMoney(quoteTotals(e.items).total)}</> : null}</div>
       </div>
-      <a className="underline text-xs" href={waLink(e.phone, `Hello ${e.customerName}, following up on: ${e.title}`)} target="_blank" rel="noreferrer">WhatsApp</a>
+      <WhatsAppLinks e={e} statuses={statuses} templates={templates} defaultId="followup" trackUrl={trackUrl} onSend={onMessage} />
       <Select value="" onChange={(ev:any)=> { const v = ev.target.value as Status; if(v) onQuick(v); }} className="w-[140px]">
-        <option value="">Mark as…</option>
-        {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+        <option value="">{tr("Mark as…")}</option>
+        {nextStatuses(statuses, e).map(s => <option key={s.id} value={s.id}>{statusLabel(s)}</option>)}
       </Select>
     </div>
   );
 }
 
-function EnquiryForm({ categories, users, onCreate }:{ categories: string[]; users: User[]; onCreate: (e: Enquiry)=>void; }){
-  const [open, setOpen] = useState(false);
+// One column per status. Cards are dragged by their handle with pointer events, so
+// it works the same with a mouse and on touch screens; columns a card can't move to
+// (StatusDef.next) are dimmed while dragging.
+function Board({ list, statuses, allStatuses, users, onMove }:{ list: Enquiry[]; statuses: StatusDef[]; allStatuses: StatusDef[]; users: User[]; onMove: (e: Enquiry, s: Status)=>void; }){
+  const scroller = useRef<HTMLDivElement>(null);
+  const [drag, setDrag] = useState<{ e: Enquiry; x: number; y: number; over?: Status }>();
+  // Statuses on cards but not in the list (synced from another device, other category) still get a column
+  const columns = [...statuses, ...uniq(list.map(e => e.status)).filter(id => !statuses.some(s => s.id === id)).map(id => statusDef(allStatuses, id))];
+  const allowed = drag && new Set(nextStatuses(allStatuses, drag.e).map(s => s.id));
+
+  const start = (ev: React.PointerEvent, e: Enquiry) => {
+    (ev.currentTarget as HTMLElement).setPointerCapture(ev.pointerId);
+    setDrag({ e, x: ev.clientX, y: ev.clientY });
+  };
+  const move = (ev: React.PointerEvent) => {
+    if (!drag) return;
+    // Scroll near the edges so far columns can be reached on a phone
+    const el = scroller.current!, box = el.getBoundingClientRect();
+    if (ev.clientX > box.right - 40) el.scrollLeft += 20;
+    if (ev.clientX < box.left + 40) el.scrollLeft -= 20;
+    const over = (document.elementFromPoint(ev.clientX, ev.clientY)?.closest("[data-status]") as HTMLElement | null)?.dataset.status;
+    setDrag({ ...drag, x: ev.clientX, y: ev.clientY, over });
+  };
+  const drop = () => {
+    if (drag?.over && allowed?.has(drag.over)) onMove(drag.e, drag.over);
+    setDrag(undefined);
+  };
+
+  const card = (e: Enquiry) => {
+    const overdue = isOverdue(e.dueAt) && !isTerminal(allStatuses, e.status);
+    return (
+      <div className={`bg-white border rounded-xl p-2 text-sm flex gap-2 ${overdue ? "border-red-300" : "border-gray-200"}`}>
+        <div className="flex-1 min-w-0">
+          <div className="font-medium truncate">{e.title}</div>
+          <div className="text-xs text-gray-600 truncate">{e.customerName}</div>
+          <div className={`text-xs ${overdue ? "text-red-600" : "text-gray-500"}`}>{e.dueAt ? tr("Due {date}", { date: fmtDate(e.dueAt) }) : tr("No due date")}</div>
+          <div className="text-xs text-gray-500 truncate">{userName(users, e.assignedTo) || tr("Unassigned")}</div>
+        </div>
+        <button className="px-1 text-gray-400 cursor-grab touch-none select-none" aria-label={tr("Drag to change status")}
+          onPointerDown={(ev)=>start(ev, e)} onPointerMove={move} onPointerUp={drop} onPointerCancel={()=>setDrag(undefined)}>⠿</button>
+      </div>
+    );
+  };
+
+  return (
+    <div ref={scroller} className="flex gap-3 overflow-x-auto pb-2">
+      {columns.map(st => {
+        const cards = list.filter(e => e.status === st.id);
+        const blocked = drag && st.id !== drag.e.status && !allowed!.has(st.id);
+        return (
+          <div key={st.id} data-status={st.id} className={`w-64 shrink-0 rounded-2xl p-2 bg-gray-50 border ${drag?.over === st.id && !blocked ? "border-gray-900" : "border-gray-200"} ${blocked ? "opacity-40" : ""}`}>
+            <div className="flex items-center gap-2 mb-2">
+              <Pill className={STATUS_COLORS[st.color]}>{statusLabel(st)}</Pill>
+              <span className="text-xs text-gray-500">{cards.length}</span>
+            </div>
+            <div className="grid gap-2">
+              {cards.map(e => <div key={e.id} className={drag?.e.id === e.id ? "opacity-40" : ""}>{card(e)}</div>)}
+              {cards.length === 0 && <div className="text-xs text-gray-400 px-1">{tr("Nothing here")}</div>}
+            </div>
+          </div>
+        );
+      })}
+      {drag && <div className="fixed z-50 w-60 pointer-events-none shadow-lg rounded-xl" style={{ left: drag.x - 200, top: drag.y - 20 }}>{card(drag.e)}</div>}
+    </div>
+  );
+}
+
+// Default-template link plus a picker for the other templates; every send is logged on the enquiry
+function WhatsAppLinks({ e, statuses, templates, defaultId, trackUrl, onSend }:{ e: Enquiry; statuses: StatusDef[]; templates: MessageTemplate[]; defaultId: string; trackUrl?: string; onSend: (t: MessageTemplate)=>void; }){
+  const def = templates.find(t => t.id === defaultId) || templates[0];
+  return (
+    <>
+      <a className="underline text-xs" href={waLink(e.phone, def && fillTemplate(def.body, e, statuses), trackUrl)} target="_blank" rel="noreferrer" onClick={()=>{ if(def) onSend(def); }}>WhatsApp</a>
+      {templates.length > 1 && (
+        <Select value="" className="w-[110px] text-xs px-2" onChange={(ev:any)=>{
+          const t = templates.find(x => x.id === ev.target.value);
+          if (!t) return;
+          window.open(waLink(e.phone, fillTemplate(t.body, e, statuses), trackUrl), "_blank", "noreferrer");
+          onSend(t);
+        }}>
+          <option value="">{tr("Template…")}</option>
+          {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </Select>
+      )}
+    </>
+  );
+}
+
+function EnquiryForm({ categories, users, customers, priceList, statuses, onCreate, defaultOpen }:{ categories: Category[]; users: User[]; customers: Customer[]; priceList: PriceItem[]; statuses: StatusDef[]; onCreate: (e: Enquiry)=>void; defaultOpen?: boolean; }){
+  const [open, setOpen] = useState(!!defaultOpen);
   const [title, setTitle] = useState("");
-  const [category, setCategory] = useState(categories[0] || "");
+  const [category, setCategory] = useState(categories[0]?.name || "");
+  const [details, setDetails] = useState<Record<string, CustomValue>>({});
   const [customerName, setCustomerName] = useState("");
   const [phone, setPhone] = useState("");
   const [channel, setChannel] = useState<Channel>("In-shop");
-  const [status, setStatus] = useState<Status>("Pending");
+  const options = statusesFor(statuses, category);
+  const [status, setStatus] = useState<Status>(options[0]?.id || "");
   const [dueAt, setDueAt] = useState<string>("");
   const [notes, setNotes] = useState("");
   const [assignedTo, setAssignedTo] = useState<string>(users[0]?.id || "");
+  const [items, setItems] = useState<LineItem[]>([]);
+  const [customerId, setCustomerId] = useState<string>();
+
+  // Existing customers matching what's typed in name or phone; picking one fills both
+  const suggestions = useMemo(() => {
+    if (customerId) return [];
+    const n = customerName.trim().toLowerCase(), d = phoneDigits(phone);
+    if (n.length < 2 && d.length < 3) return [];
+    return customers.filter(c => (n.length >= 2 && c.name.toLowerCase().includes(n)) || (d.length >= 3 && phoneDigits(c.phone).includes(d))).slice(0, 5);
+  }, [customers, customerName, phone, customerId]);
 
-  useEffect(()=>{ if(!categories.includes(category) && categories.length>0) setCategory(categories[0]); }, [categories]);
+  useEffect(()=>{ if(!findCategory(categories, category) && categories.length>0) setCategory(categories[0].name); }, [categories]);
   useEffect(()=>{ if(!users.find(u=>u.id===assignedTo) && users[0]) setAssignedTo(users[0].id); }, [users]);
+  useEffect(()=>{ if(!options.some(s => s.id === status)) setStatus(options[0]?.id || ""); }, [category, statuses]);
 
   const clear = () => {
-    setTitle(""); setCustomerName(""); setPhone(""); setNotes("");
-    setChannel("In-shop"); setStatus("Pending"); setDueAt("");
+    setTitle(""); setCustomerName(""); setPhone(""); setNotes(""); setCustomerId(undefined);
+    setChannel("In-shop"); setStatus(options[0]?.id || ""); setDueAt(""); setItems([]); setDetails({});
   };
 
   const handleSubmit = (e:any) => {
@@ -428,15 +4103,19 @@ function EnquiryForm({ categories, users, onCreate }:{ categories: string[]; use
       id: crypto.randomUUID(),
       title: title.trim(),
       category,
+      details: detailsFor(findCategory(categories, category), details),
       customerName: titleCase(customerName.trim()),
       phone: phone.trim(),
+      customerId,
       channel,
       status,
       createdAt: todayISO(),
       dueAt: dueAt ? new Date(dueAt).toISOString() : undefined,
       notes: notes.trim(),
       assignedTo,
+      items,
     };
+    if (!confirmCompletion(undefined, item, statuses)) return;
     onCreate(item); setOpen(false); clear();
   };
 
@@ -444,33 +4123,48 @@ function EnquiryForm({ categories, users, onCreate }:{ categories: string[]; use
     <div className="border rounded-2xl p-3">
       {!open ? (
         <div className="flex items-center gap-2">
-          <Button className="border-gray-300" onClick={()=>setOpen(true)}>+ Add Enquiry</Button>
-          <div className="text-xs text-gray-500">Quickly log in-shop / WhatsApp / call enquiries.</div>
+          <Button className="border-gray-300" onClick={()=>setOpen(true)}>{tr("+ Add Enquiry")}</Button>
+          <div className="text-xs text-gray-500">{tr("Quickly log in-shop / WhatsApp / call enquiries.")}</div>
         </div>
       ) : (
         <form className="grid sm:grid-cols-2 gap-2" onSubmit={handleSubmit}>
-          <Input placeholder="Enquiry Title (e.g., T-shirt printing)" value={title} onChange={(e:any)=>setTitle(e.target.value)} required />
+          <Input placeholder={tr("Enquiry Title (e.g., T-shirt printing)")} value={title} onChange={(e:any)=>setTitle(e.target.value)} required />
           <Select value={category} onChange={(e:any)=>setCategory(e.target.value)}>
-            {categories.map(c => <option key={c} value={c}>{c}</option>)}
+            {categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
           </Select>
-          <Input placeholder="Customer Name" value={customerName} onChange={(e:any)=>setCustomerName(e.target.value)} required />
-          <Input placeholder="Phone (WhatsApp)" value={phone} onChange={(e:any)=>setPhone(e.target.value)} />
+          <Input placeholder={tr("Customer Name")} value={customerName} onChange={(e:any)=>{ setCustomerName(e.target.value); setCustomerId(undefined); }} required />
+          <Input placeholder={tr("Phone (WhatsApp)")} value={phone} onChange={(e:any)=>{ setPhone(e.target.value); setCustomerId(undefined); }} />
+          {suggestions.length > 0 && (
+            <div className="sm:col-span-2 flex flex-wrap gap-2 text-xs">
+              <span className="text-gray-500 self-center">{tr("Existing customer?")}</span>
+              {suggestions.map(c => (
+                <button key={c.id} type="button" className="border rounded-full px-3 py-1 hover:bg-gray-50"
+                  onClick={()=>{ setCustomerId(c.id); setCustomerName(c.name); setPhone(c.phone || ""); }}>
+                  {c.name}{c.phone ? ` • ${c.phone}` : ""}
+                </button>
+              ))}
+            </div>
+          )}
           <Select value={channel} onChange={(e:any)=>setChannel(e.target.value)}>
-            {CHANNELS.map(c => <option key={c} value={c}>{c}</option>)}
+            {CHANNELS.map(c => <option key={c} value={c}>{tr(c)}</option>)}
           </Select>
           <Select value={status} onChange={(e:any)=>setStatus(e.target.value)}>
-            {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+            {options.map(s => <option key={s.id} value={s.id}>{statusLabel(s)}</option>)}
           </Select>
           <Input type="datetime-local" value={dueAt} onChange={(e:any)=>setDueAt(e.target.value)} />
           <Select value={assignedTo} onChange={(e:any)=>setAssignedTo(e.target.value)}>
             {users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
           </Select>
+          <DetailsInputs fields={findCategory(categories, category)?.fields || []} values={details} onChange={setDetails} />
+          <div className="sm:col-span-2">
+            <TextArea placeholder={tr("Notes (specs, sizes, quantity)")} value={notes} onChange={(e:any)=>setNotes(e.target.value)} />
+          </div>
           <div className="sm:col-span-2">
-            <TextArea placeholder="Notes (specs, sizes, quantity)" value={notes} onChange={(e:any)=>setNotes(e.target.value)} />
+            <QuoteEditor items={items} onChange={setItems} priceList={priceList} category={category} />
           </div>
           <div className="sm:col-span-2 flex gap-2">
-            <Button type="submit" className="border-gray-900 bg-gray-900 text-white">Save</Button>
-            <Button className="border-gray-300" onClick={(e)=>{ e.preventDefault(); setOpen(false); }}>Cancel</Button>
+            <Button type="submit" className="border-gray-900 bg-gray-900 text-white">{tr("Save")}</Button>
+            <Button className="border-gray-300" onClick={(e)=>{ e.preventDefault(); setOpen(false); }}>{tr("Cancel")}</Button>
           </div>
         </form>
       )}
@@ -478,127 +4172,1166 @@ function EnquiryForm({ categories, users, onCreate }:{ categories: string[]; use
   );
 }
 
-function EnquiryRow({ e, users, onChange, onDelete }:{ e: Enquiry; users: User[]; onChange: (e: Enquiry)=>void; onDelete: (id:string)=>void; }){
-  const assignee = users.find(u => u.id === e.assignedTo);
+function EnquiryRow({ e, users, priceList, statuses, templates, onMessage, onChange, onDelete, onDocument, onAddPayment, onRemovePayment, onSaveReminder, onRemoveReminder, onAddAttachments, onRemoveAttachment, categories, trackUrl, onNewTrackingLink, selected, onSelect }:{ e: Enquiry; users: User[]; priceList: PriceItem[]; statuses: StatusDef[]; templates: MessageTemplate[]; onMessage: (t: MessageTemplate)=>void; onChange: (e: Enquiry)=>void; onDelete?: (id:string)=>void; onDocument: (k: "quote" | "invoice", e: Enquiry)=>void; onAddPayment: (id: string, p: Omit<Payment, "id" | "receivedBy">)=>void; onRemovePayment: (id: string, paymentId: string)=>void; onSaveReminder: (id: string, r: Reminder)=>void; onRemoveReminder: (id: string, reminderId: string)=>void; onAddAttachments: (id: string, files: File[])=>Promise<void>; onRemoveAttachment: (id: string, attachmentId: string)=>void; categories: Category[]; trackUrl?: string; onNewTrackingLink: (id: string)=>void; selected?: boolean; onSelect: (on: boolean)=>void; }){
+  const assignee = userName(users, e.assignedTo);
   const [editing, setEditing] = useState(false);
 
   const [local, setLocal] = useState<Enquiry>(e);
   useEffect(()=> setLocal(e), [e.id]);
 
-  const save = () => { onChange(local); setEditing(false); };
+  const save = () => {
+    if(!confirmCompletion(e, local, statuses)) return;
+    onChange({...local, details: detailsFor(findCategory(categories, local.category), local.details)});
+    setEditing(false);
+  };
+  const details = (findCategory(categories, e.category)?.fields || []).map(f => [f, customFieldText(f, e.details?.[f.id])] as const).filter(([, text]) => text !== undefined);
+  const due = balanceDue(e, statuses);
+  const st = statusDef(statuses, e.status);
 
   return (
     <div className="px-2 py-2">
-      <Card className={`p-3 ${isOverdue(e.dueAt) && !["Completed","Cancelled"].includes(e.status) ? "border-red-300" : ""}`}>
+      <Card className={`p-3 ${isOverdue(e.dueAt) && st.kind === "open" ? "border-red-300" : ""}`}>
         <div className="flex items-center gap-2">
+          {selected !== undefined && <input type="checkbox" checked={selected} onChange={(ev)=>onSelect(ev.target.checked)} aria-label={tr("Select enquiry")} />}
           <Pill className="bg-gray-100">{e.category}</Pill>
-          <Pill className="bg-gray-100">{e.channel}</Pill>
-          <Pill className={
-            e.status === 'Completed' ? 'bg-green-100' : e.status === 'In Progress' ? 'bg-yellow-100' : e.status === 'Cancelled' ? 'bg-gray-200' : 'bg-red-100'
-          }>{e.status}</Pill>
+          <Pill className="bg-gray-100">{tr(e.channel)}</Pill>
+          <Pill className={STATUS_COLORS[st.color]}>{statusLabel(st)}</Pill>
+          {e.items?.length ? <Pill className="bg-blue-100">{fmtMoney(quoteTotals(e.items).total)}</Pill> : null}
+          {e.items?.length && st.kind !== "cancelled" ? <Pill className={due > 0 ? "bg-orange-100" : "bg-green-100"}>{due > 0 ? tr("Due {amount}", { amount: fmtMoney(due) }) : tr("Paid")}</Pill> : null}
           <div className="ml-auto flex items-center gap-2">
-            <a className="underline text-xs" href={waLink(e.phone, `Hi ${e.customerName}, update on: ${e.title}`)} target="_blank" rel="noreferrer">WhatsApp</a>
-            {!editing && <Button className="border-gray-300" onClick={()=>setEditing(true)}>Edit</Button>}
-            {editing && <Button className="border-gray-900 bg-gray-900 text-white" onClick={save}>Save</Button>}
-            {editing && <Button className="border-gray-300" onClick={()=>{ setLocal(e); setEditing(false); }}>Cancel</Button>}
-            <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm('Delete enquiry?')) onDelete(e.id); }}>Delete</Button>
+            <WhatsAppLinks e={e} statuses={statuses} templates={templates} defaultId="update" trackUrl={trackUrl} onSend={onMessage} />
+            {!editing && <Button className="border-gray-300" onClick={()=>{ setLocal(e); setEditing(true); }}>{tr("Edit")}</Button>}
+            {editing && <Button className="border-gray-900 bg-gray-900 text-white" onClick={save}>{tr("Save")}</Button>}
+            {editing && <Button className="border-gray-300" onClick={()=>{ setLocal(e); setEditing(false); }}>{tr("Cancel")}</Button>}
+            {onDelete && <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm(tr('Delete enquiry?'))) onDelete(e.id); }}>{tr("Delete")}</Button>}
           </div>
         </div>
         {!editing ? (
           <div className="mt-2 grid gap-1 text-sm">
             <div className="font-medium">{e.title}</div>
             <div className="text-gray-600">{e.customerName} {e.phone && <>• <a className="underline" href={`tel:${e.phone}`}>{e.phone}</a></>}</div>
-            <div className="text-gray-500 text-xs">Created {fmtDate(e.createdAt)} • Due {fmtDate(e.dueAt)} • Assigned to {assignee?.name || '—'}</div>
+            <div className="text-gray-500 text-xs">{tr("Created")} {fmtDate(e.createdAt)} • {tr("Due")} {fmtDate(e.dueAt)} • {tr("Assigned to")} {assignee || '—'}</div>
+            {trackUrl && <div className="text-gray-500 text-xs">{tr("Tracking code")} {trackingCode(e)} • <a className="underline" href={trackUrl} target="_blank" rel="noreferrer">{tr("Open")}</a> • <button className="underline" onClick={()=>navigator.clipboard?.writeText(trackUrl)}>{tr("Copy link")}</button> • <button className="underline" onClick={()=>{ if(confirm(tr("Replace the tracking link? The old link will stop working."))) onNewTrackingLink(e.id); }}>{tr("New link")}</button></div>}
+            {details.length > 0 && (
+              <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-600">
+                {details.map(([f, text]) => <span key={f.id} className={f.type === "longtext" ? "basis-full whitespace-pre-wrap" : ""}><span className="text-gray-400">{f.label}:</span> {text}</span>)}
+              </div>
+            )}
             {e.notes && <div className="text-gray-700 whitespace-pre-wrap">{e.notes}</div>}
+            {e.items?.length ? <QuoteSummary items={e.items} /> : null}
+            {e.items?.length ? (
+              <div className="flex items-center gap-2">
+                <Button className="border-gray-300" onClick={()=>onDocument("quote", e)}>{tr("Generate Quote")}</Button>
+                <Button className="border-gray-300" onClick={()=>onDocument("invoice", e)}>{tr("Generate Invoice")}</Button>
+                {e.invoiceNo && <span className="text-xs text-gray-500">{e.invoiceNo} • {fmtDate(e.invoicedAt)}</span>}
+              </div>
+            ) : null}
+            {(e.items?.length || e.payments?.length) ? (
+              <PaymentsPanel e={e} users={users} statuses={statuses} onAdd={(p)=>onAddPayment(e.id, p)} onRemove={(pid)=>onRemovePayment(e.id, pid)} />
+            ) : null}
+            <FollowUpsPanel reminders={e.reminders || []} onSave={(r)=>onSaveReminder(e.id, r)} onRemove={(rid)=>onRemoveReminder(e.id, rid)} />
+            <AttachmentsPanel items={e.attachments || []} users={users} onAdd={(files)=>onAddAttachments(e.id, files)} onRemove={(aid)=>onRemoveAttachment(e.id, aid)} />
+            {e.messages?.length ? (
+              <div className="text-xs text-gray-500">{tr("Last WhatsApp: {name}", { name: e.messages[e.messages.length - 1].templateName })} • {fmtDate(e.messages[e.messages.length - 1].at)}{e.messages.length > 1 ? " " + tr("({n} sent)", { n: e.messages.length }) : ""}</div>
+            ) : null}
+            {e.history?.length ? <HistoryList history={e.history} users={users} statuses={statuses} /> : null}
           </div>
         ) : (
           <div className="mt-2 grid sm:grid-cols-2 gap-2 text-sm">
             <Input value={local.title} onChange={(ev:any)=>setLocal({...local, title: ev.target.value})} />
             <Select value={local.category} onChange={(ev:any)=>setLocal({...local, category: ev.target.value})}>
-              {/* Options injected via parent at render time through closure? Not accessible; keep as free text alternative */}
-              <option value={local.category}>{local.category}</option>
+              {!findCategory(categories, local.category) && <option value={local.category}>{local.category}</option>}
+              {categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
             </Select>
             <Input value={local.customerName} onChange={(ev:any)=>setLocal({...local, customerName: ev.target.value})} />
             <Input value={local.phone} onChange={(ev:any)=>setLocal({...local, phone: ev.target.value})} />
             <Select value={local.channel} onChange={(ev:any)=>setLocal({...local, channel: ev.target.value as Channel})}>
-              {CHANNELS.map(c => <option key={c} value={c}>{c}</option>)}
+              {CHANNELS.map(c => <option key={c} value={c}>{tr(c)}</option>)}
             </Select>
             <Select value={local.status} onChange={(ev:any)=>setLocal({...local, status: ev.target.value as Status})}>
-              {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+              {[st, ...nextStatuses(statuses, e)].map(s => <option key={s.id} value={s.id}>{statusLabel(s)}</option>)}
             </Select>
             <Input type="datetime-local" value={toLocalDT(local.dueAt)} onChange={(ev:any)=>setLocal({...local, dueAt: fromLocalDT(ev.target.value)})} />
             <Select value={local.assignedTo || ""} onChange={(ev:any)=>setLocal({...local, assignedTo: ev.target.value})}>
               <option value="">—</option>
+              {local.assignedTo && !users.some(u => u.id === local.assignedTo) && <option value={local.assignedTo}>{userName(users, local.assignedTo)}</option>}
               {users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
             </Select>
+            <DetailsInputs fields={findCategory(categories, local.category)?.fields || []} values={local.details || {}} onChange={(details)=>setLocal({...local, details})} />
             <div className="sm:col-span-2">
               <TextArea value={local.notes} onChange={(ev:any)=>setLocal({...local, notes: ev.target.value})} />
             </div>
+            <div className="sm:col-span-2">
+              <QuoteEditor items={local.items || []} onChange={(items)=>setLocal({...local, items})} priceList={priceList} category={local.category} />
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+// Category custom fields, laid out in the parent's two-column form grid
+function DetailsInputs({ fields, values, onChange }:{ fields: CustomField[]; values: Record<string, CustomValue>; onChange: (v: Record<string, CustomValue>)=>void; }){
+  const set = (id: string, v?: CustomValue) => {
+    const next = {...values};
+    if (v === undefined || v === "") delete next[id]; else next[id] = v;
+    onChange(next);
+  };
+  return (
+    <>
+      {fields.map(f => {
+        const v = values[f.id];
+        if (f.type === "quantities") {
+          const q = (v || {}) as Record<string, number>;
+          const setQty = (o: string, n: number) => { const next = {...q}; if (n > 0) next[o] = n; else delete next[o]; set(f.id, Object.keys(next).length ? next : undefined); };
+          return (
+            <div key={f.id} className="sm:col-span-2 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+              <span>{f.label}</span>
+              {fieldOptions(f).map(o => (
+                <label key={o} className="flex items-center gap-1">{o}<Input type="number" className="w-20" value={q[o] ?? ""} onChange={(ev:any)=>setQty(o, Number(ev.target.value))} /></label>
+              ))}
+              <span className="text-gray-400">{tr("Total {n}", { n: Object.values(q).reduce((t, n) => t + n, 0) })}</span>
+            </div>
+          );
+        }
+        return (
+          <label key={f.id} className={`grid gap-1 text-xs text-gray-600 ${f.type === "longtext" ? "sm:col-span-2" : ""}`}>
+            {f.label}{f.unit ? ` (${f.unit})` : ""}
+            {f.type === "select" ? (
+              <Select value={v ?? ""} onChange={(ev:any)=>set(f.id, ev.target.value)}>
+                <option value="">—</option>
+                {fieldOptions(f).map(o => <option key={o} value={o}>{o}</option>)}
+              </Select>
+            ) : f.type === "longtext" ? (
+              <TextArea value={v ?? ""} onChange={(ev:any)=>set(f.id, ev.target.value)} />
+            ) : (
+              <Input type={f.type === "number" ? "number" : "text"} value={v ?? ""} onChange={(ev:any)=>set(f.id, f.type === "number" && ev.target.value !== "" ? Number(ev.target.value) : ev.target.value)} />
+            )}
+          </label>
+        );
+      })}
+    </>
+  );
+}
+
+function QuoteEditor({ items, onChange, priceList, category }:{ items: LineItem[]; onChange: (items: LineItem[])=>void; priceList: PriceItem[]; category: string; }){
+  const options = priceList.filter(p => p.category === category);
+  const update = (li: LineItem, patch: Partial<LineItem>) => {
+    const next = { ...li, ...patch };
+    // Re-resolve quantity breaks when the quantity of a price-list line changes
+    const src = priceList.find(p => p.id === li.priceId);
+    if (src && patch.qty !== undefined) next.rate = rateFor(src, next.qty);
+    onChange(upsertById(items, next));
+  };
+  const num = (ev: any) => Number(ev.target.value) || 0;
+  const totals = quoteTotals(items);
+
+  return (
+    <div className="border rounded-xl p-2 grid gap-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium">{tr("Quotation")}</div>
+        <Select value="" onChange={(ev:any)=>{ const p = priceList.find(x => x.id === ev.target.value); if(p) onChange([...items, lineFromPrice(p)]); }} className="ml-auto w-auto">
+          <option value="">{tr("+ From price list…")}</option>
+          {options.map(p => <option key={p.id} value={p.id}>{p.name} ({fmtMoney(p.rate)}/{p.unit})</option>)}
+        </Select>
+        <Button className="border-gray-300" onClick={()=>onChange([...items, { id: crypto.randomUUID(), description: "", unit: "piece", qty: 1, rate: 0, discount: 0, tax: 0 }])}>{tr("+ Line")}</Button>
+      </div>
+      {items.map(li => (
+        <div key={li.id} className="grid grid-cols-6 gap-1 items-center text-xs">
+          <Input className="col-span-6 sm:col-span-2" placeholder={tr("Description")} value={li.description} onChange={(ev:any)=>update(li, { description: ev.target.value })} />
+          <Input type="number" placeholder={tr("Qty")} value={li.qty} onChange={(ev:any)=>update(li, { qty: num(ev) })} />
+          {li.unit === "sqft" ? (
+            <div className="flex gap-1">
+              <Input type="number" placeholder={tr("W ft")} value={li.width ?? ""} onChange={(ev:any)=>update(li, { width: num(ev) })} />
+              <Input type="number" placeholder={tr("H ft")} value={li.height ?? ""} onChange={(ev:any)=>update(li, { height: num(ev) })} />
+            </div>
+          ) : (
+            <Select value={li.unit} onChange={(ev:any)=>update(li, { unit: ev.target.value as PriceUnit })}>
+              {PRICE_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+            </Select>
+          )}
+          <Input type="number" placeholder={tr("Rate")} value={li.rate} onChange={(ev:any)=>update(li, { rate: num(ev) })} />
+          <div className="flex gap-1 items-center">
+            <Input type="number" placeholder={tr("Disc %")} value={li.discount} onChange={(ev:any)=>update(li, { discount: num(ev) })} />
+            <Input type="number" placeholder={tr("Tax %")} value={li.tax} onChange={(ev:any)=>update(li, { tax: num(ev) })} />
+          </div>
+          <div className="col-span-6 flex items-center gap-2 text-gray-500">
+            <span>{fmtMoney(li.rate)} × {(Math.round(lineUnits(li) * 100) / 100)} {li.unit}</span>
+            <span className="ml-auto font-medium text-gray-900">{fmtMoney(lineAmounts(li).total)}</span>
+            <button className="text-red-500" onClick={(ev)=>{ ev.preventDefault(); onChange(items.filter(x => x.id !== li.id)); }}>×</button>
           </div>
+        </div>
+      ))}
+      {items.length > 0 && (
+        <div className="text-xs text-right text-gray-600">
+          {tr("Subtotal")} {fmtMoney(totals.subtotal)} • {tr("Discount")} −{fmtMoney(totals.discount)} • {tr("Tax")} {fmtMoney(totals.tax)} • <span className="font-semibold text-gray-900">{tr("Total")} {fmtMoney(totals.total)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function QuoteSummary({ items }:{ items: LineItem[] }){
+  const totals = quoteTotals(items);
+  return (
+    <div className="border rounded-xl p-2 text-xs grid gap-1">
+      {items.map(li => (
+        <div key={li.id} className="flex gap-2">
+          <span className="flex-1 truncate">{li.description || "—"}{li.unit === "sqft" ? ` (${li.width}×${li.height} ft)` : ""} × {li.qty}</span>
+          <span>{fmtMoney(lineAmounts(li).total)}</span>
+        </div>
+      ))}
+      <div className="flex gap-2 border-t pt-1 font-semibold">
+        <span className="flex-1">{tr("Total")}</span>
+        <span>{fmtMoney(totals.total)}</span>
+      </div>
+    </div>
+  );
+}
+
+function BulkBar({ count, statuses, users, categories, canDelete, onRun, onWhatsApp, onExport, onClear }:{ count: number; statuses: StatusDef[]; users: User[]; categories: Category[]; canDelete: boolean; onRun: (a: BatchAction)=>void; onWhatsApp: ()=>void; onExport: (k: "csv" | "xlsx")=>void; onClear: ()=>void; }){
+  const [kind, setKind] = useState("");
+  const [value, setValue] = useState("");
+  const apply = () => {
+    if (kind === "whatsapp") return onWhatsApp();
+    if (kind === "csv" || kind === "xlsx") return onExport(kind);
+    if (kind === "delete") return onRun({ kind });
+    if (kind === "assign") return onRun({ kind, userId: value });
+    if (kind === "shiftDue") { const days = Math.round(Number(value)); if (days) onRun({ kind, days }); return; }
+    if (!value) return;
+    if (kind === "status") onRun({ kind, status: value });
+    if (kind === "category") onRun({ kind, category: value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-gray-100 rounded-xl p-2">
+      <span className="font-medium">{tr("{n} selected", { n: count })}</span>
+      <Select value={kind} className="w-auto" onChange={(e:any)=>{ setKind(e.target.value); setValue(""); }}>
+        <option value="">{tr("Action…")}</option>
+        <option value="status">{tr("Change status")}</option>
+        <option value="assign">{tr("Assign to")}</option>
+        <option value="shiftDue">{tr("Shift due date")}</option>
+        <option value="category">{tr("Change category")}</option>
+        <option value="whatsapp">{tr("Send WhatsApp…")}</option>
+        <option value="csv">{tr("Export CSV")}</option>
+        <option value="xlsx">{tr("Export Excel")}</option>
+        {canDelete && <option value="delete">{tr("Delete")}</option>}
+      </Select>
+      {kind === "status" && (
+        <Select value={value} className="w-auto" onChange={(e:any)=>setValue(e.target.value)}>
+          <option value="">{tr("Status…")}</option>
+          {statuses.map(s => <option key={s.id} value={s.id}>{statusLabel(s)}</option>)}
+        </Select>
+      )}
+      {kind === "assign" && (
+        <Select value={value} className="w-auto" onChange={(e:any)=>setValue(e.target.value)}>
+          <option value="">{tr("— Nobody")}</option>
+          {users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+        </Select>
+      )}
+      {kind === "shiftDue" && <Input type="number" placeholder={tr("Days, e.g. 2 or -1")} className="w-auto" value={value} onChange={(e:any)=>setValue(e.target.value)} />}
+      {kind === "category" && (
+        <Select value={value} className="w-auto" onChange={(e:any)=>setValue(e.target.value)}>
+          <option value="">{tr("Category…")}</option>
+          {categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
+        </Select>
+      )}
+      {kind && <Button className={kind === "delete" ? "border-red-300 text-red-600" : "border-gray-900 bg-gray-900 text-white"} onClick={apply}>{tr("Apply")}</Button>}
+      <button className="underline text-gray-600 ml-auto" onClick={onClear}>{tr("Clear selection")}</button>
+    </div>
+  );
+}
+
+// WhatsApp only opens from a tap, so the batch goes one customer per tap
+function WhatsAppQueue({ list, noPhone, statuses, templates, trackUrl, onSend, onClose }:{ list: Enquiry[]; noPhone: number; statuses: StatusDef[]; templates: MessageTemplate[]; trackUrl: (e: Enquiry)=>string | undefined; onSend: (e: Enquiry, t: MessageTemplate)=>void; onClose: ()=>void; }){
+  const [templateId, setTemplateId] = useState(templates[0]?.id || "");
+  const [i, setI] = useState(0);
+  const t = templates.find(x => x.id === templateId);
+  const e = list[i];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/30 grid place-items-center p-4">
+      <Card className="p-4 w-full max-w-lg grid gap-3 max-h-[90vh] overflow-auto text-sm">
+        <div className="text-lg font-semibold">{tr("Send WhatsApp to {n} customers", { n: list.length })}</div>
+        {noPhone > 0 && <div className="text-xs text-gray-500">{tr("{n} selected enquiries have no phone number and are left out.", { n: noPhone })}</div>}
+        <Select value={templateId} onChange={(ev:any)=>setTemplateId(ev.target.value)}>
+          {templates.map(x => <option key={x.id} value={x.id}>{x.name}</option>)}
+        </Select>
+        {e && t ? (
+          <>
+            <div className="font-medium">{tr("{i} of {n}", { i: i + 1, n: list.length })}: {e.customerName} • {e.phone}</div>
+            <div className="text-xs text-gray-600 bg-gray-50 rounded-xl p-2 whitespace-pre-wrap">{fillTemplate(t.body, e, statuses)}</div>
+            <div className="flex justify-end gap-2">
+              <Button className="border-gray-300" onClick={()=>setI(i + 1)}>{tr("Skip")}</Button>
+              <a className="border px-4 py-2 rounded-2xl text-sm shadow-sm border-green-600 bg-green-600 text-white" href={waLink(e.phone, fillTemplate(t.body, e, statuses), trackUrl(e))} target="_blank" rel="noreferrer"
+                onClick={()=>{ onSend(e, t); setI(i + 1); }}>{tr("Open WhatsApp")}</a>
+            </div>
+          </>
+        ) : (
+          <div className="text-gray-600">{tr(list.length ? "All done." : "Nobody to message.")}</div>
         )}
+        <div className="flex justify-end"><Button className="border-gray-300" onClick={onClose}>{tr(e ? "Stop" : "Close")}</Button></div>
+      </Card>
+    </div>
+  );
+}
+
+function DeletedRow({ e, users, statuses, onRestore }:{ e: Enquiry; users: User[]; statuses: StatusDef[]; onRestore: (id: string)=>void; }){
+  return (
+    <div className="px-2 py-2">
+      <Card className="p-3 bg-gray-50">
+        <div className="flex items-center gap-2 text-sm">
+          <div className="flex-1 min-w-0">
+            <div className="font-medium truncate">{e.title} <span className="text-gray-400">• {e.customerName}</span></div>
+            <div className="text-xs text-gray-500">{tr("Deleted {date} by {name}", { date: fmtDate(e.deletedAt), name: userName(users, e.deletedBy) || "—" })}</div>
+          </div>
+          <Button className="border-gray-300" onClick={()=>onRestore(e.id)}>{tr("Restore")}</Button>
+        </div>
+        {e.history?.length ? <div className="mt-2"><HistoryList history={e.history} users={users} statuses={statuses} /></div> : null}
       </Card>
     </div>
   );
 }
 
-function SettingsPanel({ store, addCategory, removeCategory, addUser, removeUser, setStore }:{ store: Store; addCategory: (n: string)=>void; removeCategory: (n: string)=>void; addUser: (n: string, r: User["role"])=>void; removeUser: (id: string)=>void; setStore: (s: any)=>void; }){
-  const [newCat, setNewCat] = useState("");
+const HISTORY_LABELS: Record<HistoryAction, string> = {
+  created: "Created", edited: "Edited", status: "Status changed", assigned: "Reassigned", deleted: "Deleted", restored: "Restored", messaged: "WhatsApp sent",
+};
+
+function HistoryList({ history, users, statuses }:{ history: HistoryEntry[]; users: User[]; statuses: StatusDef[]; }){
+  const [open, setOpen] = useState(false);
+  const name = (id?: string) => userName(users, id) || "—";
+  // Ids and ISO dates are stored raw; show them the same way the row does
+  const show = (field: string, v?: string) => v === undefined ? "—" : field === "assignedTo" ? name(v) : field === "dueAt" ? fmtDate(v) : field === "status" ? statusLabel(statusDef(statuses, v)) : v;
+  return (
+    <div className="text-xs">
+      <button className="underline text-gray-600" onClick={()=>setOpen(!open)}>{tr(open ? "Hide history ({n})" : "Show history ({n})", { n: history.length })}</button>
+      {open && (
+        <ol className="mt-1 grid gap-1 border-l pl-3">
+          {history.slice().reverse().map(h => (
+            <li key={h.id}>
+              <div><span className="font-medium">{tr(HISTORY_LABELS[h.action])}</span> <span className="text-gray-500">• {name(h.userId)} • {fmtDate(h.at)}</span></div>
+              {h.action === "messaged" && <div className="text-gray-600 truncate">{h.changes?.find(c => c.field === "messages")?.to}</div>}
+              {h.action !== "created" && h.action !== "messaged" && h.changes?.map(c => (
+                <div key={c.field} className="text-gray-600 truncate">{c.field}: {show(c.field, c.from)} → {show(c.field, c.to)}</div>
+              ))}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+function PaymentsPanel({ e, users, statuses, onAdd, onRemove }:{ e: Enquiry; users: User[]; statuses: StatusDef[]; onAdd: (p: Omit<Payment, "id" | "receivedBy">)=>void; onRemove: (paymentId: string)=>void; }){
+  const [amount, setAmount] = useState("");
+  const [method, setMethod] = useState<PaymentMethod>("Cash");
+  const [at, setAt] = useState("");
+  const due = balanceDue(e, statuses);
+
+  return (
+    <div className="border rounded-xl p-2 text-xs grid gap-1">
+      <div className="flex gap-2 font-medium">
+        <span className="flex-1">{tr("Payments")}</span>
+        <span>{tr("Paid {amount}", { amount: fmtMoney(paidTotal(e)) })} • {tr("Balance {amount}", { amount: fmtMoney(Math.max(due, 0)) })}</span>
+      </div>
+      {(e.payments || []).map(p => (
+        <div key={p.id} className="flex items-center gap-2 text-gray-600">
+          <span className="flex-1">{fmtDate(p.at)} • {tr(p.method)} • {userName(users, p.receivedBy) || "—"}</span>
+          <span className="text-gray-900">{fmtMoney(p.amount)}</span>
+          <button className="text-red-500" onClick={()=>{ if(confirm(tr("Remove payment?"))) onRemove(p.id); }}>×</button>
+        </div>
+      ))}
+      <div className="grid grid-cols-4 gap-1">
+        <Input type="number" placeholder={due > 0 ? String(due) : tr("Amount")} value={amount} onChange={(ev:any)=>setAmount(ev.target.value)} />
+        <Select value={method} onChange={(ev:any)=>setMethod(ev.target.value)}>
+          {PAYMENT_METHODS.map(m => <option key={m} value={m}>{tr(m)}</option>)}
+        </Select>
+        <Input type="datetime-local" value={at} onChange={(ev:any)=>setAt(ev.target.value)} />
+        <Button className="border-gray-300" onClick={()=>{
+          const n = Number(amount);
+          if(!(n > 0)) return;
+          onAdd({ amount: n, method, at: fromLocalDT(at) || todayISO() });
+          setAmount(""); setAt("");
+        }}>{tr("Record")}</Button>
+      </div>
+    </div>
+  );
+}
+
+function FollowUpsPanel({ reminders, onSave, onRemove }:{ reminders: Reminder[]; onSave: (r: Reminder)=>void; onRemove: (id: string)=>void; }){
+  const [open, setOpen] = useState(false);
+  const [at, setAt] = useState("");
+  const [note, setNote] = useState("");
+  const pending = reminders.filter(r => !r.doneAt);
+  if (!open && !reminders.length) return <button className="text-xs underline text-gray-600 justify-self-start" onClick={()=>setOpen(true)}>{tr("+ Follow-up reminder")}</button>;
+
+  return (
+    <div className="border rounded-xl p-2 text-xs grid gap-1">
+      <div className="font-medium">{tr("Follow-ups")} {pending.length ? tr("({n} open)", { n: pending.length }) : ""}</div>
+      {reminders.slice().sort((a, b) => a.at.localeCompare(b.at)).map(r => (
+        <div key={r.id} className={`flex items-center gap-2 ${r.doneAt ? "text-gray-400 line-through" : isOverdue(r.at) ? "text-red-600" : "text-gray-600"}`}>
+          <span className="flex-1">{fmtDate(r.at)}{r.note ? ` • ${r.note}` : ""}</span>
+          {!r.doneAt && <button className="underline" onClick={()=>onSave({...r, doneAt: todayISO()})}>{tr("Done")}</button>}
+          <button className="text-red-500" onClick={()=>onRemove(r.id)}>×</button>
+        </div>
+      ))}
+      <div className="grid grid-cols-4 gap-1">
+        <Input type="datetime-local" value={at} onChange={(ev:any)=>setAt(ev.target.value)} />
+        <Input className="col-span-2" placeholder={tr("Note (e.g., Call back about design)")} value={note} onChange={(ev:any)=>setNote(ev.target.value)} />
+        <Button className="border-gray-300" onClick={()=>{
+          if(!at) return;
+          onSave({ id: crypto.randomUUID(), at: fromLocalDT(at)!, note: note.trim() || undefined });
+          setAt(""); setNote("");
+        }}>{tr("Add")}</Button>
+      </div>
+    </div>
+  );
+}
+
+function AttachmentsPanel({ items, users, onAdd, onRemove }:{ items: Attachment[]; users: User[]; onAdd: (files: File[])=>Promise<void>; onRemove: (id: string)=>void; }){
+  // id -> thumbnail URL ("" for PDFs); ids missing here have no file on this device
+  const [thumbs, setThumbs] = useState<Record<string, string>>();
+  const [viewing, setViewing] = useState<{ a: Attachment; url: string }>();
+  const [busy, setBusy] = useState(false);
+  const ids = items.map(a => a.id).join();
+
+  useEffect(() => {
+    let live = true;
+    const urls: string[] = [];
+    Promise.all(items.map(async a => {
+      const f = await getFile(a.id).catch(() => undefined);
+      if (!f) return [];
+      const preview = f.thumb || (a.type.startsWith("image/") ? f.blob : undefined);
+      const url = preview ? URL.createObjectURL(preview) : "";
+      if (url) urls.push(url);
+      return [[a.id, url]];
+    })).then(list => {
+      if (live) setThumbs(Object.fromEntries(list.flat()));
+      else urls.forEach(u => URL.revokeObjectURL(u));
+    });
+    return () => { live = false; urls.forEach(u => URL.revokeObjectURL(u)); };
+  }, [ids]);
+
+  const pick = async (ev: any) => {
+    const files = Array.from(ev.target.files || []) as File[];
+    ev.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    await onAdd(files);
+    setBusy(false);
+  };
+
+  // PDFs open in the browser's own viewer
+  const open = async (a: Attachment) => {
+    const f = await getFile(a.id).catch(() => undefined);
+    if (!f) return;
+    const url = URL.createObjectURL(f.blob);
+    if (a.type.startsWith("image/")) return setViewing({ a, url });
+    window.open(url, "_blank");
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+  const close = () => { if (viewing) URL.revokeObjectURL(viewing.url); setViewing(undefined); };
+  const images = items.filter(a => a.type.startsWith("image/") && thumbs?.[a.id] !== undefined);
+  const step = (d: number) => {
+    const i = images.findIndex(a => a.id === viewing?.a.id);
+    const next = images[(i + d + images.length) % images.length];
+    close();
+    if (next) open(next);
+  };
+  const download = async (a: Attachment) => { const f = await getFile(a.id); if (f) downloadBlob(f.blob, a.name); };
+
+  const adders = (
+    <div className="flex items-center gap-3">
+      <label className="underline text-gray-600 cursor-pointer">{tr("+ Attach file")}<input type="file" accept={ATTACH_ACCEPT} multiple className="hidden" onChange={pick} /></label>
+      <label className="underline text-gray-600 cursor-pointer">{tr("Take photo")}<input type="file" accept="image/*" capture="environment" className="hidden" onChange={pick} /></label>
+      {busy && <span className="text-gray-500">{tr("Saving…")}</span>}
+    </div>
+  );
+  if (!items.length) return <div className="text-xs">{adders}</div>;
+
+  return (
+    <div className="border rounded-xl p-2 text-xs grid gap-2">
+      <div className="font-medium">{tr("Attachments ({n})", { n: items.length })}</div>
+      <div className="flex flex-wrap gap-2">
+        {items.map(a => {
+          const url = thumbs?.[a.id];
+          return (
+            <div key={a.id} className="w-20 grid gap-1">
+              <button className="w-20 h-20 rounded-lg border bg-gray-50 overflow-hidden grid place-items-center text-gray-500" title={`${a.name} • ${fmtSize(a.size)}`} onClick={()=>open(a)} disabled={url === undefined}>
+                {url ? <img src={url} alt={a.name} className="w-full h-full object-cover" />
+                  : url === "" ? <span className="font-semibold">{a.type === "application/pdf" ? "PDF" : tr("File")}</span>
+                  : <span className="px-1 text-center">{thumbs ? tr("Not on this device") : "…"}</span>}
+              </button>
+              <div className="flex items-center gap-1 text-gray-600">
+                <span className="flex-1 truncate">{a.name}</span>
+                <button className="text-red-500" onClick={()=>{ if(confirm(tr("Delete {name}?", { name: a.name }))) onRemove(a.id); }}>×</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {adders}
+      {viewing && (
+        <div className="fixed inset-0 z-50 bg-black/80 grid grid-rows-[1fr_auto] p-4 gap-3" onClick={close}>
+          <img src={viewing.url} alt={viewing.a.name} className="max-w-full max-h-full object-contain place-self-center min-h-0" />
+          <div className="flex flex-wrap items-center gap-2 text-white text-sm" onClick={(ev)=>ev.stopPropagation()}>
+            <div className="flex-1 min-w-0 truncate">
+              {viewing.a.name} • {fmtSize(viewing.a.size)} • {fmtDate(viewing.a.addedAt)}{viewing.a.addedBy ? ` • ${userName(users, viewing.a.addedBy) || tr("Unknown")}` : ""}
+            </div>
+            {images.length > 1 && <Button className="border-white/40" onClick={()=>step(-1)}>‹</Button>}
+            {images.length > 1 && <Button className="border-white/40" onClick={()=>step(1)}>›</Button>}
+            <Button className="border-white/40" onClick={()=>download(viewing.a)}>{tr("Download")}</Button>
+            <Button className="border-red-300 text-red-300" onClick={()=>{ if(confirm(tr("Delete {name}?", { name: viewing.a.name }))) { onRemove(viewing.a.id); close(); } }}>{tr("Delete")}</Button>
+            <Button className="border-white/40" onClick={close}>{tr("Close")}</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SettingsPanel({ store, addCategory, updateCategory, renameCategory, mergeCategories, removeCategory, updateStatuses, addUser, removeUser, upsertPriceItem, removePriceItem, upsertTemplate, removeTemplate, updateNotify, toggleStaffPermission, setUserPin, updateSecurity, updateSync, updateTracking, updateShop, syncNow, syncStatus, dismissConflict, updateBackup, restoreSnapshot, saveRestorePoint, removeSnapshot, clearData, can, setStore }:{ store: Store; addCategory: (n: string)=>void; updateCategory: (c: Category)=>void; renameCategory: (id: string, name: string)=>void; mergeCategories: (fromId: string, intoId: string)=>void; removeCategory: (id: string)=>void; updateStatuses: (list: StatusDef[])=>void; addUser: (n: string, r: User["role"], pin: string)=>void; removeUser: (id: string)=>void; upsertPriceItem: (p: PriceItem)=>void; removePriceItem: (id: string)=>void; upsertTemplate: (t: MessageTemplate)=>void; removeTemplate: (id: string)=>void; updateNotify: (p: Partial<NotifySettings>)=>void; toggleStaffPermission: (p: Permission)=>void; setUserPin: (id: string, pin: string)=>Promise<void>; updateSecurity: (p: Partial<SecuritySettings>)=>void; updateSync: (p: Partial<SyncSettings>)=>void; updateTracking: (p: Partial<TrackingSettings>)=>void; updateShop: (p: Partial<ShopProfile>)=>void; syncNow: ()=>void; syncStatus: SyncStatus; dismissConflict: (id?: string)=>void; updateBackup: (p: Partial<BackupSettings>)=>void; restoreSnapshot: (s: Snapshot)=>Promise<void> | undefined; saveRestorePoint: ()=>Promise<void> | undefined; removeSnapshot: (s: Snapshot)=>Promise<void> | undefined; clearData: ()=>void; can: (p: Permission)=>boolean; setStore: (s: any)=>void; }){
   const [name, setName] = useState("");
   const [role, setRole] = useState<User["role"]>("staff");
+  const [userPin, setUserPinInput] = useState("");
+  const [price, setPrice] = useState({ category: store.categories[0]?.name || "", name: "", unit: "piece" as PriceUnit, rate: "", breaks: "" });
+  const isAdmin = store.users.find(u => u.id === store.currentUserId)?.role === "admin";
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const loadSnapshots = () => { if (can("importBackup")) listSnapshots().then(setSnapshots, () => setSnapshots([])); };
+  useEffect(loadSnapshots, []);
+  const [pinFor, setPinFor] = useState("");
+  const [newPin, setNewPin] = useState("");
 
   return (
     <div className="grid gap-4">
+      {isAdmin && <ShopProfileCard shop={store.shop} onChange={updateShop} />}
+
+      <CategoriesCard categories={store.categories} enquiries={store.enquiries} editable={can("manageCategories")} onAdd={addCategory} onUpdate={updateCategory} onRename={renameCategory} onMerge={mergeCategories} onRemove={removeCategory} />
+
+      <WorkflowCard statuses={store.statuses} categories={categoryNames(store.categories)} enquiries={store.enquiries} editable={can("manageWorkflow")} onChange={updateStatuses} />
+
       <Card className="p-4">
-        <div className="font-semibold mb-2">Categories</div>
-        <div className="flex gap-2 mb-2">
-          <Input placeholder="Add category (e.g., Sticker Fixing)" value={newCat} onChange={(e:any)=>setNewCat(e.target.value)} />
-          <Button className="border-gray-300" onClick={()=>{ if(!newCat.trim()) return; addCategory(newCat.trim()); setNewCat(""); }}>Add</Button>
-        </div>
-        <div className="flex flex-wrap gap-2">
-          {store.categories.map(c => (
-            <span key={c} className="flex items-center gap-2 border rounded-full px-3 py-1 text-sm">
-              {c}
-              <button className="text-red-500" onClick={()=>removeCategory(c)}>×</button>
-            </span>
+        <div className="font-semibold mb-2">{tr("Price List")}</div>
+        {can("managePrices") && <div className="grid sm:grid-cols-6 gap-2 mb-2">
+          <Select value={price.category} onChange={(e:any)=>setPrice({...price, category: e.target.value})}>
+            {store.categories.map(c => <option key={c.id} value={c.name}>{c.name}</option>)}
+          </Select>
+          <Input placeholder={tr("Item (e.g., Colour page)")} value={price.name} onChange={(e:any)=>setPrice({...price, name: e.target.value})} className="sm:col-span-2" />
+          <Select value={price.unit} onChange={(e:any)=>setPrice({...price, unit: e.target.value})}>
+            {PRICE_UNITS.map(u => <option key={u} value={u}>{tr("per {unit}", { unit: u })}</option>)}
+          </Select>
+          <Input type="number" placeholder={tr("Rate")} value={price.rate} onChange={(e:any)=>setPrice({...price, rate: e.target.value})} />
+          <Input placeholder={tr("Breaks (10:300, 50:250)")} value={price.breaks} onChange={(e:any)=>setPrice({...price, breaks: e.target.value})} />
+          <Button className="border-gray-300" onClick={()=>{
+            if(!price.name.trim() || price.rate === "") return;
+            upsertPriceItem({ id: crypto.randomUUID(), category: price.category, name: price.name.trim(), unit: price.unit, rate: Number(price.rate), breaks: parseBreaks(price.breaks) });
+            setPrice({...price, name: "", rate: "", breaks: ""});
+          }}>{tr("Add Price")}</Button>
+        </div>}
+        <div className="grid gap-2">
+          {store.priceList.map(p => (
+            <div key={p.id} className="flex items-center gap-2 border rounded-xl p-2 text-sm">
+              <div className="flex-1">
+                <div className="font-medium">{p.name} <span className="text-gray-400">• {p.category}</span></div>
+                <div className="text-xs text-gray-500">{fmtMoney(p.rate)} {tr("per {unit}", { unit: p.unit })}{p.breaks?.length ? ` • ${p.breaks.map(b => `${b.minQty}+ @ ${fmtMoney(b.rate)}`).join(", ")}` : ""}</div>
+              </div>
+              {can("managePrices") && <Button className="border-red-300 text-red-600" onClick={()=>removePriceItem(p.id)}>{tr("Remove")}</Button>}
+            </div>
           ))}
         </div>
       </Card>
 
+      <RemindersCard settings={notifySettings(store.users.find(u => u.id === store.currentUserId))} sync={store.sync} onChange={updateNotify} />
+
+      <TemplatesCard templates={store.templates} statuses={store.statuses} editable={can("manageTemplates")} onSave={upsertTemplate} onRemove={removeTemplate} />
+
       <Card className="p-4">
-        <div className="font-semibold mb-2">Users</div>
-        <div className="grid sm:grid-cols-3 gap-2 mb-2">
-          <Input placeholder="Name" value={name} onChange={(e:any)=>setName(e.target.value)} />
-          <Select value={role} onChange={(e:any)=>setRole(e.target.value)}>
-            <option value="staff">Staff</option>
-            <option value="admin">Admin</option>
-          </Select>
-          <Button className="border-gray-300" onClick={()=>{ if(!name.trim()) return; addUser(name.trim(), role); setName(""); }}>Add User</Button>
-        </div>
+        <div className="font-semibold mb-2">{tr("Users")}</div>
+        {can("manageUsers") && (
+          <div className="grid sm:grid-cols-4 gap-2 mb-2">
+            <Input placeholder={tr("Name")} value={name} onChange={(e:any)=>setName(e.target.value)} />
+            <Select value={role} onChange={(e:any)=>setRole(e.target.value)}>
+              <option value="staff">{tr("Staff")}</option>
+              {isAdmin && <option value="admin">{tr("Admin")}</option>}
+            </Select>
+            <Input type="password" placeholder={tr("First PIN (4–8 digits)")} value={userPin} onChange={(e:any)=>setUserPinInput(e.target.value)} />
+            <Button className="border-gray-300" disabled={!name.trim() || !validPin(userPin)} onClick={()=>{ addUser(name.trim(), role, userPin); setName(""); setUserPinInput(""); }}>{tr("Add User")}</Button>
+          </div>
+        )}
         <div className="grid gap-2">
           {store.users.map(u => (
             <div key={u.id} className="flex items-center gap-2 border rounded-xl p-2">
               <div className="flex-1">
                 <div className="font-medium">{u.name}</div>
-                <div className="text-xs text-gray-500">{u.role}</div>
+                <div className="text-xs text-gray-500">{tr(u.role)} • {tr(u.pinHash ? "PIN set" : "no PIN yet, can't log in until an admin sets one")}</div>
               </div>
-              <Button className="border-red-300 text-red-600" onClick={()=>removeUser(u.id)}>Remove</Button>
+              {isAdmin && pinFor !== u.id && <Button className="border-gray-300" onClick={()=>{ setPinFor(u.id); setNewPin(""); }}>{tr("Set PIN")}</Button>}
+              {isAdmin && pinFor === u.id && (
+                <>
+                  <Input type="password" placeholder={tr("New PIN")} value={newPin} onChange={(e:any)=>setNewPin(e.target.value)} className="w-28" />
+                  <Button className="border-gray-900 bg-gray-900 text-white" disabled={!validPin(newPin)} onClick={async ()=>{ await setUserPin(u.id, newPin); setPinFor(""); setNewPin(""); }}>{tr("Save")}</Button>
+                  <Button className="border-gray-300" onClick={()=>setPinFor("")}>{tr("Cancel")}</Button>
+                </>
+              )}
+              {can("manageUsers") && (u.role !== "admin" || isAdmin) && (
+                <Button className="border-red-300 text-red-600" disabled={u.role === "admin" && adminCount(store.users) <= 1} onClick={()=>removeUser(u.id)}>{tr("Remove")}</Button>
+              )}
             </div>
           ))}
         </div>
       </Card>
 
-      <Card className="p-4">
-        <div className="font-semibold mb-2">Reset</div>
-        <div className="flex items-center gap-2">
-          <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm('Clear all local data?')) { localStorage.removeItem(LS_KEY); location.reload(); } }}>Clear Local Data</Button>
-          <div className="text-xs text-gray-500">This only affects this device/browser.</div>
-        </div>
-      </Card>
+      {isAdmin && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Staff Permissions")}</div>
+          <div className="text-xs text-gray-500 mb-2">{tr("Admins can always do everything. Tick what staff users may also do.")}</div>
+          <div className="grid sm:grid-cols-2 gap-2">
+            {PERMISSIONS.map(p => (
+              <label key={p} className="flex items-center gap-2 border rounded-xl p-2 text-sm">
+                <input type="checkbox" checked={store.staffPermissions.includes(p)} onChange={()=>toggleStaffPermission(p)} />
+                {tr(PERMISSION_LABELS[p])}
+              </label>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {isAdmin && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Security")}</div>
+          <div className="grid sm:grid-cols-3 gap-2 text-sm">
+            <label className="grid gap-1">{tr("Lock after idle (minutes, 0 = never)")}
+              <Input type="number" value={store.security.idleMinutes} onChange={(e:any)=>updateSecurity({ idleMinutes: Math.max(0, Number(e.target.value) || 0) })} />
+            </label>
+            <label className="grid gap-1">{tr("Wrong PINs before lockout")}
+              <Input type="number" value={store.security.maxAttempts} onChange={(e:any)=>updateSecurity({ maxAttempts: Math.max(1, Number(e.target.value) || 1) })} />
+            </label>
+            <label className="grid gap-1">{tr("Lockout duration (minutes)")}
+              <Input type="number" value={store.security.lockoutMinutes} onChange={(e:any)=>updateSecurity({ lockoutMinutes: Math.max(1, Number(e.target.value) || 1) })} />
+            </label>
+          </div>
+        </Card>
+      )}
+
+      {isAdmin && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Sync")}</div>
+          <div className="text-xs text-gray-500 mb-2">{tr("Share enquiries, users, categories and statuses between devices through your own sync server (see sync-server.js). PINs and other settings stay on each device: set a user's PIN on each device they use.")}</div>
+          <div className="grid sm:grid-cols-3 gap-2">
+            <Input placeholder={tr("Server URL (http://192.168.1.10:8787)")} value={store.sync.endpoint} onChange={(e:any)=>updateSync({ endpoint: e.target.value.trim() })} className="sm:col-span-2" />
+            <Input type="password" placeholder={tr("Token (optional)")} value={store.sync.token || ""} onChange={(e:any)=>updateSync({ token: e.target.value })} />
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={store.sync.enabled} onChange={(e)=>updateSync({ enabled: e.target.checked })} disabled={!store.sync.endpoint} />
+              {tr("Sync automatically")}
+            </label>
+            <Button className="border-gray-300" onClick={syncNow} disabled={!store.sync.endpoint || syncStatus.busy}>{tr(syncStatus.busy ? "Syncing…" : "Sync Now")}</Button>
+            <div className="text-xs text-gray-500 self-center">
+              {syncStatus.error ? <span className="text-red-600">{syncStatus.error}</span> : store.sync.lastSyncedAt ? tr("Last synced {date}", { date: fmtDate(store.sync.lastSyncedAt) }) : tr("Never synced")}
+              {" • "}{tr("{n} pending", { n: store.enquiries.filter(needsPush).length })}
+            </div>
+          </div>
+          {store.sync.conflicts.length > 0 && (
+            <div className="mt-3 grid gap-1 text-xs">
+              <div className="flex items-center gap-2">
+                <div className="font-medium flex-1">{tr("Conflicts resolved by latest edit")}</div>
+                <button className="underline" onClick={()=>dismissConflict()}>{tr("Dismiss all")}</button>
+              </div>
+              {store.sync.conflicts.map(c => (
+                <div key={c.id} className="flex items-center gap-2 border rounded-xl p-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate"><span className="font-medium">{c.title}</span> • {c.field} • {fmtDate(c.at)}</div>
+                    <div className="text-gray-500 truncate">{tr("Kept “{kept}”, discarded “{discarded}”", { kept: c.kept ?? "—", discarded: c.discarded ?? "—" })}</div>
+                  </div>
+                  <button className="text-red-500" onClick={()=>dismissConflict(c.id)}>×</button>
+                </div>
+              ))}
+            </div>
+          )}
+          <label className="mt-2 flex items-center gap-2 text-sm">{tr("Invoice prefix for this device")}
+            <Input placeholder={devicePrefix({ ...store.sync, invoicePrefix: undefined })} value={store.sync.invoicePrefix || ""} onChange={(e:any)=>updateSync({ invoicePrefix: e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 6) || undefined })} className="w-28" />
+          </label>
+          <div className="text-xs text-gray-500">{tr("While syncing, invoice numbers include it (e.g. {example}), so devices never hand out the same number. Use a different prefix on each device.", { example: invoiceNumber(store.nextInvoiceNo, devicePrefix(store.sync)) })}</div>
+          <div className="mt-2 text-xs text-gray-400">{tr("Device ID {id}", { id: store.sync.deviceId })}</div>
+        </Card>
+      )}
+
+      {isAdmin && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Customer Tracking")}</div>
+          <div className="text-xs text-gray-500 mb-2">{tr("Adds a link to WhatsApp messages where customers can check their order's status, due date and balance. Pages are published by the sync server, or export them and upload to your own site. They show nothing else about the job or other orders.")}</div>
+          <div className="grid sm:grid-cols-3 gap-2">
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={store.tracking.enabled} onChange={(e)=>updateTracking({ enabled: e.target.checked })} />
+              {tr("Add tracking links")}
+            </label>
+            <Input placeholder={store.sync.endpoint ? tr("Pages URL (default {url})", { url: trackingBase({ ...store, tracking: DEFAULT_TRACKING }) }) : tr("Pages URL (https://example.com/track/)")} value={store.tracking.baseUrl} onChange={(e:any)=>updateTracking({ baseUrl: e.target.value.trim() })} className="sm:col-span-2" />
+            <Input placeholder={tr("Contact shown on the page (default: shop phone and address)")} value={store.tracking.contact} onChange={(e:any)=>updateTracking({ contact: e.target.value })} className="sm:col-span-2" />
+            <Button className="border-gray-300" onClick={()=>downloadBlob(buildTrackingZip(store), `printmax_tracking_${new Date().toISOString().slice(0,10)}.zip`)}>{tr("Export Pages")}</Button>
+          </div>
+          {store.tracking.enabled && !trackingBase(store) && <div className="mt-2 text-xs text-red-600">{tr("Set a pages URL or a sync server, or links can't be added.")}</div>}
+        </Card>
+      )}
+
+      {isAdmin && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Backups")}</div>
+          <div className="text-xs text-gray-500 mb-2">{tr("Restore points are kept on this device only. Export a backup regularly and keep it somewhere else.")}</div>
+          <div className="grid sm:grid-cols-3 gap-2 text-sm">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={store.backup.daily} onChange={(e)=>updateBackup({ daily: e.target.checked })} />
+              {tr("Daily restore point")}
+            </label>
+            <label className="grid gap-1">{tr("Keep one a day for (days)")}
+              <Input type="number" value={store.backup.keepDays} onChange={(e:any)=>updateBackup({ keepDays: Math.max(1, Number(e.target.value) || 1) })} />
+            </label>
+            <label className="grid gap-1">{tr("Then one a week for (weeks)")}
+              <Input type="number" value={store.backup.keepWeeks} onChange={(e:any)=>updateBackup({ keepWeeks: Math.max(0, Number(e.target.value) || 0) })} />
+            </label>
+            <label className="flex items-center gap-2 sm:col-span-3">
+              <input type="checkbox" checked={store.backup.encrypt} onChange={(e)=>updateBackup({ encrypt: e.target.checked })} />
+              {tr("Encrypt exported backups with a password")}
+            </label>
+          </div>
+        </Card>
+      )}
+
+      {can("importBackup") && (
+        <Card className="p-4">
+          <div className="flex items-center gap-2 mb-2">
+            <div className="font-semibold flex-1">{tr("Restore Points")}</div>
+            <Button className="border-gray-300" onClick={async ()=>{ await saveRestorePoint(); loadSnapshots(); }}>{tr("Save Now")}</Button>
+          </div>
+          <div className="grid gap-2">
+            {snapshots.length === 0 && <div className="text-sm text-gray-500">{tr("No restore points yet.")}</div>}
+            {snapshots.map(sn => (
+              <div key={sn.id} className="flex items-center gap-2 border rounded-xl p-2 text-sm">
+                <div className="flex-1">
+                  <div className="font-medium">{sn.reason}{sn.auto && <Pill className="ml-2 bg-gray-100">{tr("Automatic")}</Pill>}</div>
+                  <div className="text-xs text-gray-500">{fmtDate(sn.at)} • {tr("{n} enquiries", { n: sn.data.enquiries.length })} • {tr("{n} customers", { n: sn.data.customers?.length || 0 })}</div>
+                </div>
+                <Button className="border-gray-300" onClick={async ()=>{ await restoreSnapshot(sn); loadSnapshots(); }}>{tr("Roll back")}</Button>
+                <button className="text-red-500" onClick={async ()=>{ await removeSnapshot(sn); loadSnapshots(); }}>×</button>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {can("clearData") && (
+        <Card className="p-4">
+          <div className="font-semibold mb-2">{tr("Reset")}</div>
+          <div className="flex items-center gap-2">
+            <Button className="border-red-300 text-red-600" onClick={clearData}>{tr("Clear Local Data")}</Button>
+            <div className="text-xs text-gray-500">{tr("This only affects this device/browser.")}</div>
+          </div>
+        </Card>
+      )}
     </div>
   );
 }
 
+// Shop details and formats apply to every user; each user picks their own language in the top bar
+function ShopProfileCard({ shop, onChange }:{ shop: ShopProfile; onChange: (p: Partial<ShopProfile>)=>void; }){
+  // Drafts, so a half-typed code or zone isn't saved (and used for formatting) until it's valid
+  const [currency, setCurrency] = useState(shop.currency);
+  const [timeZone, setTimeZone] = useState(shop.timeZone);
+  const zones: string[] = (Intl as any).supportedValuesOf?.("timeZone") || [];
+  const pickLogo = async (file: File) => {
+    try { onChange({ logo: await logoDataUrl(file) }); }
+    catch { alert(tr("Couldn't read that image.")); }
+  };
+
+  return (
+    <Card className="p-4">
+      <div className="font-semibold mb-2">{tr("Shop Profile")}</div>
+      <div className="grid sm:grid-cols-3 gap-2 text-sm">
+        <Input placeholder={tr("Shop name")} value={shop.name} onChange={(e:any)=>onChange({ name: e.target.value })} />
+        <Input placeholder={tr("Phone")} value={shop.phone} onChange={(e:any)=>onChange({ phone: e.target.value })} />
+        <Input placeholder={tr("Tax ID (e.g. GSTIN)")} value={shop.taxId} onChange={(e:any)=>onChange({ taxId: e.target.value })} />
+        <TextArea placeholder={tr("Address")} value={shop.address} onChange={(e:any)=>onChange({ address: e.target.value })} className="sm:col-span-3" />
+        <label className="grid gap-1 text-xs text-gray-600">{tr("Currency")}
+          <Input list="shop-currencies" value={currency} onChange={(e:any)=>{ const v = e.target.value.trim().toUpperCase(); setCurrency(v); if (validCurrency(v)) onChange({ currency: v }); }} className={validCurrency(currency) ? "" : "border-red-400"} />
+        </label>
+        <label className="grid gap-1 text-xs text-gray-600">{tr("Time zone")}
+          <Input list="shop-time-zones" placeholder={tr("This device ({zone})", { zone: Intl.DateTimeFormat().resolvedOptions().timeZone })} value={timeZone} onChange={(e:any)=>{ const v = e.target.value.trim(); setTimeZone(v); if (validTimeZone(v)) onChange({ timeZone: v }); }} className={validTimeZone(timeZone) ? "" : "border-red-400"} />
+        </label>
+        <label className="grid gap-1 text-xs text-gray-600">{tr("Date format")}
+          <Select value={shop.dateFormat} onChange={(e:any)=>onChange({ dateFormat: e.target.value })}>
+            {DATE_FORMATS.map(f => <option key={f} value={f}>{f}</option>)}
+          </Select>
+        </label>
+        <label className="grid gap-1 text-xs text-gray-600">{tr("Default language")}
+          <Select value={shop.language} onChange={(e:any)=>onChange({ language: e.target.value })}>
+            {(Object.keys(LANGUAGES) as Language[]).map(l => <option key={l} value={l}>{LANGUAGES[l]}</option>)}
+          </Select>
+        </label>
+        <div className="flex items-center gap-2 sm:col-span-2">
+          {shop.logo && <img src={shop.logo} alt="Logo" className="h-10 w-10 object-contain border rounded-lg" />}
+          <label className="border px-4 py-2 rounded-2xl text-sm shadow-sm cursor-pointer">
+            {tr(shop.logo ? "Change logo" : "Add logo")}<input type="file" accept="image/*" className="hidden" onChange={(e)=>{ if(e.target.files?.[0]) pickLogo(e.target.files[0]); e.target.value = ""; }}/>
+          </label>
+          {shop.logo && <button className="text-red-500 text-xs" onClick={()=>onChange({ logo: undefined })}>{tr("Remove")}</button>}
+        </div>
+        <datalist id="shop-currencies">{CURRENCIES.map(c => <option key={c} value={c} />)}</datalist>
+        <datalist id="shop-time-zones">{zones.map(z => <option key={z} value={z} />)}</datalist>
+      </div>
+      <div className="mt-2 text-xs text-gray-500">
+        {tr("Shown as {date} and {amount} on screen, documents, WhatsApp messages and tracking pages. Date pickers, the calendar and reports use the shop's time zone too.", { date: fmtDate(todayISO()), amount: fmtMoney(123456.5) })}
+      </div>
+    </Card>
+  );
+}
+
+function CategoriesCard({ categories, enquiries, editable, onAdd, onUpdate, onRename, onMerge, onRemove }:{ categories: Category[]; enquiries: Enquiry[]; editable: boolean; onAdd: (name: string)=>void; onUpdate: (c: Category)=>void; onRename: (id: string, name: string)=>void; onMerge: (fromId: string, intoId: string)=>void; onRemove: (id: string)=>void; }){
+  const [name, setName] = useState("");
+  const [openId, setOpenId] = useState<string>();
+  const [renaming, setRenaming] = useState<{ id: string; name: string }>();
+  const used = (c: Category) => enquiries.filter(e => e.category === c.name).length;
+  // e.g. synced from another device, or removed before removal checked for use
+  const unlisted = uniq(enquiries.map(e => e.category)).filter(n => n && !findCategory(categories, n));
+
+  const add = () => {
+    const n = name.trim();
+    if (!n) return;
+    if (findCategory(categories, n)) return alert(tr("There's already a category called {name}.", { name: n }));
+    onAdd(n);
+    setName("");
+  };
+  const rename = () => {
+    if (!renaming) return;
+    const n = renaming.name.trim(), other = findCategory(categories.filter(c => c.id !== renaming.id), n);
+    if (other) return alert(tr("There's already a category called {name}. Use \"Merge into\" to combine them.", { name: other.name }));
+    const c = categories.find(c => c.id === renaming.id)!;
+    if (n && n !== c.name && used(c) && !confirm(tr("Rename {from} to {to}? {n} enquiries will be updated.", { from: c.name, to: n, n: used(c) }))) return;
+    if (n) onRename(renaming.id, n);
+    setRenaming(undefined);
+  };
+  const merge = (from: Category, intoId: string) => {
+    const into = categories.find(c => c.id === intoId);
+    if (!into || !confirm(tr("Merge {from} into {into}? Its {n} enquiries move to {into}, and details {into} has no field for are added to their notes.", { from: from.name, into: into.name, n: used(from) }))) return;
+    onMerge(from.id, into.id);
+  };
+  const remove = (c: Category) => {
+    const n = used(c);
+    if (n) return alert(tr("{n} enquiries are in {name}. Merge it into another category instead.", { n, name: c.name }));
+    if (confirm(tr("Delete category {name}?", { name: c.name }))) onRemove(c.id);
+  };
+  const setFields = (c: Category, fields: CustomField[]) => onUpdate({...c, fields});
+  const updateField = (c: Category, id: string, patch: Partial<CustomField>) => setFields(c, c.fields.map(f => f.id === id ? {...f, ...patch} : f));
+  const moveField = (c: Category, i: number, d: number) => {
+    const list = c.fields.slice();
+    [list[i], list[i + d]] = [list[i + d], list[i]];
+    setFields(c, list);
+  };
+
+  return (
+    <Card className="p-4">
+      <div className="font-semibold mb-2">{tr("Categories")}</div>
+      <div className="text-xs text-gray-500 mb-2">{tr("Custom fields are asked for on enquiries in that category. Renaming or merging updates every enquiry, price item and status filed under it.")}</div>
+      <div className="grid gap-2">
+        {categories.map(c => (
+          <div key={c.id} className="border rounded-xl p-2 text-sm grid gap-2">
+            <div className="flex flex-wrap items-center gap-2">
+              {renaming?.id === c.id ? (
+                <>
+                  <Input className="w-auto" value={renaming.name} onChange={(e:any)=>setRenaming({...renaming, name: e.target.value})} />
+                  <Button className="border-gray-900 bg-gray-900 text-white" onClick={rename}>{tr("Save")}</Button>
+                  <Button className="border-gray-300" onClick={()=>setRenaming(undefined)}>{tr("Cancel")}</Button>
+                </>
+              ) : <span className="font-medium">{c.name}</span>}
+              <span className="text-xs text-gray-500 flex-1 truncate">
+                {tr("{n} enquiries", { n: used(c) })}{c.fields.length ? ` • ${c.fields.map(f => f.label).join(", ")}` : ""}
+              </span>
+              {editable && renaming?.id !== c.id && <Button className="border-gray-300" onClick={()=>setRenaming({ id: c.id, name: c.name })}>{tr("Rename")}</Button>}
+              {editable && <Button className="border-gray-300" onClick={()=>setOpenId(openId === c.id ? undefined : c.id)}>{tr(openId === c.id ? "Done" : "Fields")}</Button>}
+              {editable && categories.length > 1 && (
+                <Select value="" className="w-auto text-xs" onChange={(e:any)=>merge(c, e.target.value)}>
+                  <option value="">{tr("Merge into…")}</option>
+                  {categories.filter(x => x.id !== c.id).map(x => <option key={x.id} value={x.id}>{x.name}</option>)}
+                </Select>
+              )}
+              {editable && <Button className="border-red-300 text-red-600" onClick={()=>remove(c)}>{tr("Delete")}</Button>}
+            </div>
+            {editable && openId === c.id && (
+              <div className="grid gap-2 text-xs">
+                {c.fields.map((f, i) => (
+                  <div key={f.id} className="grid grid-cols-2 sm:grid-cols-6 gap-2 items-center">
+                    <Input value={f.label} onChange={(e:any)=>updateField(c, f.id, { label: e.target.value })} className="sm:col-span-2" />
+                    <Select value={f.type} onChange={(e:any)=>updateField(c, f.id, { type: e.target.value })}>
+                      {(Object.keys(CUSTOM_FIELD_TYPES) as CustomFieldType[]).map(t => <option key={t} value={t}>{tr(CUSTOM_FIELD_TYPES[t])}</option>)}
+                    </Select>
+                    {f.type === "select" || f.type === "quantities" ? (
+                      <Input placeholder={tr(f.type === "select" ? "Choices: Flex, Vinyl" : "Rows: S, M, L")} value={(f.options || []).join(",")} onChange={(e:any)=>updateField(c, f.id, { options: e.target.value.split(",") })} className="sm:col-span-2" />
+                    ) : f.type === "number" ? (
+                      <Input placeholder={tr("Unit (e.g., ft)")} value={f.unit || ""} onChange={(e:any)=>updateField(c, f.id, { unit: e.target.value || undefined })} className="sm:col-span-2" />
+                    ) : <div className="sm:col-span-2" />}
+                    <div className="flex items-center gap-1">
+                      <button className="px-1" disabled={i === 0} onClick={()=>moveField(c, i, -1)}>↑</button>
+                      <button className="px-1" disabled={i === c.fields.length - 1} onClick={()=>moveField(c, i, 1)}>↓</button>
+                      <button className="px-1 text-red-500" onClick={()=>{ if(confirm(tr("Remove the field {name}? Values already entered are no longer shown.", { name: f.label }))) setFields(c, c.fields.filter(x => x.id !== f.id)); }}>×</button>
+                    </div>
+                  </div>
+                ))}
+                <div><Button className="border-gray-300" onClick={()=>setFields(c, [...c.fields, { id: crypto.randomUUID(), label: tr("New field"), type: "text" }])}>{tr("+ Add field")}</Button></div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {unlisted.length > 0 && (
+        <div className="text-xs text-gray-600 mt-2 flex flex-wrap items-center gap-2">
+          {tr("In use but not listed:")}
+          {unlisted.map(n => editable ? <button key={n} className="underline" onClick={()=>onAdd(n)}>{tr("{name} (add)", { name: n })}</button> : <span key={n}>{n}</span>)}
+        </div>
+      )}
+      {editable && (
+        <div className="flex gap-2 mt-2">
+          <Input placeholder={tr("Add category (e.g., Sticker Fixing)")} value={name} onChange={(e:any)=>setName(e.target.value)} />
+          <Button className="border-gray-300" onClick={add}>{tr("Add")}</Button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function WorkflowCard({ statuses, categories, enquiries, editable, onChange }:{ statuses: StatusDef[]; categories: string[]; enquiries: Enquiry[]; editable: boolean; onChange: (list: StatusDef[])=>void; }){
+  const [name, setName] = useState("");
+  const [openId, setOpenId] = useState<string>();
+  const update = (id: string, patch: Partial<StatusDef>) => onChange(statuses.map(s => s.id === id ? {...s, ...patch} : s));
+  const move = (i: number, d: number) => {
+    const list = statuses.slice();
+    [list[i], list[i + d]] = [list[i + d], list[i]];
+    onChange(list);
+  };
+  const add = () => {
+    const n = name.trim();
+    if (!n) return;
+    if (statuses.some(s => s.id.toLowerCase() === n.toLowerCase() || s.name.toLowerCase() === n.toLowerCase())) return alert(tr("There's already a status called {name}.", { name: n }));
+    onChange([...statuses, { id: n, name: n, color: "blue", kind: "open" }]);
+    setName("");
+  };
+  const remove = (st: StatusDef) => {
+    const used = enquiries.filter(e => e.status === st.id).length;
+    if (used) return alert(tr("{n} enquiries are {status}. Move them to another status first.", { n: used, status: statusLabel(st) }));
+    if (statuses.length === 1) return alert(tr("Keep at least one status."));
+    if (!confirm(tr("Delete status {status}?", { status: statusLabel(st) }))) return;
+    onChange(statuses.filter(s => s.id !== st.id).map(s => s.next ? {...s, next: s.next.filter(x => x !== st.id)} : s));
+  };
+  const toggle = (list: string[] | undefined, v: string) => (list || []).includes(v) ? (list || []).filter(x => x !== v) : [...(list || []), v];
+
+  return (
+    <Card className="p-4">
+      <div className="font-semibold mb-2">{tr("Statuses & Workflow")}</div>
+      <div className="text-xs text-gray-500 mb-2">{tr("In workflow order. Completed and cancelled statuses end a job: it drops off Due Today and reminders, and cancelled jobs owe nothing.")}</div>
+      <div className="grid gap-2">
+        {statuses.map((st, i) => (
+          <div key={st.id} className="border rounded-xl p-2 text-sm grid gap-2">
+            <div className="flex items-center gap-2">
+              <Pill className={STATUS_COLORS[st.color]}>{statusLabel(st)}</Pill>
+              <span className="text-xs text-gray-500 flex-1 truncate">
+                {st.kind !== "open" ? tr(titleCase(st.kind)) : st.next ? `→ ${st.next.map(id => statusLabel(statusDef(statuses, id))).join(", ") || tr("nowhere")}` : `→ ${tr("any")}`}
+                {st.categories?.length ? ` • ${tr("{list} only", { list: st.categories.join(", ") })}` : ""}
+              </span>
+              {editable && <button className="px-1" disabled={i === 0} onClick={()=>move(i, -1)}>↑</button>}
+              {editable && <button className="px-1" disabled={i === statuses.length - 1} onClick={()=>move(i, 1)}>↓</button>}
+              {editable && <Button className="border-gray-300" onClick={()=>setOpenId(openId === st.id ? undefined : st.id)}>{tr(openId === st.id ? "Done" : "Edit")}</Button>}
+              {editable && <Button className="border-red-300 text-red-600" onClick={()=>remove(st)}>{tr("Delete")}</Button>}
+            </div>
+            {editable && openId === st.id && (
+              <div className="grid gap-2 text-xs">
+                <div className="grid sm:grid-cols-3 gap-2">
+                  <Input value={st.name} onChange={(e:any)=>update(st.id, { name: e.target.value })} />
+                  <Select value={st.color} onChange={(e:any)=>update(st.id, { color: e.target.value })}>
+                    {(Object.keys(STATUS_COLORS) as StatusColor[]).map(c => <option key={c} value={c}>{tr(titleCase(c))}</option>)}
+                  </Select>
+                  <Select value={st.kind} onChange={(e:any)=>update(st.id, { kind: e.target.value })}>
+                    <option value="open">{tr("Open")}</option>
+                    <option value="completed">{tr("Completed (ends the job)")}</option>
+                    <option value="cancelled">{tr("Cancelled (ends the job, nothing owed)")}</option>
+                  </Select>
+                </div>
+                <div>
+                  <div className="text-gray-500 mb-1">{tr("Used for categories (none ticked = all)")}</div>
+                  <div className="flex flex-wrap gap-2">
+                    {categories.map(c => (
+                      <label key={c} className="flex items-center gap-1 border rounded-full px-2 py-1">
+                        <input type="checkbox" checked={!!st.categories?.includes(c)} onChange={()=>update(st.id, { categories: toggle(st.categories, c) })} />{c}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="flex items-center gap-1 text-gray-500 mb-1">
+                    <input type="checkbox" checked={!!st.next} onChange={(e)=>update(st.id, { next: e.target.checked ? [] : undefined })} />
+                    {tr("Only allow moving to:")}
+                  </label>
+                  {st.next && (
+                    <div className="flex flex-wrap gap-2">
+                      {statuses.filter(x => x.id !== st.id).map(x => (
+                        <label key={x.id} className="flex items-center gap-1 border rounded-full px-2 py-1">
+                          <input type="checkbox" checked={st.next!.includes(x.id)} onChange={()=>update(st.id, { next: toggle(st.next, x.id) })} />{statusLabel(x)}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {editable && (
+        <div className="flex gap-2 mt-2">
+          <Input placeholder={tr("Add status (e.g., Lamination)")} value={name} onChange={(e:any)=>setName(e.target.value)} />
+          <Button className="border-gray-300" onClick={add}>{tr("Add")}</Button>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function RemindersCard({ settings, sync, onChange }:{ settings: NotifySettings; sync: SyncSettings; onChange: (p: Partial<NotifySettings>)=>void; }){
+  const supported = typeof Notification !== "undefined";
+  // Pushed by the sync server once it has synced with this device, see "Reminders"
+  const pushed = PUSH_REMINDERS && sync.enabled && !!sync.endpoint && !!sync.pushKey;
+  const [permission, setPermission] = useState(supported ? Notification.permission : "denied");
+  const enable = async (on: boolean) => {
+    if (on && supported && Notification.permission === "default") setPermission(await Notification.requestPermission());
+    onChange({ enabled: on });
+  };
+  return (
+    <Card className="p-4">
+      <div className="font-semibold mb-2">{tr("My Reminders")}</div>
+      <div className="text-xs text-gray-500 mb-2">
+        {tr(pushed || SCHEDULED_REMINDERS ? "Notifications on this device, also when the app is closed." : PUSH_REMINDERS
+          ? "Notifications on this device while PRINTMAX is open (a background tab is enough). Turn on automatic sync with a sync server to get them when the app is closed too."
+          : "Notifications on this device while PRINTMAX is open (a background tab is enough). This browser can't show them once the app is closed.")} {tr("Each user sets their own.")}
+      </div>
+      <div className="grid sm:grid-cols-2 gap-2 text-sm">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={settings.enabled} onChange={(e)=>enable(e.target.checked)} disabled={!supported} />
+          {tr("Send me reminders")}
+        </label>
+        <label className="grid gap-1">{tr("Enquiries")}
+          <Select value={settings.scope} onChange={(e:any)=>onChange({ scope: e.target.value })}>
+            <option value="mine">{tr("Assigned to me")}</option>
+            <option value="mineAndUnassigned">{tr("Assigned to me or nobody")}</option>
+            <option value="all">{tr("All enquiries")}</option>
+          </Select>
+        </label>
+        <label className="grid gap-1">{tr("Due date reminder")}
+          <Select value={String(settings.dueLeadMinutes)} onChange={(e:any)=>onChange({ dueLeadMinutes: Number(e.target.value) })}>
+            {DUE_LEAD_OPTIONS.map(([m, label]) => <option key={m} value={m}>{tr(label)}</option>)}
+          </Select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={settings.followUps} onChange={(e)=>onChange({ followUps: e.target.checked })} />
+          {tr("Follow-up reminders")}
+        </label>
+      </div>
+      {!supported && <div className="text-xs text-red-600 mt-2">{tr("This browser doesn't support notifications.")}</div>}
+      {supported && settings.enabled && permission === "denied" && <div className="text-xs text-red-600 mt-2">{tr("Notifications are blocked for this site. Allow them in the browser's site settings.")}</div>}
+    </Card>
+  );
+}
+
+function TemplatesCard({ templates, statuses, editable, onSave, onRemove }:{ templates: MessageTemplate[]; statuses: StatusDef[]; editable: boolean; onSave: (t: MessageTemplate)=>void; onRemove: (id: string)=>void; }){
+  const [edit, setEdit] = useState<MessageTemplate>();
+  // Sample enquiry so admins can see placeholders filled in while editing
+  const sample: Enquiry = { id: "sample", title: "Flex banner 6×3 ft", category: "Signage", customerName: "Anitha", channel: "WhatsApp", status: "In Progress", createdAt: todayISO(), dueAt: todayISO(),
+    items: [{ id: "l", description: "Flex", unit: "sqft", qty: 1, width: 6, height: 3, rate: 18, discount: 0, tax: 0 }], payments: [{ id: "p", amount: 200, at: todayISO(), method: "Cash" }] };
+  return (
+    <Card className="p-4">
+      <div className="font-semibold mb-2">{tr("WhatsApp Templates")}</div>
+      <div className="text-xs text-gray-500 mb-2">{tr("Placeholders:")} {Object.keys(TEMPLATE_PLACEHOLDERS).map(k => `{${k}}`).join(" ")}</div>
+      <div className="grid gap-2">
+        {templates.map(t => (
+          <div key={t.id} className="border rounded-xl p-2 text-sm flex items-start gap-2">
+            <div className="flex-1 min-w-0">
+              <div className="font-medium">{t.name}</div>
+              <div className="text-xs text-gray-500 whitespace-pre-wrap">{t.body}</div>
+            </div>
+            {editable && <Button className="border-gray-300" onClick={()=>setEdit(t)}>{tr("Edit")}</Button>}
+            {editable && t.id !== "followup" && t.id !== "update" && <Button className="border-red-300 text-red-600" onClick={()=>{ if(confirm(tr("Delete template \"{name}\"?", { name: t.name }))) onRemove(t.id); }}>{tr("Delete")}</Button>}
+          </div>
+        ))}
+      </div>
+      {editable && !edit && <Button className="border-gray-300 mt-2" onClick={()=>setEdit({ id: crypto.randomUUID(), name: "", body: "Hi {name}, " })}>{tr("+ Template")}</Button>}
+      {edit && (
+        <div className="mt-3 grid gap-2 border rounded-xl p-2">
+          <Input placeholder={tr("Template name (e.g., Job ready for pickup)")} value={edit.name} onChange={(e:any)=>setEdit({...edit, name: e.target.value})} />
+          <TextArea value={edit.body} onChange={(e:any)=>setEdit({...edit, body: e.target.value})} />
+          <div className="text-xs bg-green-50 rounded-xl p-2 whitespace-pre-wrap">{fillTemplate(edit.body, sample, statuses)}</div>
+          <div className="flex gap-2">
+            <Button className="border-gray-900 bg-gray-900 text-white" disabled={!edit.name.trim() || !edit.body.trim()} onClick={()=>{ onSave({...edit, name: edit.name.trim()}); setEdit(undefined); }}>{tr("Save")}</Button>
+            <Button className="border-gray-300" onClick={()=>setEdit(undefined)}>{tr("Cancel")}</Button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
 // ----------------------- Utils -----------------------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(data: Uint8Array) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Uncompressed ("stored") zip archive, enough for .xlsx parts and backups
+function zipFiles(files: { name: string; data: Uint8Array }[], type = "application/zip"): Blob {
+  const enc = new TextEncoder();
+  const parts: Uint8Array[] = [], central: Uint8Array[] = [];
+  let offset = 0;
+  files.forEach(f => {
+    const name = enc.encode(f.name), crc = crc32(f.data), size = f.data.length;
+    const local = new DataView(new ArrayBuffer(30));
+    [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [14, crc, 4], [18, size, 4], [22, size, 4], [26, name.length, 2]]
+      .forEach(([at, v, len]) => len === 4 ? local.setUint32(at, v, true) : local.setUint16(at, v, true));
+    const dir = new DataView(new ArrayBuffer(46));
+    [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [16, crc, 4], [20, size, 4], [24, size, 4], [28, name.length, 2], [42, offset, 4]]
+      .forEach(([at, v, len]) => len === 4 ? dir.setUint32(at, v, true) : dir.setUint16(at, v, true));
+    parts.push(new Uint8Array(local.buffer), name, f.data);
+    central.push(new Uint8Array(dir.buffer), name);
+    offset += 30 + name.length + size;
+  });
+  const dirSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  [[0, 0x06054b50, 4], [8, files.length, 2], [10, files.length, 2], [12, dirSize, 4], [16, offset, 4]]
+    .forEach(([at, v, len]) => len === 4 ? end.setUint32(at, v, true) : end.setUint16(at, v, true));
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)] as BlobPart[], { type });
+}
+
+// Reads zips from zipFiles, and deflated ones from other tools where the browser can inflate them
+async function unzipFiles(buf: ArrayBuffer): Promise<Map<string, Uint8Array>> {
+  const view = new DataView(buf), bytes = new Uint8Array(buf), dec = new TextDecoder();
+  let end = -1;
+  for (let i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 22 - 0xFFFF); i--) if (view.getUint32(i, true) === 0x06054b50) { end = i; break; }
+  if (end < 0) throw new Error("not a zip file");
+  const out = new Map<string, Uint8Array>();
+  let p = view.getUint32(end + 16, true);
+  for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("the zip file is damaged");
+    const method = view.getUint16(p + 10, true), size = view.getUint32(p + 20, true), nameLen = view.getUint16(p + 28, true);
+    const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    const local = view.getUint32(p + 42, true);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    if (method === 0) out.set(name, data);
+    else if (method === 8 && typeof DecompressionStream !== "undefined") out.set(name, new Uint8Array(await new Response(new Blob([data as BlobPart]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).arrayBuffer()));
+    else throw new Error(`${name} uses a compression this browser can't read`);
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return out;
+}
+
 function upsertById<T extends { id: string }>(arr: T[], item: T): T[] {
   const i = arr.findIndex(x => x.id === item.id);
   if (i === -1) return [item, ...arr];
@@ -615,15 +5348,17 @@ function titleCase(s: string){
 }
 
 function toLocalDT(iso?: string){
-  if(!iso) return "";
-  const d = new Date(iso);
-  const pad = (n:number)=>String(n).padStart(2,'0');
-  const y=d.getFullYear(); const m=pad(d.getMonth()+1); const day=pad(d.getDate());
-  const hh=pad(d.getHours()); const mm=pad(d.getMinutes());
-  return `${y}-${m}-${day}T${hh}:${mm}`;
+  if(!iso || isNaN(Date.parse(iso))) return "";
+  const p = dateParts(iso);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
 }
 function fromLocalDT(local: string){
   if(!local) return undefined;
-  const d = new Date(local);
-  return d.toISOString();
+  const [y, m, d, hh = 0, mm = 0] = local.split(/\D/).map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  // Take off the shop's UTC offset at that moment, twice in case it crosses a DST change
+  const offset = (t: number) => Date.parse(toLocalDT(new Date(t).toISOString()) + "Z") - t;
+  let t = wall - offset(wall);
+  t = wall - offset(t);
+  return new Date(t).toISOString();
 }
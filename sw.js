@@ -0,0 +1,103 @@
+// PRINTMAX service worker
+// App shell: the page and its manifest are precached; everything else the app
+// loads (bundle, styles, fonts) is cached as it's fetched, or when the page
+// sends the list after the first visit. Pages are network-first so a deploy
+// shows up on the next launch; assets are served from the cache and refreshed
+// in the background. Bump VERSION on every deploy: the app then offers an
+// update banner, and the old caches are dropped once the user reloads.
+//
+// Reminder notifications are shown through this worker so they can carry
+// Snooze/Dismiss buttons. Tapped actions are posted back to the open app,
+// which keeps the reminder state; with no window open, the app is started
+// with the action in the URL (?reminder=<key>&action=<action>).
+// A sync server can also push reminders (see sync-server.js), so they show
+// while the app is closed; each one shown is noted in the PUSHED cache, which
+// the app reads so it doesn't show the same reminder again.
+
+const VERSION = "1";
+const CACHE = `printmax-${VERSION}`;
+const PRECACHE = ["./", "manifest.webmanifest", "icon.svg"];
+const PUSHED = "reminders-pushed"; // not a "printmax-" cache, so updates keep it
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(c => c.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith("printmax-") && k !== CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", event => {
+  const msg = event.data || {};
+  if (msg.type === "skipWaiting") self.skipWaiting();
+  if (msg.type === "cache") {
+    event.waitUntil(caches.open(CACHE).then(c => Promise.all(msg.urls.map(async url => {
+      if (await c.match(url)) return;
+      const res = await fetch(url, { mode: new URL(url).origin === self.location.origin ? "same-origin" : "no-cors" }).catch(() => undefined);
+      if (res && (res.ok || res.type === "opaque")) await c.put(url, res);
+    }))));
+  }
+});
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  if (req.mode === "navigate") {
+    event.respondWith((async () => {
+      try {
+        const res = await fetch(req);
+        if (res.ok) (await caches.open(CACHE)).put(req.url.split(/[?#]/)[0], res.clone());
+        return res;
+      } catch {
+        // Shortcut and reminder launches carry a query string; they share the one page
+        return (await caches.match(req.url.split(/[?#]/)[0])) || (await caches.match("./")) || Response.error();
+      }
+    })());
+    return;
+  }
+  // Only app assets; API calls (e.g. the sync server) go straight to the network
+  if (!["script", "style", "font", "image", "manifest"].includes(req.destination)) return;
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(req);
+    const fresh = fetch(req).then(res => {
+      if (res.ok || res.type === "opaque") cache.put(req, res.clone());
+      return res;
+    });
+    if (cached) {
+      event.waitUntil(fresh.catch(() => undefined));
+      return cached;
+    }
+    return fresh;
+  })());
+});
+
+self.addEventListener("push", event => {
+  const msg = event.data ? event.data.json() : {};
+  if (!msg.title) return;
+  event.waitUntil((async () => {
+    await self.registration.showNotification(msg.title, msg.options);
+    const tag = msg.options && msg.options.tag;
+    if (tag) await (await caches.open(PUSHED)).put(`./pushed?key=${encodeURIComponent(tag)}`, new Response(String(msg.at)));
+  })());
+});
+
+self.addEventListener("notificationclick", event => {
+  const { key } = event.notification.data || {};
+  const action = event.action || "open";
+  event.notification.close();
+  if (!key) return;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (windows.length) {
+      windows.forEach(w => w.postMessage({ type: "reminder", key, action }));
+      if (action === "open") await windows[0].focus();
+      return;
+    }
+    await self.clients.openWindow(`./?reminder=${encodeURIComponent(key)}&action=${action}`);
+  })());
+});
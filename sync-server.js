@@ -0,0 +1,320 @@
+// PRINTMAX reference sync server – no dependencies, Node 18+.
+// Usage: SYNC_TOKEN=secret PORT=8787 node sync-server.js
+// Without SYNC_TOKEN anyone who can reach it reads and writes every enquiry, so
+// it then only listens on 127.0.0.1 and refuses any other HOST.
+// Enquiries are kept in one JSON file (SYNC_DATA, default ./printmax-sync.json)
+// together with the server revision at which each field last changed.
+//
+// POST /sync { deviceId, since, changes: Enquiry[], tracking? }
+//   merges `changes` field by field (latest fieldTimes stamp wins) and replies
+//   { cursor, changes: every enquiry with rev > since, conflicts }.
+//   `tracking` holds customer status page summaries, stored as sent.
+//   `shared` holds the users, categories and statuses lists, each { at, value };
+//   the latest `at` is kept and the reply carries those changed since `since`.
+//   `push` is { subscription, reminders } from a device that wants its reminders
+//   pushed while the app is closed, or null to stop; the reply carries `pushKey`,
+//   the server's Web Push public key that devices subscribe with.
+// GET /health replies { ok: true, rev }.
+// GET /t/<code>.html (or .json) is public: the customer's status page for one
+//   order. It only ever shows the summary the app sent for that code.
+
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || "";
+const HOST = process.env.HOST || (TOKEN ? undefined : "127.0.0.1"); // undefined = every interface
+const LOOPBACK = ["127.0.0.1", "::1", "localhost"];
+const DATA = process.env.SYNC_DATA || "printmax-sync.json";
+const MAX_BODY = 20 * 1024 * 1024;
+const PUSH_CONTACT = process.env.PUSH_CONTACT || "mailto:admin@example.com"; // given to push services with each message
+
+// Device-side bookkeeping that is not merged as data; keep in step with the app
+const SYNC_META_FIELDS = ["history", "fieldTimes", "rev", "syncedAt", "syncPending", "customerId"];
+
+// db.records[id] = { record, fieldRevs: { [field]: rev } }; db.tracking[code] = summary;
+// db.shared[key] = { at, value, rev }; db.push[deviceId] = { subscription, reminders, sent: { [key]: at } };
+// db.vapid = the Web Push key pair, made on first start
+let db = { rev: 0, records: {}, tracking: {}, shared: {}, push: {} };
+if (fs.existsSync(DATA)) db = { tracking: {}, shared: {}, push: {}, ...JSON.parse(fs.readFileSync(DATA, "utf8")) };
+
+function save() {
+  fs.writeFileSync(DATA + ".tmp", JSON.stringify(db));
+  fs.renameSync(DATA + ".tmp", DATA);
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const show = (v) => v === undefined ? undefined : typeof v === "string" ? v : JSON.stringify(v).slice(0, 80);
+
+// Same rule as mergeEnquiry in the app. A field is in conflict when the device
+// changed it after its last sync and another device changed it after the
+// revision this device last pulled; the later stamp still wins.
+function merge(stored, incoming, now) {
+  const cur = stored ? stored.record : {};
+  const fieldRevs = { ...(stored && stored.fieldRevs) };
+  const out = { ...cur };
+  const ct = cur.fieldTimes || {}, it = incoming.fieldTimes || {};
+  const fieldTimes = { ...ct };
+  const changed = [], conflicts = [];
+  const fields = Object.keys({ ...cur, ...incoming }).filter(k => !SYNC_META_FIELDS.includes(k));
+  for (const k of fields) {
+    if (same(cur[k], incoming[k])) continue;
+    const incomingWins = (it[k] || 0) >= (ct[k] || 0);
+    const editedHere = (it[k] || 0) > (incoming.syncedAt || 0);
+    const editedElsewhere = !!stored && (fieldRevs[k] || 0) > (incoming.rev || 0);
+    if (editedHere && editedElsewhere) {
+      conflicts.push({
+        enquiryId: incoming.id, title: incoming.title || cur.title || "", field: k, at: now,
+        kept: show(incomingWins ? incoming[k] : cur[k]), discarded: show(incomingWins ? cur[k] : incoming[k]),
+      });
+    }
+    if (incomingWins) { out[k] = incoming[k]; fieldTimes[k] = it[k] || 0; changed.push(k); }
+  }
+  const history = new Map();
+  for (const h of [...(cur.history || []), ...(incoming.history || [])]) history.set(h.id, h);
+  const historyGrew = history.size !== (cur.history || []).length;
+  if (!stored || changed.length || historyGrew) {
+    const rev = ++db.rev;
+    changed.forEach(k => { fieldRevs[k] = rev; });
+    out.history = Array.from(history.values()).sort((a, b) => a.at.localeCompare(b.at));
+    out.fieldTimes = fieldTimes;
+    out.rev = rev;
+    delete out.syncedAt; delete out.syncPending;
+    return { entry: { record: out, fieldRevs }, conflicts };
+  }
+  return { entry: stored, conflicts };
+}
+
+// Shared lists: the one changed last wins, as in the app. PINs never reach the server.
+const SHARED_KEYS = ["users", "categories", "statuses"];
+
+function updateShared(shared) {
+  for (const k of SHARED_KEYS) {
+    const s = shared && shared[k];
+    if (!s || !Array.isArray(s.value) || typeof s.at !== "number") continue;
+    if (db.shared[k] && s.at <= db.shared[k].at) continue;
+    const value = k === "users" ? s.value.map(({ pinHash, pinSalt, ...u }) => u) : s.value;
+    db.shared[k] = { at: s.at, value, rev: ++db.rev };
+  }
+}
+
+// Customer status pages, see "Tracking" in the app
+const TRACKING_CODE = /^[2-9A-HJ-NP-Z]{10}$/;
+const TRACKING_TEXT = ["shop", "title", "status", "due", "total", "balance", "contact", "updated"];
+const STAGES = ["open", "completed", "cancelled"];
+
+// Only the whitelisted summary fields are kept, whatever a device sends
+function updateTracking(list) {
+  for (const t of Array.isArray(list) ? list : []) {
+    if (!t || !TRACKING_CODE.test(t.code)) continue;
+    if (t.removed) { delete db.tracking[t.code]; continue; }
+    const out = { code: t.code, stage: STAGES.includes(t.stage) ? t.stage : "open" };
+    for (const k of TRACKING_TEXT) if (typeof t[k] === "string") out[k] = t[k].slice(0, 200);
+    db.tracking[t.code] = out;
+  }
+}
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Same page as trackingPageHTML in the app; keep in step
+function trackingPageHTML(t) {
+  const head = (title) => `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>${esc(title)}</title>
+<style>
+body { font: 15px/1.5 system-ui, sans-serif; color: #111; background: #f3f4f6; margin: 0; padding: 16px; }
+main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 16px; padding: 20px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+h1 { font-size: 14px; letter-spacing: .1em; margin: 0 0 12px; } h2 { font-size: 18px; margin: 0 0 8px; }
+.status { display: inline-block; border-radius: 999px; padding: 4px 12px; font-weight: 600; background: #fef3c7; }
+.completed { background: #dcfce7; } .cancelled { background: #e5e7eb; }
+dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 16px 0; } dt { color: #6b7280; } dd { margin: 0; }
+.muted { color: #6b7280; font-size: 13px; }
+</style></head><body><main>`;
+  if (!t) return `${head("Order not found")}<h2>No order found</h2><p class="muted">Please check the link, or contact the shop.</p></main></body></html>`;
+  const row = (label, v) => v ? `<dt>${label}</dt><dd>${esc(v)}</dd>` : "";
+  return `${head(`${t.shop} – Order ${t.code}`)}<h1>${esc(t.shop)}</h1>
+<h2>${esc(t.title)}</h2>
+<div class="status ${esc(t.stage)}">${esc(t.status)}</div>
+<dl>${row("Order", t.code)}${row("Due", t.due)}${row("Total", t.total)}${row("Balance", t.balance)}</dl>
+${t.contact ? `<p>Questions? ${esc(t.contact)}</p>` : ""}
+<p class="muted">Updated ${esc(t.updated)}</p>
+</main></body></html>`;
+}
+
+function sendTracking(res, path) {
+  const [, code, ext] = path.match(/^\/t\/([^/.]+)(?:\.(html|json))?$/);
+  const t = Object.prototype.hasOwnProperty.call(db.tracking, code) ? db.tracking[code] : undefined;
+  if (ext === "json") return send(res, t ? 200 : 404, t || { error: "Not found" });
+  res.writeHead(t ? 200 : 404, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(trackingPageHTML(t));
+}
+
+// Reminders pushed while the app is closed, see "Reminders" in the app. Each device
+// sends its coming reminders on every sync; they are pushed once their time comes,
+// through the browser's push service (Web Push, RFC 8030/8291/8292).
+const PUSH_AHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+const STALE_PUSH_MS = 24 * 60 * 60 * 1000; // same as the app: older reminders are only listed on the dashboard
+const MAX_REMINDERS = 500;
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+if (!db.vapid) {
+  const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+  db.vapid = privateKey.export({ format: "jwk" });
+  save();
+}
+const vapidKey = crypto.createPrivateKey({ key: db.vapid, format: "jwk" });
+const VAPID_PUBLIC = b64url(Buffer.concat([Buffer.from([4]), Buffer.from(db.vapid.x, "base64url"), Buffer.from(db.vapid.y, "base64url")]));
+
+function updatePush(deviceId, push) {
+  if (typeof deviceId !== "string" || push === undefined) return;
+  const sub = push && push.subscription;
+  if (!sub || !/^https:\/\//.test(sub.endpoint) || !sub.keys || typeof sub.keys.p256dh !== "string" || typeof sub.keys.auth !== "string") {
+    delete db.push[deviceId];
+    return;
+  }
+  const now = Date.now();
+  const reminders = (Array.isArray(push.reminders) ? push.reminders : [])
+    .filter(r => r && typeof r.key === "string" && typeof r.at === "number" && typeof r.title === "string" && r.at - now < PUSH_AHEAD_MS && now - r.at < STALE_PUSH_MS)
+    .slice(0, MAX_REMINDERS)
+    .map(r => ({ key: r.key, at: r.at, title: r.title.slice(0, 200), options: r.options && typeof r.options === "object" ? r.options : {} }));
+  const prev = db.push[deviceId];
+  const sent = {};
+  // Keep what was already pushed for reminders still on the list at the same time
+  if (prev && prev.subscription.endpoint === sub.endpoint) for (const r of reminders) if (prev.sent[r.key] === r.at) sent[r.key] = r.at;
+  db.push[deviceId] = { subscription: { endpoint: sub.endpoint, keys: { p256dh: sub.keys.p256dh, auth: sub.keys.auth } }, reminders, sent };
+}
+
+// aes128gcm content encoding (RFC 8291), one record
+function encryptPush(sub, payload) {
+  const uaPublic = Buffer.from(sub.keys.p256dh, "base64url"), auth = Buffer.from(sub.keys.auth, "base64url");
+  const ecdh = crypto.createECDH("prime256v1");
+  const asPublic = ecdh.generateKeys();
+  const shared = ecdh.computeSecret(uaPublic);
+  const salt = crypto.randomBytes(16);
+  const hkdf = (ikm, salt, info, len) => Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, len));
+  const ikm = hkdf(shared, auth, Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]), 32);
+  const key = hkdf(ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+  const cipher = crypto.createCipheriv("aes-128-gcm", key, nonce);
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header);
+  header.writeUInt32BE(4096, 16);
+  header[20] = asPublic.length;
+  return Buffer.concat([header, asPublic, body]);
+}
+
+// VAPID (RFC 8292): a short-lived ES256 token for the push service's origin
+function vapidAuth(endpoint) {
+  const claims = { aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60, sub: PUSH_CONTACT };
+  const unsigned = `${b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }))}.${b64url(JSON.stringify(claims))}`;
+  const sig = crypto.sign("sha256", Buffer.from(unsigned), { key: vapidKey, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${unsigned}.${b64url(sig)}, k=${VAPID_PUBLIC}`;
+}
+
+async function sendPush(sub, payload, ttl) {
+  const res = await fetch(sub.endpoint, {
+    method: "POST",
+    headers: { "Content-Encoding": "aes128gcm", "Content-Type": "application/octet-stream", TTL: String(ttl), Urgency: "high", Authorization: vapidAuth(sub.endpoint) },
+    body: encryptPush(sub, payload),
+  });
+  return res.status;
+}
+
+// Reminder keys are "<enquiry id>|due|<dueAt>" or "<enquiry id>|<follow-up id>|<at>",
+// as remindersFor in the app makes them; keep in step. A device's list is as of its
+// last sync, so reminders another device has since moved, finished or deleted are skipped.
+function stillDue(key) {
+  const [id, kind, at] = key.split("|");
+  const e = Object.prototype.hasOwnProperty.call(db.records, id) ? db.records[id].record : undefined;
+  if (!e) return true; // not synced yet
+  if (e.deletedAt) return false;
+  if (kind === "due") {
+    const st = ((db.shared.statuses && db.shared.statuses.value) || []).find(s => s.id === e.status);
+    return e.dueAt === at && !(st && st.kind !== "open");
+  }
+  const r = (e.reminders || []).find(r => r.id === kind);
+  return !!r && !r.doneAt && r.at === at;
+}
+
+let pushing = false;
+async function pushDueReminders() {
+  if (pushing) return;
+  pushing = true;
+  let changed = false;
+  try {
+    const now = Date.now();
+    for (const [deviceId, p] of Object.entries(db.push)) {
+      for (const r of p.reminders) {
+        if (r.at > now || now - r.at >= STALE_PUSH_MS || p.sent[r.key] === r.at || !stillDue(r.key)) continue;
+        const status = await sendPush(p.subscription, JSON.stringify({ title: r.title, options: r.options, at: r.at }), Math.round((STALE_PUSH_MS - (now - r.at)) / 1000)).catch(e => { console.error(`Push to ${deviceId} failed: ${e.message}`); return 0; });
+        // Gone: the browser dropped the subscription; the app makes a new one on its next sync
+        if (status === 404 || status === 410) { delete db.push[deviceId]; changed = true; break; }
+        if (status >= 200 && status < 300) { p.sent[r.key] = r.at; changed = true; }
+        else if (status) console.error(`Push to ${deviceId} was refused (${status})`);
+      }
+    }
+  } finally {
+    pushing = false;
+    if (changed) save();
+  }
+}
+
+function handleSync(body) {
+  const now = new Date().toISOString();
+  const conflicts = [];
+  for (const e of body.changes || []) {
+    if (!e || typeof e.id !== "string") continue;
+    const r = merge(db.records[e.id], e, now);
+    db.records[e.id] = r.entry;
+    conflicts.push(...r.conflicts);
+  }
+  updateTracking(body.tracking);
+  updateShared(body.shared);
+  updatePush(body.deviceId, body.push);
+  save();
+  const since = Number(body.since) || 0;
+  const changes = Object.values(db.records).map(r => r.record).filter(r => r.rev > since);
+  const shared = {};
+  for (const k of SHARED_KEYS) if (db.shared[k] && db.shared[k].rev > since) shared[k] = { at: db.shared[k].at, value: db.shared[k].value };
+  return { cursor: db.rev, changes, conflicts, shared, pushKey: VAPID_PUBLIC };
+}
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(data === undefined ? "" : JSON.stringify(data));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const path = new URL(req.url, "http://localhost").pathname;
+  // Customer pages are public and need no token
+  if (req.method === "GET" && /^\/t\/[^/.]+(\.(html|json))?$/.test(path)) return sendTracking(res, path);
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorized" });
+  if (req.method === "GET" && path === "/health") return send(res, 200, { ok: true, rev: db.rev });
+  if (req.method !== "POST" || path !== "/sync") return send(res, 404, { error: "Not found" });
+
+  let raw = "";
+  req.on("data", (chunk) => {
+    raw += chunk;
+    if (raw.length > MAX_BODY) { send(res, 413, { error: "Payload too large" }); req.destroy(); }
+  });
+  req.on("end", () => {
+    let body;
+    try { body = JSON.parse(raw || "{}"); } catch { return send(res, 400, { error: "Invalid JSON" }); }
+    try { send(res, 200, handleSync(body)); }
+    catch (e) { console.error(e); send(res, 500, { error: "Sync failed" }); }
+  });
+});
+
+if (!TOKEN && !LOOPBACK.includes(HOST)) {
+  console.error(`Refusing to listen on ${HOST} without SYNC_TOKEN: set a token, or leave HOST unset to listen on 127.0.0.1 only.`);
+  process.exit(1);
+}
+setInterval(pushDueReminders, 60 * 1000);
+server.listen(PORT, HOST, () => console.log(`PRINTMAX sync server on ${HOST || ""}:${PORT}${TOKEN ? " (token required)" : " (no token: this computer only)"}, data in ${DATA}`));